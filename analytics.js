@@ -0,0 +1,179 @@
+import { TIMESERIES_BUCKETS } from "./database.js";
+import { getStorage } from "./storage.js";
+import { VERIFICATION_TYPES } from "./verification-options.js";
+import { isConnectedAccountId } from "./stripe-client.js";
+
+// ==================== VERIFICATION ANALYTICS ====================
+// GET /stats/timeseries: sessions bucketed by the day, week (from Monday) or
+// month they were created in, with the created -> processing -> verified
+// funnel, the median time from created_at to verified_at and failed attempts
+// by Stripe error code. All times are UTC.
+
+export const TIMESERIES_INTERVALS = Object.keys(TIMESERIES_BUCKETS);
+const MAX_BUCKETS = 400;
+
+// Range when none is given, per interval
+const DEFAULT_RANGE_DAYS = { day: 30, week: 12 * 7, month: 365 };
+
+export class AnalyticsQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+function toSqlTime(date) {
+  return date.toISOString().replace("T", " ").slice(0, 19);
+}
+
+function parseDate(name, value) {
+  const ms = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new AnalyticsQueryError(`${name} must be an ISO date or unix timestamp`);
+  }
+  return new Date(ms);
+}
+
+// Start of the bucket containing a date (matches TIMESERIES_BUCKETS)
+function bucketStart(date, interval) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+  if (interval === "week") {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === "month") {
+    start.setUTCDate(1);
+  }
+  return start;
+}
+
+function nextBucket(date, interval) {
+  const next = new Date(date);
+
+  if (interval === "day") next.setUTCDate(next.getUTCDate() + 1);
+  if (interval === "week") next.setUTCDate(next.getUTCDate() + 7);
+  if (interval === "month") next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+}
+
+/**
+ * Validate a time-series request
+ * @param {object} query - req.query
+ * @returns {object} { interval, from, to, verificationType, tenantId, stripeAccount } - from aligned to its bucket
+ */
+export function parseTimeseriesQuery(query) {
+  const interval = query.interval || "day";
+
+  if (!TIMESERIES_INTERVALS.includes(interval)) {
+    throw new AnalyticsQueryError(`interval must be one of: ${TIMESERIES_INTERVALS.join(", ")}`);
+  }
+  if (query.verification_type !== undefined && !VERIFICATION_TYPES.includes(query.verification_type)) {
+    throw new AnalyticsQueryError(`verification_type must be one of: ${VERIFICATION_TYPES.join(", ")}`);
+  }
+  if (query.stripe_account !== undefined && !isConnectedAccountId(query.stripe_account)) {
+    throw new AnalyticsQueryError("stripe_account must be a Stripe account ID (acct_...)");
+  }
+
+  const to = query.to ? parseDate("to", query.to) : new Date();
+  const from = bucketStart(
+    query.from ? parseDate("from", query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS[interval] * 86400 * 1000),
+    interval
+  );
+
+  if (from >= to) {
+    throw new AnalyticsQueryError("from must be before to");
+  }
+
+  let buckets = 0;
+  for (let start = from; start < to && buckets <= MAX_BUCKETS; start = nextBucket(start, interval)) {
+    buckets++;
+  }
+  if (buckets > MAX_BUCKETS) {
+    throw new AnalyticsQueryError(`Range too large: at most ${MAX_BUCKETS} ${interval} buckets`);
+  }
+
+  return {
+    interval,
+    from,
+    to,
+    verificationType: query.verification_type || null,
+    tenantId: query.tenant_id || null,
+    stripeAccount: query.stripe_account || null,
+  };
+}
+
+function rate(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 10000) / 10000 : null;
+}
+
+// Funnel counts, rates, median and failure reasons of one bucket
+function summarize(funnel, median, failures) {
+  const counts = {
+    created: funnel?.created ?? 0,
+    processing: funnel?.processing ?? 0,
+    verified: funnel?.verified ?? 0,
+    requires_input: funnel?.requires_input ?? 0,
+    canceled: funnel?.canceled ?? 0,
+    redacted: funnel?.redacted ?? 0,
+  };
+
+  return {
+    ...counts,
+    conversion: {
+      created_to_processing: rate(counts.processing, counts.created),
+      processing_to_verified: rate(counts.verified, counts.processing),
+      created_to_verified: rate(counts.verified, counts.created),
+    },
+    median_time_to_verify_seconds: median === undefined ? null : Math.round(median),
+    failure_reasons: Object.fromEntries(failures.map((row) => [row.error_code, row.count])),
+  };
+}
+
+/**
+ * Verification analytics over a time range
+ * @param {object} query - From parseTimeseriesQuery
+ * @returns {Promise<object>} { interval, from, to, filters, totals, buckets } - every bucket of the range,
+ *   empty ones included
+ */
+export async function getTimeseries({ interval, from, to, verificationType, tenantId, stripeAccount }) {
+  const storage = await getStorage();
+  const range = { from: toSqlTime(from), to: toSqlTime(to), verificationType, tenantId, stripeAccount };
+  const series = await storage.getVerificationTimeseries({ interval, ...range });
+
+  const byBucket = (rows) =>
+    rows.reduce((map, row) => map.set(row.bucket, [...(map.get(row.bucket) || []), row]), new Map());
+  const funnels = byBucket(series.funnel);
+  const medians = byBucket(series.medians);
+  const failures = byBucket(series.failures);
+
+  // Counts add up across buckets; the median is computed over the whole range
+  const total = {};
+  for (const row of series.funnel) {
+    for (const [key, value] of Object.entries(row)) {
+      if (key !== "bucket") total[key] = (total[key] || 0) + value;
+    }
+  }
+  const totalFailures = Object.entries(
+    series.failures.reduce((sum, row) => ({ ...sum, [row.error_code]: (sum[row.error_code] || 0) + row.count }), {})
+  )
+    .sort(([, a], [, b]) => b - a)
+    .map(([error_code, count]) => ({ error_code, count }));
+
+  const buckets = [];
+  for (let start = from; start < to; start = nextBucket(start, interval)) {
+    const key = start.toISOString().slice(0, 10);
+
+    buckets.push({
+      start: key,
+      ...summarize(funnels.get(key)?.[0], medians.get(key)?.[0].median_seconds, failures.get(key) || []),
+    });
+  }
+
+  return {
+    interval,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    filters: { verification_type: verificationType, tenant_id: tenantId, stripe_account: stripeAccount },
+    totals: summarize(total, series.total_median, totalFailures),
+    buckets,
+  };
+}
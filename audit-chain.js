@@ -0,0 +1,167 @@
+import crypto from "crypto";
+
+// ==================== AUDIT HASH CHAIN ====================
+// Every audit_log row carries:
+//
+//   content_hash = H(event_type, session_id, timestamp, metadata, ip_address, result)
+//   entry_hash   = H(prev_hash + content_hash)      (prev_hash = entry_hash of the previous row)
+//
+// H is HMAC-SHA256 keyed with AUDIT_HMAC_SECRET when set (someone with DB
+// access cannot recompute the chain), plain SHA-256 otherwise. Editing or
+// deleting a row breaks the chain from that row on.
+//
+// GDPR erasure and retention redact rows instead: some columns are cleared,
+// the row is marked (redacted_at) and its hashes stay. Each redaction appends
+// a chained marker entry (AUDIT_REDACTION_EVENT) listing, per row, the
+// original content_hash and the hash of what is left (redacted_hash). A
+// redacted row must match the latest marker that lists it, so the columns
+// left are still checked, and marking a row redacted without a marker fails.
+
+export const GENESIS_HASH = "0".repeat(64);
+
+// Event type of redaction marker entries (never redacted themselves), and rows listed per marker
+export const AUDIT_REDACTION_EVENT = "audit_redacted";
+export const AUDIT_REDACTION_BATCH = 500;
+
+// Outcome recorded in audit_log.result
+export const AUDIT_RESULTS = {
+  SUCCESS: "success",
+  FAILURE: "failure", // the action was attempted and failed
+  DENIED: "denied", // the caller was not authenticated or not allowed
+  REJECTED: "rejected", // refused by a rule (e.g. an illegal status transition)
+};
+
+/**
+ * Algorithm used for new entries
+ * @returns {string} hmac-sha256 | sha256
+ */
+export function getAuditHashAlgorithm() {
+  return process.env.AUDIT_HMAC_SECRET ? "hmac-sha256" : "sha256";
+}
+
+function hash(algorithm, value) {
+  if (algorithm === "hmac-sha256") {
+    const secret = process.env.AUDIT_HMAC_SECRET;
+    if (!secret) {
+      throw new Error("AUDIT_HMAC_SECRET is required to verify hmac-sha256 audit entries");
+    }
+    return crypto.createHmac("sha256", secret).update(value).digest("hex");
+  }
+
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * Hash of an entry's content
+ * @param {object} entry - { event_type, session_id, timestamp, metadata, ip_address, result }
+ * @param {string} algorithm - hmac-sha256 | sha256
+ * @returns {string} Hex digest
+ */
+export function computeContentHash(entry, algorithm) {
+  const { event_type, session_id, timestamp, metadata, ip_address, result } = entry;
+  return hash(algorithm, JSON.stringify([event_type, session_id, timestamp, metadata, ip_address, result]));
+}
+
+/**
+ * Hash linking an entry to its predecessor
+ * @param {string} prevHash - entry_hash of the previous entry (GENESIS_HASH for the first)
+ * @param {string} contentHash - content_hash of this entry
+ * @param {string} algorithm - hmac-sha256 | sha256
+ * @returns {string} Hex digest
+ */
+export function computeEntryHash(prevHash, contentHash, algorithm) {
+  return hash(algorithm, `${prevHash}.${contentHash}`);
+}
+
+/**
+ * Append an entry to the chain (call inside an immediate transaction, so a
+ * concurrent append cannot fork the chain)
+ * @param {Database} db - better-sqlite3 handle
+ * @param {object} entry - { event_type, session_id, timestamp, metadata, ip_address, result }
+ */
+export function insertChainedEntry(db, entry) {
+  const algorithm = getAuditHashAlgorithm();
+  const prevHash = db.prepare("SELECT entry_hash FROM audit_log ORDER BY id DESC LIMIT 1").get()?.entry_hash ?? GENESIS_HASH;
+  const contentHash = computeContentHash(entry, algorithm);
+
+  db.prepare(`
+    INSERT INTO audit_log
+      (event_type, session_id, timestamp, metadata, ip_address, result, prev_hash, content_hash, entry_hash, hash_alg)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    entry.event_type,
+    entry.session_id,
+    entry.timestamp,
+    entry.metadata,
+    entry.ip_address,
+    entry.result,
+    prevHash,
+    contentHash,
+    computeEntryHash(prevHash, contentHash, algorithm),
+    algorithm
+  );
+}
+
+/**
+ * Marker record of one redacted row (listed in an AUDIT_REDACTION_EVENT entry)
+ * @param {object} before - audit_log row before this redaction
+ * @param {object} after - The same row after it
+ * @returns {object} { id, content_hash, redacted_hash, intact } - intact: whether the row still
+ *   matched its hashes before this redaction (null: unknown)
+ */
+export function toRedactionMark(before, after) {
+  // A row redacted before keeps the hash of what its last redaction left
+  const expected = before.redacted_hash ?? before.content_hash;
+
+  return {
+    id: before.id,
+    content_hash: before.content_hash,
+    redacted_hash: computeContentHash(after, after.hash_alg),
+    intact: expected ? computeContentHash(before, before.hash_alg) === expected : null,
+  };
+}
+
+// A redacted row against the latest marker listing it
+function checkRedactedEntry(entry, mark) {
+  const actualHash = computeContentHash(entry, entry.hash_alg);
+
+  if (!mark) {
+    // Redacted before the chain was sealed: the hashes cover the redacted content
+    return actualHash === entry.content_hash ? null : "redaction_without_marker";
+  }
+  if (mark.content_hash !== entry.content_hash) {
+    return "redaction_marker_mismatch";
+  }
+  if (mark.intact === false || mark.redacted_hash !== actualHash) {
+    return "content_mismatch";
+  }
+  return null;
+}
+
+/**
+ * Check one entry against its predecessor
+ * @param {object} entry - audit_log row
+ * @param {string} expectedPrevHash - entry_hash of the previous row
+ * @param {object|null} mark - For a redacted row, the latest marker record listing it (see toRedactionMark)
+ * @returns {string|null} Why the link is broken, or null
+ */
+export function checkAuditEntry(entry, expectedPrevHash, mark = null) {
+  if (!entry.entry_hash || !entry.content_hash || !entry.hash_alg) {
+    return "missing_hash";
+  }
+  if (entry.prev_hash !== expectedPrevHash) {
+    return "chain_mismatch";
+  }
+
+  const contentProblem = entry.redacted_at
+    ? checkRedactedEntry(entry, mark)
+    : computeContentHash(entry, entry.hash_alg) !== entry.content_hash && "content_mismatch";
+  if (contentProblem) {
+    return contentProblem;
+  }
+  if (computeEntryHash(entry.prev_hash, entry.content_hash, entry.hash_alg) !== entry.entry_hash) {
+    return "entry_hash_mismatch";
+  }
+
+  return null;
+}
@@ -0,0 +1,190 @@
+import { once } from "events";
+import { AUDIT_RESULTS } from "./database.js";
+import { getStorage } from "./storage.js";
+import { toCsvValue } from "./data-export.js";
+import { userReferenceCandidates } from "./pseudonymize.js";
+
+// ==================== AUDIT LOG QUERIES ====================
+// GET /audit-log pages through the audit log (newest first) with an opaque
+// cursor; GET /audit-log/export streams every matching entry (oldest first) as
+// NDJSON or CSV, for compliance requests and SIEM ingestion. Both take the
+// same filters: event_type (comma-separated), session_id, actor, result,
+// since and until (ISO date or unix seconds; until is exclusive).
+
+export const AUDIT_EXPORT_FORMATS = ["ndjson", "csv"];
+const EXPORT_BATCH_SIZE = 500;
+
+const CSV_COLUMNS = [
+  "id",
+  "timestamp",
+  "event_type",
+  "session_id",
+  "actor",
+  "result",
+  "ip_address",
+  "metadata",
+  "redacted_at",
+  "redaction_reason",
+  "entry_hash",
+];
+
+export class AuditLogQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// ISO date or unix seconds -> audit_log timestamp format (UTC)
+function parseTime(name, value) {
+  if (value === undefined || value === "") return null;
+
+  const ms = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new AuditLogQueryError(`${name} must be an ISO date or unix timestamp`);
+  }
+
+  return new Date(ms).toISOString().replace("T", " ").slice(0, 19);
+}
+
+/**
+ * Validate the filters of an audit log request
+ * @param {object} query - req.query
+ * @returns {object} Filters for queryAuditLog
+ */
+export function parseAuditLogFilters(query) {
+  const { event_type, session_id, actor, result } = query;
+
+  if (result !== undefined && !Object.values(AUDIT_RESULTS).includes(result)) {
+    throw new AuditLogQueryError(`result must be one of: ${Object.values(AUDIT_RESULTS).join(", ")}`);
+  }
+
+  return {
+    event_types: event_type ? String(event_type).split(",").map((type) => type.trim()).filter(Boolean) : null,
+    session_id: session_id || null,
+    // End users are recorded by their pseudonymized user reference
+    actors: actor ? userReferenceCandidates(actor) : null,
+    result: result || null,
+    since: parseTime("since", query.since),
+    until: parseTime("until", query.until),
+  };
+}
+
+/**
+ * Opaque pagination cursor for an entry
+ * @param {number} id - Audit entry ID
+ * @returns {string} Cursor
+ */
+export function encodeAuditCursor(id) {
+  return Buffer.from(`audit:${id}`).toString("base64url");
+}
+
+/**
+ * Entry ID a cursor points at
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {number|null} Audit entry ID, or null without a cursor
+ */
+export function decodeAuditCursor(cursor) {
+  if (!cursor) return null;
+
+  const match = /^audit:(\d+)$/.exec(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  if (!match) {
+    throw new AuditLogQueryError("Invalid cursor");
+  }
+
+  return Number(match[1]);
+}
+
+/**
+ * Public shape of an audit entry (metadata parsed, actor lifted out)
+ * @param {object} row - Row from queryAuditLog
+ * @returns {object} Audit entry
+ */
+export function toAuditEntry(row) {
+  let metadata = row.metadata;
+  try {
+    metadata = row.metadata ? JSON.parse(row.metadata) : null;
+  } catch {
+    // Keep the raw text
+  }
+
+  return {
+    id: row.id,
+    timestamp: row.timestamp,
+    event_type: row.event_type,
+    session_id: row.session_id,
+    actor: metadata?.actor ?? null,
+    result: row.result,
+    ip_address: row.ip_address,
+    metadata,
+    redacted_at: row.redacted_at,
+    redaction_reason: row.redaction_reason,
+    entry_hash: row.entry_hash,
+  };
+}
+
+/**
+ * One page of the audit log, newest first
+ * @param {object} filters - From parseAuditLogFilters
+ * @param {object} options - { limit, cursor }
+ * @returns {Promise<object>} { entries, next_cursor } - next_cursor is null on the last page
+ */
+export async function getAuditLogPage(filters, { limit = 100, cursor = null } = {}) {
+  const storage = await getStorage();
+  // One extra row tells whether another page follows
+  const rows = await storage.queryAuditLog(filters, { limit: limit + 1, afterId: decodeAuditCursor(cursor), order: "desc" });
+  const entries = rows.slice(0, limit).map(toAuditEntry);
+
+  return {
+    entries,
+    next_cursor: rows.length > limit ? encodeAuditCursor(entries[entries.length - 1].id) : null,
+  };
+}
+
+/**
+ * Stream every matching entry, oldest first, in batches (respecting backpressure)
+ * Entries logged after the export started are not included.
+ * @param {object} res - Express response (headers already set)
+ * @param {object} filters - From parseAuditLogFilters
+ * @param {string} format - ndjson | csv
+ * @returns {Promise<number>} Number of entries written
+ */
+export async function streamAuditLog(res, filters, format) {
+  const storage = await getStorage();
+  const lastId = (await storage.queryAuditLog({}, { limit: 1 }))[0]?.id ?? 0;
+  let afterId = 0;
+  let count = 0;
+
+  if (format === "csv") {
+    res.write(CSV_COLUMNS.join(",") + "\r\n");
+  }
+
+  while (!res.destroyed) {
+    const rows = (await storage.queryAuditLog(filters, { limit: EXPORT_BATCH_SIZE, afterId, order: "asc" })).filter(
+      (row) => row.id <= lastId
+    );
+
+    if (rows.length === 0) {
+      break;
+    }
+
+    const chunk = rows
+      .map(toAuditEntry)
+      .map((entry) =>
+        format === "csv"
+          ? CSV_COLUMNS.map((column) => toCsvValue(entry[column])).join(",") + "\r\n"
+          : JSON.stringify(entry) + "\n"
+      )
+      .join("");
+
+    count += rows.length;
+    afterId = rows[rows.length - 1].id;
+
+    if (!res.write(chunk)) {
+      await Promise.race([once(res, "drain"), once(res, "close")]);
+    }
+  }
+
+  res.end();
+  return count;
+}
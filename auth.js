@@ -0,0 +1,377 @@
+import crypto from "crypto";
+import fs from "fs";
+import { getApiClient, AUDIT_RESULTS } from "./database.js";
+import { getStorage } from "./storage.js";
+import { pseudonymizeUserReference, userReferenceCandidates } from "./pseudonymize.js";
+import { log } from "./logger.js";
+
+// ==================== AUTHENTICATION ====================
+// Pluggable providers, enabled with AUTH_PROVIDERS (comma-separated, default "api_key,jwt"):
+// - api_key: HMAC-signed requests from our own services
+// - jwt:     Bearer tokens issued to end users (HS256 or RS256 via a local JWKS file)
+//
+// A successful provider sets req.auth = { method, subject, roles, clientId, tenantId }
+
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+const CLOCK_SKEW_SECONDS = 60;
+
+export const ROLES = {
+  USER: "user",
+  SERVICE: "service",
+  ADMIN: "admin",
+};
+
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const providers = {
+  api_key: {
+    // X-Api-Key: <key_id>
+    // X-Timestamp: <unix seconds>
+    // X-Signature: hex(HMAC-SHA256(secret, `${timestamp}.${METHOD}.${originalUrl}.${rawBody}`))
+    matches: (req) => Boolean(req.headers["x-api-key"]),
+    authenticate: authenticateApiKey,
+  },
+  jwt: {
+    // Authorization: Bearer <jwt>
+    matches: (req) => /^Bearer\s/i.test(req.headers.authorization || ""),
+    authenticate: authenticateJwt,
+  },
+};
+
+/**
+ * Register an additional authentication provider
+ * @param {string} name - Provider name (as used in AUTH_PROVIDERS)
+ * @param {object} provider - { matches(req) => boolean, authenticate(req) => auth context }
+ */
+export function registerAuthProvider(name, provider) {
+  providers[name] = provider;
+}
+
+function getEnabledProviders() {
+  const names = (process.env.AUTH_PROVIDERS || "api_key,jwt")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  return names.map((name) => {
+    if (!providers[name]) {
+      throw new Error(`Unknown auth provider: ${name}`);
+    }
+    return providers[name];
+  });
+}
+
+// ==================== API KEY (HMAC) PROVIDER ====================
+
+/**
+ * Compute the request signature for an API client
+ * @param {string} secret - Client secret
+ * @param {string} timestamp - Unix timestamp (seconds) sent in X-Timestamp
+ * @param {string} method - HTTP method
+ * @param {string} url - Request path including query string
+ * @param {Buffer|string} body - Raw request body ('' when empty)
+ * @returns {string} Hex signature
+ */
+export function signApiRequest(secret, timestamp, method, url, body = "") {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${method.toUpperCase()}.${url}.`)
+    .update(body)
+    .digest("hex");
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function authenticateApiKey(req) {
+  const keyId = req.headers["x-api-key"];
+  const timestamp = req.headers["x-timestamp"];
+  const signature = req.headers["x-signature"];
+
+  if (!timestamp || !signature) {
+    throw new AuthError("X-Timestamp and X-Signature headers are required");
+  }
+
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new AuthError("Request timestamp outside the allowed window");
+  }
+
+  const client = getApiClient(keyId);
+  if (!client) {
+    throw new AuthError("Unknown or revoked API key");
+  }
+
+  const expected = signApiRequest(client.secret, timestamp, req.method, req.originalUrl, req.rawBody || "");
+  if (!safeEqual(expected, signature)) {
+    throw new AuthError("Invalid request signature");
+  }
+
+  return {
+    method: "api_key",
+    subject: null,
+    roles: client.roles,
+    clientId: client.key_id,
+    tenantId: client.tenant_id,
+  };
+}
+
+// ==================== JWT PROVIDER ====================
+
+let jwksCache = null;
+
+function loadJwks() {
+  const jwksPath = process.env.JWT_JWKS_PATH;
+  if (!jwksPath) {
+    return [];
+  }
+
+  if (!jwksCache || jwksCache.path !== jwksPath) {
+    const { keys = [] } = JSON.parse(fs.readFileSync(jwksPath, "utf8"));
+    jwksCache = {
+      path: jwksPath,
+      keys: keys.map((jwk) => ({ kid: jwk.kid, key: crypto.createPublicKey({ key: jwk, format: "jwk" }) })),
+    };
+  }
+
+  return jwksCache.keys;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+/**
+ * Verify a compact JWT and return its claims
+ * @param {string} token - Compact serialized JWT
+ * @returns {object} Verified claims
+ */
+export function verifyJwt(token) {
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    throw new AuthError("Malformed token");
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(encodedHeader);
+    claims = decodeSegment(encodedPayload);
+  } catch {
+    throw new AuthError("Malformed token");
+  }
+
+  const signingInput = `${encodedHeader}.${encodedPayload}`;
+  const signature = Buffer.from(encodedSignature, "base64url");
+
+  // The algorithm is chosen by our configuration, never trusted blindly from the header
+  if (header.alg === "HS256") {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+      throw new AuthError("HS256 tokens are not accepted");
+    }
+    const expected = crypto.createHmac("sha256", secret).update(signingInput).digest();
+    if (expected.length !== signature.length || !crypto.timingSafeEqual(expected, signature)) {
+      throw new AuthError("Invalid token signature");
+    }
+  } else if (header.alg === "RS256") {
+    const keys = loadJwks();
+    const jwk = keys.find((k) => k.kid === header.kid) || (keys.length === 1 && !header.kid ? keys[0] : null);
+    if (!jwk) {
+      throw new AuthError("Unknown token signing key");
+    }
+    if (!crypto.verify("RSA-SHA256", Buffer.from(signingInput), jwk.key, signature)) {
+      throw new AuthError("Invalid token signature");
+    }
+  } else {
+    throw new AuthError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.exp !== undefined && now > claims.exp + CLOCK_SKEW_SECONDS) {
+    throw new AuthError("Token expired");
+  }
+  if (claims.nbf !== undefined && now < claims.nbf - CLOCK_SKEW_SECONDS) {
+    throw new AuthError("Token not yet valid");
+  }
+  if (process.env.JWT_ISSUER && claims.iss !== process.env.JWT_ISSUER) {
+    throw new AuthError("Invalid token issuer");
+  }
+  if (process.env.JWT_AUDIENCE) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(process.env.JWT_AUDIENCE)) {
+      throw new AuthError("Invalid token audience");
+    }
+  }
+  if (!claims.sub) {
+    throw new AuthError("Token has no subject");
+  }
+
+  return claims;
+}
+
+function authenticateJwt(req) {
+  const token = req.headers.authorization.replace(/^Bearer\s+/i, "");
+  const claims = verifyJwt(token);
+
+  // End users only get elevated roles if the issuer explicitly grants them
+  const claimedRoles = Array.isArray(claims.roles) ? claims.roles : claims.role ? [claims.role] : [];
+
+  return {
+    method: "jwt",
+    subject: String(claims.sub),
+    roles: [ROLES.USER, ...claimedRoles.filter((role) => role === ROLES.ADMIN)],
+    clientId: null,
+    tenantId: claims.tenant ? String(claims.tenant) : null,
+  };
+}
+
+// ==================== MIDDLEWARE ====================
+
+/**
+ * Authenticate a request with the first matching enabled provider
+ * (also used for WebSocket upgrade requests, which have no Express response)
+ * @param {object} req - Incoming request
+ * @returns {object} Auth context
+ */
+export function authenticateRequest(req) {
+  const provider = getEnabledProviders().find((p) => p.matches(req));
+
+  if (!provider) {
+    throw new AuthError("Authentication required");
+  }
+
+  return provider.authenticate(req);
+}
+
+/**
+ * Express middleware: let browsers' EventSource (which cannot set headers) send
+ * the bearer token as ?access_token=. Only mount on streaming routes.
+ */
+export function allowQueryToken(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.access_token === "string") {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+/**
+ * Express middleware: authenticate the caller with the first matching enabled provider
+ */
+export async function authenticate(req, res, next) {
+  try {
+    req.auth = authenticateRequest(req);
+  } catch (err) {
+    const status = err instanceof AuthError ? err.status : 500;
+    const storage = await getStorage();
+
+    log.warn(`Authentication failed for ${req.method} ${req.path}: ${err.message}`);
+    await storage.logAuditEvent("auth_failed", null, {
+      path: req.path,
+      method: req.method,
+      reason: err.message,
+    }, req.ip, AUDIT_RESULTS.DENIED);
+
+    return res.status(status).json({ error: status === 500 ? "Authentication error" : err.message });
+  }
+  return next();
+}
+
+/**
+ * Express middleware factory: require one of the given roles (use after authenticate)
+ * @param {...string} roles - Accepted roles
+ */
+export function requireRole(...roles) {
+  return async (req, res, next) => {
+    if (!req.auth?.roles.some((role) => roles.includes(role))) {
+      const storage = await getStorage();
+      await storage.logAuditEvent("access_denied", null, {
+        path: req.path,
+        method: req.method,
+        actor: getActor(req.auth),
+      }, req.ip, AUDIT_RESULTS.DENIED);
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    next();
+  };
+}
+
+/**
+ * Check whether the authenticated caller may act for a user reference
+ * Services and admins may act for any user; end users only for themselves.
+ * @param {object} auth - req.auth
+ * @param {string} userReference - User reference, raw or as stored (pseudonymized)
+ * @returns {boolean} True if access is allowed
+ */
+export function canAccessUser(auth, userReference) {
+  if (auth.roles.includes(ROLES.ADMIN) || auth.roles.includes(ROLES.SERVICE)) {
+    return true;
+  }
+  return auth.subject !== null && userReferenceCandidates(auth.subject).includes(userReference);
+}
+
+/**
+ * Check whether the authenticated caller may access a verification session
+ * Services and admins may access any session of their tenant (every session
+ * without a tenant); end users only their own.
+ * @param {object} auth - req.auth
+ * @param {object} record - Verification record (with user_reference and tenant_id)
+ * @returns {boolean} True if access is allowed
+ */
+export function canAccessSession(auth, record) {
+  if (auth.tenantId && record.tenant_id !== auth.tenantId) {
+    return false;
+  }
+  return canAccessUser(auth, record.user_reference);
+}
+
+/**
+ * Express middleware: platform-wide operations (across tenants) are not
+ * available to callers that belong to a tenant (use after authenticate)
+ */
+export async function requirePlatformCaller(req, res, next) {
+  if (req.auth?.tenantId) {
+    const storage = await getStorage();
+    await storage.logAuditEvent("access_denied", null, {
+      path: req.path,
+      method: req.method,
+      actor: getActor(req.auth),
+      tenant_id: req.auth.tenantId,
+    }, req.ip, AUDIT_RESULTS.DENIED);
+    return res.status(403).json({ error: "Not available to tenant callers" });
+  }
+  next();
+}
+
+/**
+ * Identify the caller for audit entries (API key ID, or the pseudonymized token subject -
+ * end users are identified by their user reference)
+ * @param {object} auth - req.auth
+ * @returns {string|null} Actor identifier
+ */
+export function getActor(auth) {
+  return auth?.clientId || pseudonymizeUserReference(auth?.subject) || null;
+}
+
+/**
+ * Resolve the user reference a request acts for
+ * End users always act for their own token subject; services must name the user.
+ * @param {object} auth - req.auth
+ * @param {string|undefined} requested - userReference from the request
+ * @returns {string|null} User reference, or null if a service did not provide one
+ */
+export function resolveUserReference(auth, requested) {
+  if (auth.method === "jwt") {
+    return auth.subject;
+  }
+  return requested || null;
+}
@@ -1,7 +1,8 @@
-// Quick script to check database contents
+// Quick script to check database contents (the SQLite file - not a postgres STORAGE_BACKEND)
 import Database from 'better-sqlite3';
+import { getDatabasePath } from './db-connection.js';
 
-const db = new Database('verification.db');
+const db = new Database(getDatabasePath());
 
 console.log('\n========================================');
 console.log('📊 VERIFICATION SESSIONS');
@@ -18,7 +19,7 @@ if (sessions.length === 0) {
     console.log(`Status: ${session.status}`);
     console.log(`Created: ${session.created_at}`);
     console.log(`Verified: ${session.verified_at || 'N/A'}`);
-    console.log(`Error: ${session.error_reason || 'N/A'}`);
+    console.log(`Error: ${session.error_code ? `${session.error_code} - ${session.error_reason}` : 'N/A'}`);
     console.log('---');
   });
 }
@@ -0,0 +1,616 @@
+// Storage conformance checks: every backend must pass the same checks (see storage.js)
+//
+// Usage:
+//   node check-storage.js [backend]   (default: all of STORAGE_BACKENDS)
+//
+// Runs against scratch databases, never the configured ones:
+//   sqlite    a temporary DATABASE_PATH (also where the other backends queue outbound deliveries)
+//   postgres  STORAGE_CHECK_DATABASE_URL (e.g. a throwaway container:
+//             docker run --rm -e POSTGRES_PASSWORD=check -p 5433:5432 postgres:16), otherwise an
+//             embedded PostgreSQL (PGlite, a dev dependency) served on a local port
+// Exits with 1 when a check fails.
+import assert from "assert/strict";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createStorage, STORAGE_BACKENDS } from "./storage.js";
+import { statusEvents } from "./status-events.js";
+import { pseudonymizeUserReference, pseudonymizeIp } from "./pseudonymize.js";
+
+dotenv.config({ quiet: true });
+
+const USAGE = `❌ Usage: node check-storage.js [${STORAGE_BACKENDS.join(" | ")}]`;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+const targets = process.argv[2] ? [process.argv[2]] : STORAGE_BACKENDS;
+if (!targets.every((backend) => STORAGE_BACKENDS.includes(backend))) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+// ==================== CHECKS ====================
+// Each check gets a fresh prefix: IDs never collide, so a database with other rows works too.
+
+const CHECKS = {
+  async "sessions: create and look up"(storage, id) {
+    const record = await storage.createVerificationRecord(`vs_${id}`, `user_${id}`, "document", {
+      tenantId: `tenant_${id}`,
+      policyName: "standard",
+      stripeAccount: "acct_check",
+    });
+
+    assert.equal(typeof record.id, "number");
+    assert.deepEqual({ ...record, id: 0 }, {
+      id: 0,
+      session_id: `vs_${id}`,
+      user_reference: pseudonymizeUserReference(`user_${id}`),
+      status: "created",
+    });
+
+    const stored = await storage.getVerificationBySessionId(`vs_${id}`);
+    assert.equal(stored.status, "created");
+    assert.equal(stored.verification_type, "document");
+    assert.equal(stored.user_reference, pseudonymizeUserReference(`user_${id}`));
+    assert.equal(stored.tenant_id, `tenant_${id}`);
+    assert.equal(stored.stripe_account, "acct_check");
+    assert.equal(stored.verified_at, null);
+    assert.match(stored.created_at, TIMESTAMP_PATTERN);
+
+    assert.ok(!(await storage.getVerificationBySessionId(`vs_${id}_missing`)));
+
+    const trail = await storage.getAuditTrail(`vs_${id}`);
+    assert.deepEqual(trail.map((entry) => entry.event_type), ["session_created"]);
+    assert.equal(JSON.parse(trail[0].metadata).user_reference, pseudonymizeUserReference(`user_${id}`));
+  },
+
+  async "sessions: status transitions through the state machine"(storage, id) {
+    const sessionId = `vs_${id}`;
+    await storage.createVerificationRecord(sessionId, `user_${id}`, "document");
+
+    const failed = await storage.updateVerificationStatus(sessionId, "requires_input", {
+      source: "webhook",
+      eventId: `evt_${id}_1`,
+      eventCreated: 1700000000,
+      errorCode: "document_expired",
+      errorReason: "The document is expired.",
+    });
+    assert.deepEqual({ ...failed, historyId: 0 }, {
+      found: true, applied: true, legal: true, from: "created", to: "requires_input", historyId: 0,
+    });
+
+    let stored = await storage.getVerificationBySessionId(sessionId);
+    assert.equal(stored.status, "requires_input");
+    assert.equal(stored.error_code, "document_expired");
+    assert.equal(stored.last_event_created, 1700000000);
+
+    const verified = await storage.updateVerificationStatus(sessionId, "verified", { source: "sync" });
+    assert.equal(verified.applied, true);
+    assert.ok(verified.historyId > failed.historyId);
+
+    stored = await storage.getVerificationBySessionId(sessionId);
+    assert.equal(stored.error_code, null);
+    assert.match(stored.verified_at, TIMESTAMP_PATTERN);
+    assert.equal(stored.last_event_created, 1700000000, "an update without event keeps the last event");
+
+    // Illegal in strict mode: recorded, not applied
+    const rejected = await storage.updateVerificationStatus(sessionId, "processing", { source: "manual" });
+    assert.deepEqual({ ...rejected, historyId: 0 }, {
+      found: true, applied: false, legal: false, from: "verified", to: "processing", historyId: 0,
+    });
+    assert.equal((await storage.getVerificationBySessionId(sessionId)).status, "verified");
+
+    const history = await storage.getStatusHistory(sessionId);
+    assert.deepEqual(
+      history.map(({ from_status, to_status, source, legal, applied }) => [from_status, to_status, source, legal, applied]),
+      [
+        ["created", "requires_input", "webhook", true, true],
+        ["requires_input", "verified", "sync", true, true],
+        ["verified", "processing", "manual", false, false],
+      ]
+    );
+    assert.equal(history[0].id, failed.historyId);
+    assert.deepEqual((await storage.getStatusHistory(sessionId, failed.historyId)).map((h) => h.id), [
+      verified.historyId,
+      rejected.historyId,
+    ]);
+
+    const errors = await storage.getVerificationErrors(sessionId);
+    assert.deepEqual(
+      errors.map(({ error_code, error_reason, source, event_id }) => ({ error_code, error_reason, source, event_id })),
+      [{ error_code: "document_expired", error_reason: "The document is expired.", source: "webhook", event_id: `evt_${id}_1` }]
+    );
+
+    const trail = await storage.getAuditTrail(sessionId);
+    assert.deepEqual(
+      trail.map((entry) => [entry.event_type, entry.result]),
+      [
+        ["session_created", "success"],
+        ["status_updated", "success"],
+        ["status_updated", "success"],
+        ["status_transition_rejected", "rejected"],
+      ]
+    );
+  },
+
+  async "sessions: unknown sessions and statuses"(storage, id) {
+    assert.deepEqual(await storage.updateVerificationStatus(`vs_${id}`, "verified", { source: "sync" }), {
+      found: false, applied: false, legal: false, from: null, to: "verified",
+    });
+    await storage.createVerificationRecord(`vs_${id}`, `user_${id}`, "document");
+    await assert.rejects(storage.updateVerificationStatus(`vs_${id}`, "approved", { source: "sync" }), /Unknown verification status/);
+  },
+
+  async "sessions: applied transitions are announced"(storage, id) {
+    await storage.createVerificationRecord(`vs_${id}`, `user_${id}`, "document");
+
+    const received = [];
+    const listener = (event) => event.session_id === `vs_${id}` && received.push(event);
+    statusEvents.on("transition", listener);
+    try {
+      const result = await storage.updateVerificationStatus(`vs_${id}`, "processing", { source: "webhook" });
+      await storage.updateVerificationStatus(`vs_${id}`, "created", { source: "webhook" });
+
+      assert.equal(received.length, 1, "only applied transitions are announced");
+      assert.equal(received[0].history_id, result.historyId);
+      assert.equal(received[0].status, "processing");
+      assert.equal(received[0].previous_status, "created");
+      assert.equal(received[0].user_reference, pseudonymizeUserReference(`user_${id}`));
+    } finally {
+      statusEvents.off("transition", listener);
+    }
+  },
+
+  async "sessions: sync marker"(storage, id) {
+    await storage.createVerificationRecord(`vs_${id}`, `user_${id}`, "document");
+    assert.equal((await storage.getVerificationBySessionId(`vs_${id}`)).last_synced_at, null);
+
+    await storage.markVerificationSynced(`vs_${id}`);
+    assert.match((await storage.getVerificationBySessionId(`vs_${id}`)).last_synced_at, TIMESTAMP_PATTERN);
+  },
+
+  async "sessions: by user, paged and filtered"(storage, id) {
+    const user = `user_${id}`;
+    await storage.createVerificationRecord(`vs_${id}_1`, user, "document", { tenantId: "a" });
+    await storage.createVerificationRecord(`vs_${id}_2`, user, "id_number", { tenantId: "a", stripeAccount: "acct_x" });
+    await storage.createVerificationRecord(`vs_${id}_3`, user, "document", { tenantId: "b" });
+    await storage.createVerificationRecord(`vs_${id}_4`, `other_${id}`, "document", { tenantId: "a" });
+
+    const ids = (rows) => rows.map((row) => row.session_id);
+
+    // Newest first; the raw reference and its pseudonym find the same sessions
+    assert.deepEqual(ids(await storage.getVerificationsByUser(user)), [`vs_${id}_3`, `vs_${id}_2`, `vs_${id}_1`]);
+    assert.deepEqual(ids(await storage.getVerificationsByUser(pseudonymizeUserReference(user))), [
+      `vs_${id}_3`, `vs_${id}_2`, `vs_${id}_1`,
+    ]);
+    assert.deepEqual(ids(await storage.getVerificationsByUser(user, { limit: 1, offset: 1 })), [`vs_${id}_2`]);
+    assert.deepEqual(ids(await storage.getVerificationsByUser(user, { tenantId: "a" })), [`vs_${id}_2`, `vs_${id}_1`]);
+    assert.deepEqual(ids(await storage.getVerificationsByUser(user, { stripeAccount: "acct_x" })), [`vs_${id}_2`]);
+
+    const [row] = await storage.getVerificationsByUser(user, { stripeAccount: "acct_x" });
+    assert.deepEqual(Object.keys(row).sort(), [
+      "created_at", "session_id", "status", "stripe_account", "updated_at", "verification_type", "verified_at",
+    ]);
+
+    assert.equal(await storage.countVerificationsByUser(user), 3);
+    assert.equal(await storage.countVerificationsByUser(user, { tenantId: "a" }), 2);
+    assert.equal(await storage.countVerificationsByUser(user, { tenantId: "a", stripeAccount: "acct_x" }), 1);
+    assert.equal(await storage.countVerificationsByUser(`nobody_${id}`), 0);
+  },
+
+  async "audit: entries, filters and paging"(storage, id) {
+    const sessionId = `vs_${id}`;
+    const startedAt = new Date(Date.now() - 60 * 1000).toISOString().replace("T", " ").slice(0, 19);
+
+    await storage.logAuditEvent("check_started", sessionId, { actor: `svc_${id}` }, "203.0.113.7");
+    await storage.logAuditEvent("check_denied", sessionId, { actor: `admin_${id}` }, null, "denied");
+    await storage.logAuditEvent("check_finished", sessionId, { actor: `svc_${id}` });
+
+    const all = await storage.queryAuditLog({ session_id: sessionId });
+    assert.deepEqual(all.map((entry) => entry.event_type), ["check_finished", "check_denied", "check_started"]);
+    assert.equal(all[2].ip_address, pseudonymizeIp("203.0.113.7"));
+    assert.equal(all[1].result, "denied");
+    assert.equal(all[0].redacted_at, null);
+    assert.match(all[0].entry_hash, /^[0-9a-f]{64}$/);
+    assert.match(all[0].timestamp, TIMESTAMP_PATTERN);
+
+    const query = async (filters, options) =>
+      (await storage.queryAuditLog({ session_id: sessionId, ...filters }, options)).map((entry) => entry.event_type);
+
+    assert.deepEqual(await query({ event_types: ["check_started", "check_finished"] }), ["check_finished", "check_started"]);
+    assert.deepEqual(await query({ actors: [`svc_${id}`] }), ["check_finished", "check_started"]);
+    assert.deepEqual(await query({ result: "denied" }), ["check_denied"]);
+    assert.deepEqual(await query({ since: startedAt, until: "9999-01-01 00:00:00" }), ["check_finished", "check_denied", "check_started"]);
+    assert.deepEqual(await query({ until: startedAt }), []);
+    assert.deepEqual(await query({}, { order: "asc", limit: 2 }), ["check_started", "check_denied"]);
+    assert.deepEqual(await query({}, { order: "asc", afterId: all[1].id }), ["check_finished"]);
+    assert.deepEqual(await query({}, { order: "desc", afterId: all[1].id }), ["check_started"]);
+
+    assert.deepEqual((await storage.getAuditTrail(sessionId)).map((entry) => entry.event_type), [
+      "check_started", "check_denied", "check_finished",
+    ]);
+  },
+
+  async "audit: the hash chain holds under concurrent appends"(storage, id) {
+    await Promise.all(
+      Array.from({ length: 10 }, (_, i) => storage.logAuditEvent("check_concurrent", `vs_${id}`, { n: i }))
+    );
+
+    const chain = await storage.verifyAuditChain();
+    assert.equal(chain.valid, true, `chain broken at ${JSON.stringify(chain.broken_at)}`);
+    assert.ok(chain.entries >= 10);
+    assert.equal(chain.head_hash, (await storage.queryAuditLog({}, { limit: 1 }))[0].entry_hash);
+  },
+
+  async "events: ledger, idempotency and outcomes"(storage, id) {
+    const event = {
+      id: `evt_${id}`,
+      type: "identity.verification_session.verified",
+      created: 1700000000,
+      account: "acct_check",
+      data: { object: { id: `vs_${id}` } },
+    };
+    const payload = Buffer.from(JSON.stringify(event));
+
+    assert.equal(await storage.recordWebhookEvent(event, payload, `tenant_${id}`), true);
+    assert.equal(await storage.recordWebhookEvent(event, payload, `tenant_${id}`), false, "a redelivery is not new");
+    assert.equal(await storage.isEventProcessed(event.id), false, "received is not processed");
+
+    let stored = await storage.getWebhookEvent(event.id);
+    assert.equal(stored.event_type, event.type);
+    assert.equal(stored.session_id, `vs_${id}`);
+    assert.equal(stored.stripe_created, 1700000000);
+    assert.equal(stored.outcome, "received");
+    assert.equal(stored.payload, payload.toString("utf8"));
+    assert.equal(stored.payload_hash, crypto.createHash("sha256").update(payload).digest("hex"));
+    assert.equal(stored.tenant_id, `tenant_${id}`);
+    assert.equal(stored.stripe_account, "acct_check");
+    assert.equal(stored.replay_count, 0);
+    assert.equal(stored.processed_at, null);
+    assert.match(stored.received_at, TIMESTAMP_PATTERN);
+
+    await storage.markWebhookEventOutcome(event.id, "failed", "boom");
+    assert.equal(await storage.isEventProcessed(event.id), false, "failed events get another chance");
+    stored = await storage.getWebhookEvent(event.id);
+    assert.equal(stored.error, "boom");
+    assert.match(stored.processed_at, TIMESTAMP_PATTERN);
+
+    await storage.markWebhookEventOutcome(event.id, "processed");
+    assert.equal(await storage.isEventProcessed(event.id), true);
+    assert.equal((await storage.getWebhookEvent(event.id)).error, null);
+
+    await storage.incrementWebhookReplayCount(event.id);
+    await storage.incrementWebhookReplayCount(event.id);
+    assert.equal((await storage.getWebhookEvent(event.id)).replay_count, 2);
+
+    assert.equal(await storage.isEventProcessed(`evt_${id}_missing`), false);
+    assert.ok(!(await storage.getWebhookEvent(`evt_${id}_missing`)));
+  },
+
+  async "stats: totals per tenant and account"(storage, id) {
+    const tenantId = `tenant_${id}`;
+    const countBefore = Object.fromEntries((await storage.countSessionsByStatus()).map((row) => [row.status, row.count]));
+
+    const create = (n, context = {}) => storage.createVerificationRecord(`vs_${id}_${n}`, `user_${id}`, "document", { tenantId, ...context });
+    const move = (n, status, errorCode = null) =>
+      storage.updateVerificationStatus(`vs_${id}_${n}`, status, { source: "webhook", errorCode });
+
+    await create(1);
+    await create(2);
+    await create(3, { stripeAccount: "acct_check" });
+    await create(4);
+    await create(5);
+    await move(2, "processing");
+    await move(3, "requires_input", "document_expired");
+    await move(3, "verified");
+    await move(4, "requires_input", "selfie_mismatch");
+    await move(5, "requires_input", "selfie_mismatch");
+    await move(5, "canceled");
+
+    assert.deepEqual(await storage.getStatistics({ tenantId }), {
+      total_sessions: 5,
+      verified: 1,
+      pending: 2,
+      failed: 2,
+      requires_input: 1,
+      canceled: 1,
+      // 5 created + 6 transitions
+      audit_events: 11,
+      failure_reasons: { selfie_mismatch: 2, document_expired: 1 },
+    });
+
+    const byAccount = await storage.getStatistics({ tenantId, stripeAccount: "acct_check" });
+    assert.equal(byAccount.total_sessions, 1);
+    assert.equal(byAccount.verified, 1);
+    assert.equal(byAccount.audit_events, 3);
+    assert.deepEqual(byAccount.failure_reasons, { document_expired: 1 });
+
+    const overall = await storage.getStatistics();
+    assert.ok(overall.total_sessions >= 5);
+    assert.ok(overall.audit_events >= 11);
+
+    const countAfter = Object.fromEntries((await storage.countSessionsByStatus()).map((row) => [row.status, row.count]));
+    const delta = (status) => (countAfter[status] || 0) - (countBefore[status] || 0);
+    assert.deepEqual(
+      ["created", "processing", "requires_input", "verified", "canceled"].map(delta),
+      [1, 1, 1, 1, 1]
+    );
+    assert.equal(typeof countAfter.created, "number");
+  },
+
+  async "sessions: IDs by user and connected accounts"(storage, id) {
+    const user = `user_${id}`;
+    const since = Math.floor(Date.now() / 1000) - 3600;
+
+    await storage.createVerificationRecord(`vs_${id}_1`, user, "document", { tenantId: `tenant_${id}`, stripeAccount: `acct_${id}_a` });
+    await storage.createVerificationRecord(`vs_${id}_2`, user, "document", { stripeAccount: `acct_${id}_b` });
+    await storage.createVerificationRecord(`vs_${id}_3`, `other_${id}`, "document");
+
+    assert.deepEqual((await storage.listSessionIdsByUser(user)).sort(), [`vs_${id}_1`, `vs_${id}_2`]);
+    assert.deepEqual((await storage.listSessionIdsByUser(pseudonymizeUserReference(user))).sort(), [`vs_${id}_1`, `vs_${id}_2`]);
+    assert.deepEqual(await storage.listSessionIdsByUser(`nobody_${id}`), []);
+
+    const accounts = async (createdSince) =>
+      (await storage.listConnectedAccounts(createdSince)).filter((row) => row.stripe_account.startsWith(`acct_${id}_`));
+
+    // Sessions without a tenant first
+    assert.deepEqual(await accounts(since), [
+      { tenant_id: null, stripe_account: `acct_${id}_b` },
+      { tenant_id: `tenant_${id}`, stripe_account: `acct_${id}_a` },
+    ]);
+    assert.deepEqual(await accounts(since + 2 * 3600), []);
+  },
+
+  async "sessions: purge keeps the audit chain verifiable"(storage, id) {
+    const user = `user_${id}`;
+    const sessionId = `vs_${id}_1`;
+    const event = { id: `evt_${id}`, type: "identity.verification_session.requires_input", created: 1700000000, data: { object: { id: sessionId } } };
+
+    await storage.createVerificationRecord(sessionId, user, "document");
+    await storage.createVerificationRecord(`vs_${id}_2`, user, "document");
+    await storage.updateVerificationStatus(sessionId, "requires_input", { source: "webhook", errorCode: "document_expired" });
+    await storage.recordWebhookEvent(event, Buffer.from(JSON.stringify(event)));
+
+    const { deleted, event_ids } = await storage.purgeSessionData([sessionId], `check ${id}`);
+    assert.deepEqual(deleted, {
+      sessions: 1,
+      status_history: 1,
+      verification_errors: 1,
+      audit_log_redacted: 2,
+      webhook_events: 1,
+    });
+    assert.deepEqual(event_ids, [event.id]);
+
+    assert.ok(!(await storage.getVerificationBySessionId(sessionId)));
+    assert.ok(!(await storage.getWebhookEvent(event.id)));
+    assert.deepEqual(await storage.getStatusHistory(sessionId), []);
+    assert.deepEqual(await storage.getAuditTrail(sessionId), []);
+    assert.deepEqual(await storage.listSessionIdsByUser(user), [`vs_${id}_2`]);
+
+    const chain = await storage.verifyAuditChain();
+    assert.equal(chain.valid, true, `chain broken at ${JSON.stringify(chain.broken_at)}`);
+    assert.ok(chain.redacted >= 2);
+  },
+
+  async "sessions: pseudonym rotation report"(storage, id) {
+    await storage.createVerificationRecord(`vs_${id}`, `user_${id}`, "document");
+
+    // Written under the current key version: nothing to rotate
+    const report = await storage.rotateStoredPseudonyms({ dryRun: true });
+    assert.deepEqual(Object.keys(report), ["verification_sessions"]);
+    assert.ok(report.verification_sessions.values >= 1);
+    assert.equal(report.verification_sessions.rotated, 0);
+    assert.equal(report.verification_sessions.rows, 0);
+  },
+
+  async "audit: user events and their redaction"(storage, id) {
+    const user = `user_${id}`;
+
+    await storage.logAuditEvent("check_user_event", null, { user_reference: user });
+    await storage.logAuditEvent("check_user_event", `vs_${id}`, { user_reference: user });
+    await storage.logAuditEvent("check_user_action", null, { actor: pseudonymizeUserReference(user) });
+    await storage.logAuditEvent("check_user_event", null, { user_reference: `other_${id}` });
+
+    const events = await storage.getUserAuditEvents(user);
+    assert.deepEqual(events.map((event) => [event.event_type, event.session_id]), [
+      ["check_user_event", null],
+      ["check_user_event", `vs_${id}`],
+    ]);
+    assert.deepEqual(Object.keys(events[0]).sort(), ["event_type", "metadata", "result", "session_id", "timestamp"]);
+
+    // As the subject and as the caller that acted
+    assert.equal(await storage.redactUserAuditEntries(user, `check ${id}`), 3);
+    assert.deepEqual(await storage.getUserAuditEvents(user), []);
+    assert.equal((await storage.getUserAuditEvents(`other_${id}`)).length, 1);
+
+    const [redacted] = await storage.queryAuditLog({ event_types: ["check_user_action"] }, { limit: 1 });
+    assert.equal(redacted.metadata, null);
+    assert.equal(redacted.redaction_reason, `check ${id}`);
+    assert.match(redacted.redacted_at, TIMESTAMP_PATTERN);
+
+    const chain = await storage.verifyAuditChain();
+    assert.equal(chain.valid, true, `chain broken at ${JSON.stringify(chain.broken_at)}`);
+  },
+
+  async "events: last processed event"(storage, id) {
+    const event = { id: `evt_${id}`, type: "identity.verification_session.verified", created: 1700000000, data: { object: { id: `vs_${id}` } } };
+
+    await storage.recordWebhookEvent(event, Buffer.from(JSON.stringify(event)));
+    await storage.markWebhookEventOutcome(event.id, "processed");
+
+    const last = await storage.getLastProcessedWebhookEvent();
+    assert.match(last.last_processed_at, TIMESTAMP_PATTERN);
+    assert.ok(last.last_processed_at >= (await storage.getWebhookEvent(event.id)).processed_at);
+    assert.equal(typeof last.last_processed_seconds, "number");
+    assert.ok(last.last_processed_seconds >= 0 && last.last_processed_seconds < 60);
+  },
+
+  async "stats: time series"(storage, id) {
+    const tenantId = `tenant_${id}`;
+    const day = new Date().toISOString().slice(0, 10);
+    const range = {
+      from: `${day} 00:00:00`,
+      to: new Date(Date.parse(`${day}T00:00:00Z`) + 86400 * 1000).toISOString().replace("T", " ").slice(0, 19),
+      tenantId,
+    };
+
+    for (const n of [1, 2, 3, 4]) {
+      await storage.createVerificationRecord(`vs_${id}_${n}`, `user_${id}`, n === 4 ? "id_number" : "document", { tenantId });
+    }
+    await storage.updateVerificationStatus(`vs_${id}_1`, "processing", { source: "webhook" });
+    await storage.updateVerificationStatus(`vs_${id}_1`, "verified", { source: "webhook" });
+    await storage.updateVerificationStatus(`vs_${id}_2`, "requires_input", { source: "webhook", errorCode: "selfie_mismatch" });
+    await storage.updateVerificationStatus(`vs_${id}_3`, "canceled", { source: "webhook" });
+
+    const series = await storage.getVerificationTimeseries({ interval: "day", ...range });
+    assert.deepEqual(series.funnel, [
+      { bucket: day, created: 4, processing: 1, verified: 1, requires_input: 1, canceled: 1, redacted: 0 },
+    ]);
+    assert.equal(series.medians.length, 1);
+    assert.equal(series.medians[0].bucket, day);
+    assert.ok(series.medians[0].median_seconds >= 0 && series.medians[0].median_seconds < 60);
+    assert.equal(series.total_median, series.medians[0].median_seconds);
+    assert.deepEqual(series.failures, [{ bucket: day, error_code: "selfie_mismatch", count: 1 }]);
+
+    const documents = await storage.getVerificationTimeseries({ interval: "month", ...range, verificationType: "id_number" });
+    assert.deepEqual(documents.funnel.map((row) => [row.bucket, row.created]), [[`${day.slice(0, 7)}-01`, 1]]);
+    assert.equal(documents.total_median, undefined);
+  },
+
+  async "upkeep: retention rules, dry run first"(storage, id) {
+    const purged = `check_retention_${id}`;
+    const anonymized = `check_anonymize_${id}`;
+
+    await storage.logAuditEvent(purged, `vs_${id}`, {});
+    await storage.logAuditEvent(purged, `vs_${id}`, {});
+    await storage.logAuditEvent(anonymized, null, { ip: "203.0.113.7", n: 1 }, "203.0.113.7");
+
+    const purge = { table: "audit_log", action: "delete", after_days: 0, status: purged };
+    const preview = await storage.applyRetentionRule(purge, { dryRun: true });
+    assert.deepEqual(preview, { affected: 2, deleted: { audit_log_redacted: 2 } });
+    assert.equal((await storage.queryAuditLog({ event_types: [purged] }))[0].redacted_at, null, "a dry run changes nothing");
+
+    assert.deepEqual(await storage.applyRetentionRule(purge), { affected: 2, deleted: { audit_log_redacted: 2 } });
+    const entries = await storage.queryAuditLog({ event_types: [purged] });
+    assert.deepEqual(entries.map((entry) => [entry.session_id, entry.redaction_reason]), [[null, "retention"], [null, "retention"]]);
+
+    const anonymize = { table: "audit_log", action: "anonymize", column: "ip_address", after_days: 0, status: anonymized };
+    assert.deepEqual(await storage.applyRetentionRule(anonymize), { affected: 1 });
+    const [entry] = await storage.queryAuditLog({ event_types: [anonymized] });
+    assert.equal(entry.ip_address, null);
+    assert.deepEqual(JSON.parse(entry.metadata), { n: 1 });
+    assert.equal(entry.redaction_reason, "retention: ip_address");
+
+    const chain = await storage.verifyAuditChain();
+    assert.equal(chain.valid, true, `chain broken at ${JSON.stringify(chain.broken_at)}`);
+
+    // Sessions: the purged IDs come back for the caller's queue cleanup
+    await storage.createVerificationRecord(`vs_${id}`, `user_${id}`, "document");
+    await storage.updateVerificationStatus(`vs_${id}`, "canceled", { source: "webhook" });
+    const sessions = await storage.applyRetentionRule(
+      { table: "verification_sessions", action: "delete", after_days: 0, status: "canceled" },
+      { dryRun: true }
+    );
+    assert.ok(sessions.affected >= 1);
+    assert.ok(sessions.session_ids.includes(`vs_${id}`));
+    assert.ok(Array.isArray(sessions.event_ids));
+    assert.ok(await storage.getVerificationBySessionId(`vs_${id}`), "a dry run changes nothing");
+  },
+
+  async "upkeep: ping"(storage) {
+    assert.equal(await storage.ping(), true);
+  },
+};
+
+async function runChecks(storage) {
+  const run = crypto.randomBytes(4).toString("hex");
+  let failures = 0;
+
+  console.log(`\n🧪 STORAGE CONFORMANCE - ${storage.backend}`);
+  console.log("=".repeat(80));
+
+  for (const [index, [name, check]] of Object.entries(CHECKS).entries()) {
+    try {
+      await check(storage, `check_${run}_${index + 1}`);
+      console.log(`✅ ${name}`);
+    } catch (err) {
+      failures++;
+      console.log(`❌ ${name}: ${err.message}`);
+    }
+  }
+
+  return failures;
+}
+
+// ==================== BACKENDS ====================
+
+// The local SQLite database (the sqlite backend, and the outbox of every backend)
+// is a scratch file for the whole run
+const scratchDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "storage-check-"));
+process.env.DATABASE_PATH = path.join(scratchDirectory, "verification.db");
+
+async function checkSqlite() {
+  return runChecks(await createStorage("sqlite"));
+}
+
+// A throwaway PostgreSQL: STORAGE_CHECK_DATABASE_URL, or PGlite behind the wire protocol so the
+// adapter talks to it through pg like to a real server
+async function startPostgres() {
+  if (process.env.STORAGE_CHECK_DATABASE_URL) {
+    return { connectionString: process.env.STORAGE_CHECK_DATABASE_URL, stop: async () => {} };
+  }
+
+  const { PGlite } = await import("@electric-sql/pglite");
+  const { PGLiteSocketServer } = await import("@electric-sql/pglite-socket");
+
+  const db = await PGlite.create();
+  const server = new PGLiteSocketServer({ db, host: "127.0.0.1", port: 0, maxConnections: 4 });
+  await server.start();
+
+  return {
+    connectionString: `postgres://postgres@${server.getServerConn()}/postgres`,
+    stop: async () => {
+      await server.stop();
+      await db.close();
+    },
+  };
+}
+
+async function checkPostgres() {
+  const postgres = await startPostgres();
+
+  try {
+    const storage = await createStorage("postgres", { connectionString: postgres.connectionString, poolSize: 4 });
+    try {
+      return await runChecks(storage);
+    } finally {
+      await storage.close();
+    }
+  } finally {
+    await postgres.stop();
+  }
+}
+
+const BACKEND_CHECKS = {
+  sqlite: checkSqlite,
+  postgres: checkPostgres,
+};
+
+try {
+  let failures = 0;
+
+  for (const backend of targets) {
+    failures += await BACKEND_CHECKS[backend]();
+  }
+
+  console.log(failures === 0 ? "\n✅ All storage checks passed\n" : `\n❌ ${failures} storage check(s) failed\n`);
+  process.exitCode = failures === 0 ? 0 : 1;
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+} finally {
+  fs.rmSync(scratchDirectory, { recursive: true, force: true });
+}
+
+process.exit();
@@ -0,0 +1,56 @@
+// Create or revoke API keys for service-to-service callers
+//
+// Usage:
+//   node create-api-key.js <name> [--admin] [--tenant <tenant_id>]
+//   node create-api-key.js --revoke <key_id>
+import { createApiClient, revokeApiClient } from "./database.js";
+import { getStorage, closeStorage } from "./storage.js";
+
+const args = process.argv.slice(2);
+const storage = await getStorage();
+
+if (args[0] === "--revoke") {
+  const keyId = args[1];
+
+  if (!keyId) {
+    console.error("❌ Usage: node create-api-key.js --revoke <key_id>");
+    process.exit(1);
+  }
+
+  if (revokeApiClient(keyId)) {
+    await storage.logAuditEvent("api_client_revoked", null, { key_id: keyId });
+    console.log(`✅ API key revoked: ${keyId}`);
+  } else {
+    console.error(`❌ No active API key found: ${keyId}`);
+    process.exit(1);
+  }
+} else {
+  const tenantIndex = args.indexOf("--tenant");
+  const tenantId = tenantIndex >= 0 ? args[tenantIndex + 1] : null;
+  const name = args.find((arg, i) => !arg.startsWith("--") && (tenantIndex < 0 || i !== tenantIndex + 1));
+
+  if (!name || (tenantIndex >= 0 && !tenantId)) {
+    console.error("❌ Usage: node create-api-key.js <name> [--admin] [--tenant <tenant_id>]");
+    process.exit(1);
+  }
+
+  const roles = args.includes("--admin") ? ["service", "admin"] : ["service"];
+  const client = createApiClient(name, roles, tenantId);
+
+  await storage.logAuditEvent("api_client_created", null, { key_id: client.key_id, name, roles, tenant_id: tenantId });
+
+  console.log("\n🔑 API KEY CREATED");
+  console.log("=".repeat(80));
+  console.log(`Name:    ${client.name}`);
+  console.log(`Roles:   ${client.roles.join(", ")}`);
+  console.log(`Tenant:  ${client.tenant_id || "N/A"}`);
+  console.log(`Key ID:  ${client.key_id}`);
+  console.log(`Secret:  ${client.secret}`);
+  console.log("\n⚠️  Store the secret securely - it is not shown again.");
+  console.log("\nSign each request with:");
+  console.log("  X-Api-Key:   <key id>");
+  console.log("  X-Timestamp: <unix seconds>");
+  console.log("  X-Signature: hex(HMAC-SHA256(secret, `${timestamp}.${METHOD}.${path}.${rawBody}`))\n");
+}
+
+await closeStorage();
@@ -0,0 +1,306 @@
+import crypto from "crypto";
+import { zipSync, strToU8 } from "fflate";
+import {
+  createDataExport,
+  claimPendingDataExports,
+  completeDataExport,
+  failDataExport,
+  resetStuckDataExports,
+  deleteExpiredDataExports,
+} from "./database.js";
+import { getStorage } from "./storage.js";
+import { log } from "./logger.js";
+import { pseudonymizeUserReference } from "./pseudonymize.js";
+
+// ==================== DATA SUBJECT ACCESS EXPORT ====================
+// GDPR Article 15: everything we hold about a user - sessions, status history,
+// failed attempts and audit events - as a JSON document or a zip of CSV files.
+//
+// Small exports are returned directly; larger ones (or ?async=true) become an
+// export job that is generated in the background and downloaded later.
+// Every document is signed: X-Export-Signature = hex(HMAC-SHA256(EXPORT_SIGNING_SECRET, document)).
+
+export const EXPORT_FORMATS = ["json", "zip"];
+const EXPORT_VERSION = 1;
+const BATCH_SIZE = 5;
+
+// Read lazily so values from .env (loaded after imports) are honoured
+const getInlineMaxSessions = () => Number(process.env.EXPORT_INLINE_MAX_SESSIONS ?? 20);
+const getTtlHours = () => Number(process.env.EXPORT_TTL_HOURS) || 24;
+const getPollIntervalMs = () => Number(process.env.EXPORT_POLL_MS) || 5000;
+
+let timer = null;
+let running = false;
+
+export class DataExportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Collect everything stored about a user
+ * @param {string} userReference - User identifier
+ * @param {string|null} tenantId - Only this tenant's sessions (null: everything)
+ * @returns {Promise<object>} Export document
+ */
+export async function buildExportDocument(userReference, tenantId = null) {
+  const storage = await getStorage();
+  const sessions = [];
+
+  for (const session of await storage.getVerificationsByUser(userReference, { tenantId })) {
+    sessions.push({
+      ...session,
+      status_history: await storage.getStatusHistory(session.session_id),
+      errors: await storage.getVerificationErrors(session.session_id),
+      audit_log: (await storage.getAuditTrail(session.session_id)).map(parseAuditMetadata),
+    });
+  }
+
+  return {
+    export_version: EXPORT_VERSION,
+    // As we hold it (pseudonymized)
+    user_reference: pseudonymizeUserReference(userReference),
+    generated_at: new Date().toISOString(),
+    sessions,
+    ...(tenantId && { tenant_id: tenantId }),
+    // Events about the user that are not tied to one session (e.g. erasure or export
+    // requests) - platform-wide, so not in a tenant's export
+    audit_log: tenantId
+      ? []
+      : (await storage.getUserAuditEvents(userReference))
+          .filter((event) => !event.session_id)
+          .map(parseAuditMetadata),
+  };
+}
+
+function parseAuditMetadata(event) {
+  try {
+    return { ...event, metadata: event.metadata ? JSON.parse(event.metadata) : null };
+  } catch {
+    return event;
+  }
+}
+
+/**
+ * Quote a value for a CSV cell (objects as JSON)
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+export function toCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  return [columns.join(","), ...rows.map((row) => columns.map((c) => toCsvValue(row[c])).join(","))].join("\r\n") + "\r\n";
+}
+
+// One CSV per table, each row keyed by session_id
+function renderZip(doc) {
+  const withSession = (key) =>
+    doc.sessions.flatMap((s) => s[key].map((row) => ({ session_id: s.session_id, ...row })));
+
+  const files = {
+    "sessions.csv": toCsv(
+      ["session_id", "status", "verification_type", "created_at", "updated_at", "verified_at"],
+      doc.sessions
+    ),
+    "status_history.csv": toCsv(
+      ["session_id", "id", "from_status", "to_status", "source", "event_id", "error_code", "legal", "applied", "created_at"],
+      withSession("status_history")
+    ),
+    "errors.csv": toCsv(
+      ["session_id", "error_code", "error_reason", "source", "event_id", "occurred_at"],
+      withSession("errors")
+    ),
+    "audit_log.csv": toCsv(
+      ["session_id", "event_type", "timestamp", "result", "metadata"],
+      [...withSession("audit_log"), ...doc.audit_log]
+    ),
+    "manifest.json": JSON.stringify(
+      {
+        export_version: doc.export_version,
+        user_reference: doc.user_reference,
+        generated_at: doc.generated_at,
+      },
+      null,
+      2
+    ),
+  };
+
+  return Buffer.from(
+    zipSync(Object.fromEntries(Object.entries(files).map(([name, text]) => [name, strToU8(text)])))
+  );
+}
+
+/**
+ * Render and sign a user's export
+ * @param {string} userReference - User identifier
+ * @param {string} format - json | zip
+ * @param {string|null} tenantId - Only this tenant's sessions
+ * @returns {Promise<object>} { content, content_type, filename, sha256, signature }
+ */
+export async function generateExport(userReference, format, tenantId = null) {
+  const secret = process.env.EXPORT_SIGNING_SECRET;
+  if (!secret) {
+    throw new DataExportError("EXPORT_SIGNING_SECRET is not configured", 503);
+  }
+
+  const doc = await buildExportDocument(userReference, tenantId);
+  const content = format === "zip" ? renderZip(doc) : Buffer.from(JSON.stringify(doc, null, 2));
+  const stamp = doc.generated_at.slice(0, 10);
+
+  return {
+    content,
+    content_type: format === "zip" ? "application/zip" : "application/json",
+    filename: `user-data-export-${stamp}.${format}`,
+    sha256: crypto.createHash("sha256").update(content).digest("hex"),
+    signature: crypto.createHmac("sha256", secret).update(content).digest("hex"),
+  };
+}
+
+/**
+ * Export a user's data: directly when small, otherwise as a background job
+ * @param {string} userReference - User identifier
+ * @param {object} options - { format, async, actor, tenantId } - a tenant caller's export only
+ *   covers that tenant's sessions
+ * @returns {Promise<object>} { file } for a direct export, or { job } for a background one
+ */
+export async function requestExport(userReference, { format = "json", async = false, actor = null, tenantId = null } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new DataExportError(`format must be one of: ${EXPORT_FORMATS.join(", ")}`);
+  }
+
+  const storage = await getStorage();
+
+  if (!async && (await storage.countVerificationsByUser(userReference, { tenantId })) <= getInlineMaxSessions()) {
+    const file = await generateExport(userReference, format, tenantId);
+
+    await storage.logAuditEvent("data_exported", null, {
+      user_reference: userReference,
+      format,
+      sha256: file.sha256,
+      delivery: "inline",
+      actor,
+    });
+
+    return { file };
+  }
+
+  // Fail now rather than in the background when exports cannot be signed
+  if (!process.env.EXPORT_SIGNING_SECRET) {
+    throw new DataExportError("EXPORT_SIGNING_SECRET is not configured", 503);
+  }
+
+  const job = createDataExport(userReference, format, actor, tenantId);
+
+  await storage.logAuditEvent("data_export_requested", null, {
+    user_reference: userReference,
+    export_id: job.id,
+    format,
+    actor,
+  });
+  log.info(`Data export ${job.id} queued (${format})`);
+
+  setImmediate(drainDataExports);
+
+  return { job };
+}
+
+/**
+ * Public view of an export job (no content)
+ * @param {object} job - Export from getDataExport
+ * @returns {object} Status
+ */
+export function toExportStatus(job) {
+  return {
+    export_id: job.id,
+    status: job.status,
+    format: job.format,
+    error: job.error,
+    requested_at: job.requested_at,
+    completed_at: job.completed_at,
+    expires_at: job.expires_at,
+    sha256: job.sha256,
+    signature: job.signature,
+    ...(job.status === "ready" && { download_url: `/user-data/exports/${job.id}/download` }),
+  };
+}
+
+/**
+ * Generate every pending export and drop expired ones
+ * @returns {Promise<number>} Number of exports generated
+ */
+export async function drainDataExports() {
+  if (running) {
+    return 0;
+  }
+  running = true;
+
+  try {
+    const expired = deleteExpiredDataExports();
+    if (expired > 0) {
+      log.debug(`Deleted ${expired} expired data export(s)`);
+    }
+
+    const storage = await getStorage();
+    const jobs = claimPendingDataExports(BATCH_SIZE);
+
+    for (const job of jobs) {
+      try {
+        const file = await generateExport(job.user_reference, job.format, job.tenant_id);
+        completeDataExport(job.id, file, getTtlHours());
+
+        await storage.logAuditEvent("data_exported", null, {
+          user_reference: job.user_reference,
+          export_id: job.id,
+          format: job.format,
+          sha256: file.sha256,
+          delivery: "download",
+        });
+        log.info(`Data export ${job.id} ready`);
+      } catch (err) {
+        failDataExport(job.id, err.message);
+        log.error(`Data export ${job.id} failed: ${err.message}`);
+      }
+
+      // Let requests through between large exports
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    return jobs.length;
+  } catch (err) {
+    log.error(`Data export worker error: ${err.message}`);
+    return 0;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Generate queued exports in the background
+ */
+export function startDataExportWorker() {
+  if (timer) {
+    return;
+  }
+
+  const recovered = resetStuckDataExports();
+  if (recovered > 0) {
+    log.warn(`Resuming ${recovered} data export(s) interrupted by a previous shutdown`);
+  }
+
+  timer = setInterval(drainDataExports, getPollIntervalMs());
+  log.debug(`Data export worker started (poll ${getPollIntervalMs()}ms)`);
+}
+
+/**
+ * Stop the data export worker
+ */
+export function stopDataExportWorker() {
+  clearInterval(timer);
+  timer = null;
+}
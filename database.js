@@ -1,103 +1,75 @@
-import Database from "better-sqlite3";
-import path from "path";
-import { fileURLToPath } from "url";
+import crypto from "crypto";
+import fs from "fs";
+import { openDatabase } from "./db-connection.js";
+import { migrateOnStartup } from "./migrations.js";
+import { isValidStatus, isLegalTransition, getStateMachineMode } from "./verification-state.js";
+import { statusEvents } from "./status-events.js";
+import { log } from "./logger.js";
+import {
+  GENESIS_HASH,
+  getAuditHashAlgorithm,
+  computeContentHash,
+  computeEntryHash,
+  checkAuditEntry,
+  insertChainedEntry,
+  toRedactionMark,
+  AUDIT_REDACTION_EVENT,
+  AUDIT_REDACTION_BATCH,
+  AUDIT_RESULTS,
+} from "./audit-chain.js";
+import {
+  getPseudonymizationKeys,
+  getPseudonymVersion,
+  pseudonymizeUserReference,
+  pseudonymizeUserReferenceForLookup,
+  pseudonymizeIp,
+  userReferenceCandidates,
+} from "./pseudonymize.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Open the database (DATABASE_PATH) and bring its schema up to date - the
+// schema is defined by the migrations in migrations/ (see migrations.js)
+const db = openDatabase();
+migrateOnStartup(db);
 
-// Initialize SQLite database
-const db = new Database(path.join(__dirname, "verification.db"));
-
-// Enable WAL mode for better concurrency
-db.pragma("journal_mode = WAL");
-
-// Create tables with SECURE schema - NO PII STORAGE
-db.exec(`
-  CREATE TABLE IF NOT EXISTS verification_sessions (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-
-    -- Stripe session ID (unique identifier)
-    session_id TEXT UNIQUE NOT NULL,
-
-    -- User reference (YOUR internal user ID, email hash, or anonymized identifier)
-    -- NEVER store raw email/name - use hashed ID or pseudonymized reference
-    user_reference TEXT NOT NULL,
-
-    -- Verification metadata (no PII)
-    status TEXT NOT NULL DEFAULT 'created',
-    verification_type TEXT NOT NULL,
-
-    -- Timestamps for audit trail
-    created_at TEXT NOT NULL DEFAULT (datetime('now')),
-    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
-    verified_at TEXT,
-
-    -- Stripe webhook event IDs for traceability
-    last_event_id TEXT,
-
-    -- DO NOT STORE:
-    -- - Document images
-    -- - Full names
-    -- - Addresses
-    -- - Date of birth
-    -- - Document numbers
-    -- These remain ONLY in Stripe's secure vault
-
-    UNIQUE(session_id)
-  );
-
-  -- Audit log table for compliance (GDPR Article 30 - Records of processing)
-  CREATE TABLE IF NOT EXISTS audit_log (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-
-    -- What happened
-    event_type TEXT NOT NULL,
-    session_id TEXT,
-
-    -- When it happened
-    timestamp TEXT NOT NULL DEFAULT (datetime('now')),
-
-    -- Additional context (no PII)
-    metadata TEXT,
-
-    -- IP address (can be PII under GDPR - hash or anonymize if needed)
-    -- For POC, we'll store but document retention policy
-    ip_address TEXT,
-
-    -- Result/status
-    result TEXT
-  );
-
-  -- Create indexes for performance
-  CREATE INDEX IF NOT EXISTS idx_session_id ON verification_sessions(session_id);
-  CREATE INDEX IF NOT EXISTS idx_user_reference ON verification_sessions(user_reference);
-  CREATE INDEX IF NOT EXISTS idx_status ON verification_sessions(status);
-  CREATE INDEX IF NOT EXISTS idx_created_at ON verification_sessions(created_at);
-  CREATE INDEX IF NOT EXISTS idx_audit_timestamp ON audit_log(timestamp);
-`);
+// Outcome recorded in audit_log.result (see audit-chain.js)
+export { AUDIT_RESULTS };
 
 // ==================== SECURE DATA ACCESS FUNCTIONS ====================
+// Sessions, the audit log, the webhook event ledger and their statistics are the
+// SQLite backend of storage.js (see storage-sqlite.js): the rest of the server
+// reaches them through getStorage(), never directly. Queues, tenants, erasure
+// jobs and the other tables below are used directly.
 
 /**
  * Create a new verification session record
  * @param {string} sessionId - Stripe verification session ID
- * @param {string} userReference - Anonymized/hashed user identifier (NOT email/name)
- * @param {string} verificationType - Type of verification (document, document+selfie)
+ * @param {string} rawUserReference - Raw user identifier (pseudonymized here before it is stored, see pseudonymize.js)
+ * @param {string} verificationType - Type of verification (document, document+selfie, id_number)
+ * @param {object} context - Optional tenant ID, verification policy name and connected account ID,
+ *   and the actor and client IP for the audit entry
  * @returns {object} Created record
  */
-export function createVerificationRecord(sessionId, userReference, verificationType) {
+export function createVerificationRecord(sessionId, rawUserReference, verificationType, context = {}) {
+  const { tenantId = null, policyName = null, stripeAccount = null, actor = null, ipAddress = null } = context;
+  const userReference = pseudonymizeUserReference(rawUserReference);
+
   const stmt = db.prepare(`
-    INSERT INTO verification_sessions (session_id, user_reference, verification_type, status)
-    VALUES (?, ?, ?, 'created')
+    INSERT INTO verification_sessions
+      (session_id, user_reference, verification_type, status, tenant_id, verification_policy, stripe_account)
+    VALUES (?, ?, ?, 'created', ?, ?, ?)
   `);
 
-  const result = stmt.run(sessionId, userReference, verificationType);
+  const result = stmt.run(sessionId, userReference, verificationType, tenantId, policyName, stripeAccount);
 
   // Audit log
   logAuditEvent("session_created", sessionId, {
     user_reference: userReference,
     verification_type: verificationType,
-  });
+    tenant_id: tenantId,
+    verification_policy: policyName,
+    stripe_account: stripeAccount,
+    actor,
+  }, ipAddress);
 
   return {
     id: result.lastInsertRowid,
@@ -108,31 +80,159 @@ export function createVerificationRecord(sessionId, userReference, verificationT
 }
 
 /**
- * Update verification status (called from webhook)
+ * Update verification status through the state machine (see verification-state.js)
+ * Every attempt on an existing session is recorded in verification_status_history.
  * @param {string} sessionId - Stripe session ID
- * @param {string} status - New status (verified, requires_input, canceled, processing)
- * @param {string} eventId - Stripe event ID for idempotency
- * @returns {boolean} Success
+ * @param {string} status - New status (verified, requires_input, canceled, processing, redacted)
+ * @param {object} transition - How the change came about
+ * @param {string} transition.source - webhook | sync | manual | reconciliation
+ * @param {string|null} transition.eventId - Stripe event ID (webhooks only)
+ * @param {number|null} transition.eventCreated - Stripe event.created (unix seconds), webhooks only
+ * @param {string|null} transition.errorCode - Stripe last_error.code, if any
+ * @param {string|null} transition.errorReason - Stripe last_error.reason, if any
+ * @returns {object} { found, applied, legal, from, to, historyId }
  */
-export function updateVerificationStatus(sessionId, status, eventId) {
-  const stmt = db.prepare(`
+export function updateVerificationStatus(sessionId, status, transition) {
+  const { source, eventId = null, eventCreated = null, errorCode = null, errorReason = null } = transition;
+
+  if (!isValidStatus(status)) {
+    throw new Error(`Unknown verification status: ${status}`);
+  }
+
+  const selectCurrent = db.prepare("SELECT status FROM verification_sessions WHERE session_id = ?");
+  const update = db.prepare(`
     UPDATE verification_sessions
     SET status = ?,
         updated_at = datetime('now'),
         verified_at = CASE WHEN ? = 'verified' THEN datetime('now') ELSE verified_at END,
-        last_event_id = ?
+        last_event_id = COALESCE(?, last_event_id),
+        last_event_created = COALESCE(?, last_event_created)
     WHERE session_id = ?
   `);
+  const insertHistory = db.prepare(`
+    INSERT INTO verification_status_history
+      (session_id, from_status, to_status, source, event_id, error_code, legal, applied)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertError = db.prepare(`
+    INSERT INTO verification_errors (session_id, event_id, source, error_code, error_reason)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  const setLastError = db.prepare(`
+    UPDATE verification_sessions SET error_code = ?, error_reason = ? WHERE session_id = ?
+  `);
 
-  const result = stmt.run(status, status, eventId, sessionId);
+  const transaction = db.transaction(() => {
+    const current = selectCurrent.get(sessionId);
+    if (!current) {
+      return { found: false, applied: false, legal: false, from: null, to: status };
+    }
 
-  // Audit log
-  logAuditEvent("status_updated", sessionId, {
-    new_status: status,
-    event_id: eventId,
+    const legal = isLegalTransition(current.status, status);
+    const applied = legal || getStateMachineMode() === "flag";
+
+    if (applied) {
+      update.run(status, status, eventId, eventCreated, sessionId);
+
+      // A failed attempt: keep its reason per attempt and as the session's latest error
+      if (status === "requires_input" && errorCode) {
+        insertError.run(sessionId, eventId, source, errorCode, errorReason);
+        setLastError.run(errorCode, errorReason, sessionId);
+      } else if (status === "verified") {
+        setLastError.run(null, null, sessionId);
+      }
+
+      enqueueStatusChangeEvent(getVerificationBySessionId(sessionId), current.status);
+    }
+    const history = insertHistory.run(
+      sessionId, current.status, status, source, eventId, errorCode, legal ? 1 : 0, applied ? 1 : 0
+    );
+
+    return {
+      found: true,
+      applied,
+      legal,
+      from: current.status,
+      to: status,
+      historyId: Number(history.lastInsertRowid),
+    };
   });
 
-  return result.changes > 0;
+  const result = transaction();
+
+  if (result.found) {
+    // Audit log
+    logAuditEvent(result.applied ? "status_updated" : "status_transition_rejected", sessionId, {
+      previous_status: result.from,
+      new_status: status,
+      source,
+      event_id: eventId,
+      legal: result.legal,
+    }, null, result.applied ? AUDIT_RESULTS.SUCCESS : AUDIT_RESULTS.REJECTED);
+  }
+
+  if (result.applied) {
+    notifyStatusTransition(sessionId, result, source);
+  }
+
+  return result;
+}
+
+// Tell in-process subscribers (outbound webhooks, live streams) about a committed change
+function notifyStatusTransition(sessionId, result, source) {
+  const record = getVerificationBySessionId(sessionId);
+
+  try {
+    statusEvents.emit("transition", {
+      history_id: result.historyId,
+      session_id: sessionId,
+      user_reference: record.user_reference,
+      status: result.to,
+      previous_status: result.from,
+      source,
+      created_at: record.created_at,
+      updated_at: record.updated_at,
+      verified_at: record.verified_at,
+      occurred_at: new Date().toISOString(),
+    });
+  } catch (err) {
+    // The status change is already committed - a listener bug must not undo the caller's work
+    log.error(`Status transition listener failed for ${sessionId}: ${err.message}`);
+  }
+}
+
+/**
+ * Get the failed attempts of a session (oldest first)
+ * @param {string} sessionId - Stripe session ID
+ * @returns {array} Error code and reason per attempt
+ */
+export function getVerificationErrors(sessionId) {
+  return db
+    .prepare(`
+      SELECT error_code, error_reason, source, event_id, occurred_at
+      FROM verification_errors
+      WHERE session_id = ?
+      ORDER BY id ASC
+    `)
+    .all(sessionId);
+}
+
+/**
+ * Get the status timeline of a session (oldest first)
+ * @param {string} sessionId - Stripe session ID
+ * @param {number} afterId - Only entries with a greater history ID (live stream resume)
+ * @returns {array} Status history entries
+ */
+export function getStatusHistory(sessionId, afterId = 0) {
+  return db
+    .prepare(`
+      SELECT id, from_status, to_status, source, event_id, error_code, legal, applied, created_at
+      FROM verification_status_history
+      WHERE session_id = ? AND id > ?
+      ORDER BY id ASC
+    `)
+    .all(sessionId, afterId)
+    .map((row) => ({ ...row, legal: row.legal === 1, applied: row.applied === 1 }));
 }
 
 /**
@@ -142,7 +242,8 @@ export function updateVerificationStatus(sessionId, status, eventId) {
  */
 export function getVerificationBySessionId(sessionId) {
   const stmt = db.prepare(`
-    SELECT session_id, user_reference, status, verification_type, created_at, updated_at, verified_at
+    SELECT session_id, user_reference, status, verification_type, created_at, updated_at, verified_at,
+           last_event_created, error_code, error_reason, last_synced_at, tenant_id, stripe_account
     FROM verification_sessions
     WHERE session_id = ?
   `);
@@ -150,52 +251,286 @@ export function getVerificationBySessionId(sessionId) {
   return stmt.get(sessionId);
 }
 
+/**
+ * Record that a session's status was just confirmed against Stripe
+ * @param {string} sessionId - Stripe session ID
+ */
+export function markVerificationSynced(sessionId) {
+  db.prepare(`
+    UPDATE verification_sessions
+    SET last_synced_at = CURRENT_TIMESTAMP
+    WHERE session_id = ?
+  `).run(sessionId);
+}
+
 /**
  * Get verification status by user reference
- * @param {string} userReference - Your internal user identifier
- * @returns {array} All verifications for this user (no PII)
+ * @param {string} userReference - Your internal user identifier (raw or pseudonym)
+ * @param {object} options - Optional { limit, offset, tenantId, stripeAccount } (all rows when no
+ *   limit is given; only the tenant's / connected account's sessions when given)
+ * @returns {array} Verifications for this user, newest first (no PII)
  */
-export function getVerificationsByUser(userReference) {
+export function getVerificationsByUser(userReference, { limit = -1, offset = 0, tenantId = null, stripeAccount = null } = {}) {
   const stmt = db.prepare(`
-    SELECT session_id, status, verification_type, created_at, updated_at, verified_at
+    SELECT session_id, status, verification_type, stripe_account, created_at, updated_at, verified_at
     FROM verification_sessions
-    WHERE user_reference = ?
-    ORDER BY created_at DESC
+    WHERE user_reference IN (SELECT value FROM json_each(?))
+      AND (? IS NULL OR tenant_id = ?)
+      AND (? IS NULL OR stripe_account = ?)
+    ORDER BY created_at DESC, id DESC
+    LIMIT ? OFFSET ?
   `);
 
-  return stmt.all(userReference);
+  return stmt.all(
+    JSON.stringify(userReferenceCandidates(userReference)),
+    tenantId,
+    tenantId,
+    stripeAccount,
+    stripeAccount,
+    limit,
+    offset
+  );
 }
 
 /**
- * Check if event has already been processed (idempotency)
- * @param {string} eventId - Stripe event ID
- * @returns {boolean} True if already processed
+ * Count verifications for a user (pagination)
+ * @param {string} userReference - Your internal user identifier (raw or pseudonym)
+ * @param {object} options - Optional { tenantId, stripeAccount }
+ * @returns {number} Number of verification sessions
  */
-export function isEventProcessed(eventId) {
-  const stmt = db.prepare(`
-    SELECT COUNT(*) as count
-    FROM verification_sessions
-    WHERE last_event_id = ?
-  `);
+export function countVerificationsByUser(userReference, { tenantId = null, stripeAccount = null } = {}) {
+  return db
+    .prepare(`
+      SELECT COUNT(*) as count FROM verification_sessions
+      WHERE user_reference IN (SELECT value FROM json_each(?))
+        AND (? IS NULL OR tenant_id = ?)
+        AND (? IS NULL OR stripe_account = ?)
+    `)
+    .get(JSON.stringify(userReferenceCandidates(userReference)), tenantId, tenantId, stripeAccount, stripeAccount).count;
+}
 
-  const result = stmt.get(eventId);
-  return result.count > 0;
+/**
+ * Connected accounts with sessions created since a point in time (reconciliation)
+ * @param {number} createdSince - Unix seconds
+ * @returns {array} [{ tenant_id, stripe_account }]
+ */
+export function listConnectedAccounts(createdSince) {
+  return db
+    .prepare(`
+      SELECT DISTINCT tenant_id, stripe_account FROM verification_sessions
+      WHERE stripe_account IS NOT NULL AND created_at >= datetime(?, 'unixepoch')
+      ORDER BY tenant_id, stripe_account
+    `)
+    .all(createdSince);
+}
+
+/**
+ * Session IDs of a user (erasure)
+ * @param {string} userReference - User identifier (raw or pseudonym, under any key version)
+ * @returns {string[]} Stripe session IDs
+ */
+export function listSessionIdsByUser(userReference) {
+  return db
+    .prepare("SELECT session_id FROM verification_sessions WHERE user_reference IN (SELECT value FROM json_each(?))")
+    .all(JSON.stringify(userReferenceCandidates(userReference)))
+    .map((row) => row.session_id);
+}
+
+/**
+ * Delete sessions and everything stored about them (sessions, status history,
+ * errors and webhook events). Their audit entries are redacted rather than deleted,
+ * to keep the hash chain intact. Queued work of the sessions lives outside storage:
+ * see purgeSessionQueues.
+ * @param {array} sessionIds - Stripe session IDs
+ * @param {string} reason - Redaction reason for the audit entries
+ * @returns {object} { deleted, event_ids } - rows deleted (or redacted) per table, and the
+ *   IDs of the deleted webhook events
+ */
+export function purgeSessionData(sessionIds, reason) {
+  const transaction = db.transaction(() => {
+    const ids = JSON.stringify(sessionIds);
+    const eventIds = db
+      .prepare("SELECT event_id FROM processed_webhook_events WHERE session_id IN (SELECT value FROM json_each(?))")
+      .all(ids)
+      .map((row) => row.event_id);
+
+    const purge = (table, column, values) =>
+      db.prepare(`DELETE FROM ${table} WHERE ${column} IN (SELECT value FROM json_each(?))`).run(values).changes;
+
+    const deleted = {
+      sessions: purge("verification_sessions", "session_id", ids),
+      status_history: purge("verification_status_history", "session_id", ids),
+      verification_errors: purge("verification_errors", "session_id", ids),
+      audit_log_redacted: redactAuditEntries("session_id IN (SELECT value FROM json_each(?))", [ids], reason),
+      webhook_events: purge("processed_webhook_events", "event_id", JSON.stringify(eventIds)),
+    };
+
+    return { deleted, event_ids: eventIds };
+  });
+
+  return transaction();
 }
 
 /**
  * Log audit event for compliance
+ * Each entry is chained to the previous one by hash (see audit-chain.js).
  * @param {string} eventType - Type of event
  * @param {string} sessionId - Session ID
- * @param {object} metadata - Additional data (no PII)
- * @param {string} ipAddress - Optional IP address
+ * @param {object} metadata - Additional data (no PII); the caller goes in metadata.actor
+ *   (metadata.user_reference is stored pseudonymized)
+ * @param {string} ipAddress - Client IP of the request that caused the event, if any (stored pseudonymized)
+ * @param {string} result - One of AUDIT_RESULTS
  */
-export function logAuditEvent(eventType, sessionId, metadata = {}, ipAddress = null) {
-  const stmt = db.prepare(`
-    INSERT INTO audit_log (event_type, session_id, metadata, ip_address, result)
-    VALUES (?, ?, ?, ?, 'success')
+export function logAuditEvent(eventType, sessionId, metadata = {}, ipAddress = null, result = AUDIT_RESULTS.SUCCESS) {
+  sealLegacyAuditLog();
+  appendAuditEntry.immediate({
+    event_type: eventType,
+    session_id: sessionId,
+    timestamp: auditTimestamp(),
+    metadata: JSON.stringify(
+      metadata.user_reference ? { ...metadata, user_reference: pseudonymizeUserReference(metadata.user_reference) } : metadata
+    ),
+    ip_address: pseudonymizeIp(ipAddress),
+    result,
+  });
+}
+
+// Immediate: another process appending at the same time must not fork the chain
+const appendAuditEntry = db.transaction((entry) => insertChainedEntry(db, entry));
+
+// audit_log.timestamp format (UTC)
+const auditTimestamp = () => new Date().toISOString().replace("T", " ").slice(0, 19);
+
+// Chain the rows of a database created before the audit log was hashed.
+// Only while no row is chained yet - an unchained row after that is tampering.
+// Done on first use rather than at import, once AUDIT_HMAC_SECRET is loaded from .env.
+let legacyAuditLogSealed = false;
+
+function sealLegacyAuditLog() {
+  if (legacyAuditLogSealed) {
+    return;
+  }
+  legacyAuditLogSealed = true;
+
+  if (db.prepare("SELECT 1 FROM audit_log WHERE entry_hash IS NOT NULL LIMIT 1").get()) {
+    return;
+  }
+
+  const seal = db.transaction(() => {
+    const algorithm = getAuditHashAlgorithm();
+    const update = db.prepare(
+      "UPDATE audit_log SET prev_hash = ?, content_hash = ?, entry_hash = ?, hash_alg = ? WHERE id = ?"
+    );
+    let prevHash = GENESIS_HASH;
+
+    for (const entry of db.prepare("SELECT * FROM audit_log ORDER BY id ASC").all()) {
+      const contentHash = computeContentHash(entry, algorithm);
+      const entryHash = computeEntryHash(prevHash, contentHash, algorithm);
+      update.run(prevHash, contentHash, entryHash, algorithm, entry.id);
+      prevHash = entryHash;
+    }
+  });
+
+  seal.immediate();
+}
+
+// Audit entries with something left to redact
+const AUDIT_HAS_CONTENT = "(session_id IS NOT NULL OR metadata IS NOT NULL OR ip_address IS NOT NULL)";
+
+/**
+ * Redact audit entries instead of deleting them (call inside a transaction)
+ * The columns are cleared and the row marked; its hashes stay, so the chain still verifies.
+ * The redaction is recorded in chained marker entries (see audit-chain.js) that keep
+ * what is left of each row verifiable. Marker entries are never redacted.
+ * @param {string} where - SQL condition selecting the rows
+ * @param {array} params - Parameters of the condition
+ * @param {string} reason - Why the rows were redacted (stored on each row and in the marker)
+ * @param {string} clear - SQL assignments clearing the content (default: everything but
+ *   event_type, timestamp and result)
+ * @returns {number} Number of rows redacted
+ */
+function redactAuditEntries(where, params, reason, clear = "session_id = NULL, metadata = NULL, ip_address = NULL") {
+  sealLegacyAuditLog();
+
+  const rows = db
+    .prepare(`SELECT * FROM audit_log WHERE event_type != ? AND ${AUDIT_HAS_CONTENT} AND (${where}) ORDER BY id ASC`)
+    .all(AUDIT_REDACTION_EVENT, ...params);
+  const redact = db.prepare(`
+    UPDATE audit_log SET ${clear}, redacted_at = datetime('now'), redaction_reason = ? WHERE id = ?
   `);
+  const select = db.prepare("SELECT * FROM audit_log WHERE id = ?");
+  const setRedactedHash = db.prepare("UPDATE audit_log SET redacted_hash = ? WHERE id = ?");
+
+  const marks = rows.map((before) => {
+    redact.run(reason, before.id);
+    const mark = toRedactionMark(before, select.get(before.id));
+    setRedactedHash.run(mark.redacted_hash, before.id);
+    return mark;
+  });
+
+  for (let i = 0; i < marks.length; i += AUDIT_REDACTION_BATCH) {
+    appendAuditEntry({
+      event_type: AUDIT_REDACTION_EVENT,
+      session_id: null,
+      timestamp: auditTimestamp(),
+      metadata: JSON.stringify({ reason, entries: marks.slice(i, i + AUDIT_REDACTION_BATCH) }),
+      ip_address: null,
+      result: AUDIT_RESULTS.SUCCESS,
+    });
+  }
+
+  return rows.length;
+}
+
+// Latest marker record of every redacted row, by row ID. Marker entries are
+// read before they are verified; one that was tampered with fails the walk itself.
+function getRedactionMarks() {
+  const marks = new Map();
+
+  for (const { metadata } of db
+    .prepare("SELECT metadata FROM audit_log WHERE event_type = ? ORDER BY id ASC")
+    .iterate(AUDIT_REDACTION_EVENT)) {
+    try {
+      JSON.parse(metadata).entries.forEach((mark) => marks.set(mark.id, mark));
+    } catch {
+      // Unreadable: its content hash does not match either
+    }
+  }
+  return marks;
+}
+
+/**
+ * Walk the audit hash chain from the first entry
+ * @returns {object} { valid, entries, redacted, head_hash, broken_at } - broken_at is the
+ *   first entry whose link does not verify ({ id, event_type, timestamp, reason })
+ */
+export function verifyAuditChain() {
+  sealLegacyAuditLog();
+
+  const marks = getRedactionMarks();
+  let expectedPrevHash = GENESIS_HASH;
+  let entries = 0;
+  let redacted = 0;
+
+  for (const entry of db.prepare("SELECT * FROM audit_log ORDER BY id ASC").iterate()) {
+    const reason = checkAuditEntry(entry, expectedPrevHash, marks.get(entry.id));
 
-  stmt.run(eventType, sessionId, JSON.stringify(metadata), ipAddress);
+    if (reason) {
+      return {
+        valid: false,
+        entries,
+        redacted,
+        head_hash: expectedPrevHash,
+        broken_at: { id: entry.id, event_type: entry.event_type, timestamp: entry.timestamp, reason },
+      };
+    }
+
+    entries++;
+    if (entry.redacted_at) redacted++;
+    expectedPrevHash = entry.entry_hash;
+  }
+
+  return { valid: true, entries, redacted, head_hash: expectedPrevHash, broken_at: null };
 }
 
 /**
@@ -208,66 +543,1859 @@ export function getAuditTrail(sessionId) {
     SELECT event_type, timestamp, metadata, result
     FROM audit_log
     WHERE session_id = ?
-    ORDER BY timestamp ASC
+    ORDER BY timestamp ASC, id ASC
   `);
 
   return stmt.all(sessionId);
 }
 
-// ==================== DATA RETENTION & GDPR ====================
+/**
+ * Query the audit log with keyset pagination
+ * @param {object} filters - { event_types: array, session_id, actors: array, result, since, until }
+ *   (since/until as "YYYY-MM-DD HH:MM:SS" UTC; until is exclusive)
+ * @param {object} options - { limit, afterId, order: asc|desc } - entries after afterId in that order
+ * @returns {array} Audit entries
+ */
+export function queryAuditLog(filters = {}, { limit = 100, afterId = null, order = "desc" } = {}) {
+  const { event_types = null, session_id = null, actors = null, result = null, since = null, until = null } = filters;
+  const eventTypes = event_types?.length ? JSON.stringify(event_types) : null;
+  const actorList = actors?.length ? JSON.stringify(actors) : null;
+  const ascending = order === "asc";
+
+  return db
+    .prepare(`
+      SELECT id, event_type, session_id, timestamp, metadata, ip_address, result,
+             redacted_at, redaction_reason, entry_hash
+      FROM audit_log
+      WHERE (? IS NULL OR event_type IN (SELECT value FROM json_each(?)))
+        AND (? IS NULL OR session_id = ?)
+        AND (? IS NULL OR json_extract(metadata, '$.actor') IN (SELECT value FROM json_each(?)))
+        AND (? IS NULL OR result = ?)
+        AND (? IS NULL OR timestamp >= ?)
+        AND (? IS NULL OR timestamp < ?)
+        AND (? IS NULL OR id ${ascending ? ">" : "<"} ?)
+      ORDER BY id ${ascending ? "ASC" : "DESC"}
+      LIMIT ?
+    `)
+    .all(
+      eventTypes, eventTypes,
+      session_id, session_id,
+      actorList, actorList,
+      result, result,
+      since, since,
+      until, until,
+      afterId, afterId,
+      limit
+    );
+}
+
+// ==================== WEBHOOK EVENT LEDGER ====================
 
 /**
- * Delete verification data (GDPR Right to Erasure - Article 17)
- * @param {string} userReference - User identifier to delete
- * @returns {boolean} Success
+ * Record a received Stripe event in the ledger (no-op if already recorded)
+ * @param {object} event - Verified Stripe event
+ * @param {Buffer|string} rawPayload - Raw request body the signature was computed over
+ * @param {string|null} tenantId - Tenant whose webhook endpoint received the event
+ * @returns {boolean} True if this is the first time the event was seen (event.account, if any, is
+ *   stored as the event's connected account)
  */
-export function deleteUserData(userReference) {
-  const deleteVerifications = db.prepare(
-    "DELETE FROM verification_sessions WHERE user_reference = ?"
-  );
-  const deleteAudit = db.prepare(
-    "DELETE FROM audit_log WHERE session_id IN (SELECT session_id FROM verification_sessions WHERE user_reference = ?)"
+export function recordWebhookEvent(event, rawPayload, tenantId = null) {
+  const payload = Buffer.isBuffer(rawPayload) ? rawPayload.toString("utf8") : rawPayload;
+  const payloadHash = crypto.createHash("sha256").update(payload).digest("hex");
+
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO processed_webhook_events
+      (event_id, event_type, session_id, stripe_created, payload_hash, payload, tenant_id, stripe_account)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const result = stmt.run(
+    event.id,
+    event.type,
+    event.data?.object?.id || null,
+    event.created,
+    payloadHash,
+    payload,
+    tenantId,
+    event.account || null
   );
 
+  return result.changes > 0;
+}
+
+/**
+ * Check if event has already been processed (idempotency)
+ * Events that were only received, or whose processing failed, are NOT considered processed
+ * so that Stripe's retries get another chance.
+ * @param {string} eventId - Stripe event ID
+ * @returns {boolean} True if already processed
+ */
+export function isEventProcessed(eventId) {
+  const stmt = db.prepare(`
+    SELECT COUNT(*) as count
+    FROM processed_webhook_events
+    WHERE event_id = ?
+      AND outcome IN ('processed', 'unhandled', 'ignored_out_of_order', 'rejected_transition', 'discarded')
+  `);
+
+  const result = stmt.get(eventId);
+  return result.count > 0;
+}
+
+/**
+ * Record the processing outcome of a ledger event
+ * @param {string} eventId - Stripe event ID
+ * @param {string} outcome - processed | unhandled | ignored_out_of_order | rejected_transition | failed | discarded
+ * @param {string|null} error - Error message when outcome is failed
+ */
+export function markWebhookEventOutcome(eventId, outcome, error = null) {
+  const stmt = db.prepare(`
+    UPDATE processed_webhook_events
+    SET outcome = ?, error = ?, processed_at = datetime('now')
+    WHERE event_id = ?
+  `);
+
+  stmt.run(outcome, error, eventId);
+}
+
+/**
+ * Get a stored ledger event (including its payload, for replay)
+ * @param {string} eventId - Stripe event ID
+ * @returns {object|null} Ledger row
+ */
+export function getWebhookEvent(eventId) {
+  const stmt = db.prepare(`
+    SELECT event_id, event_type, session_id, stripe_created, received_at, processed_at,
+           outcome, error, payload_hash, payload, replay_count, tenant_id, stripe_account
+    FROM processed_webhook_events
+    WHERE event_id = ?
+  `);
+
+  return stmt.get(eventId);
+}
+
+/**
+ * Increment the replay counter of a ledger event
+ * @param {string} eventId - Stripe event ID
+ */
+export function incrementWebhookReplayCount(eventId) {
+  db.prepare(
+    "UPDATE processed_webhook_events SET replay_count = replay_count + 1 WHERE event_id = ?"
+  ).run(eventId);
+}
+
+// ==================== WEBHOOK PROCESSING QUEUE ====================
+
+/**
+ * Queue a ledger event for processing (no-op if it is already queued)
+ * The event is recorded in the ledger first, through storage (see recordWebhookEvent).
+ * @param {string} eventId - Stripe event ID
+ * @param {string} requestId - ID of the receiving request (logged when the event is processed)
+ * @returns {boolean} True if the event was queued, false if it was already queued
+ */
+export function enqueueWebhookJob(eventId, requestId = null) {
+  return db.prepare("INSERT OR IGNORE INTO webhook_queue (event_id, request_id) VALUES (?, ?)").run(eventId, requestId)
+    .changes > 0;
+}
+
+/**
+ * Claim queued events that are due for (re)processing
+ * @param {number} limit - Maximum number of events to claim
+ * @returns {array} Claimed jobs (the event itself is read from the ledger, through storage)
+ */
+export function claimDueWebhookJobs(limit) {
+  const select = db.prepare(`
+    SELECT id, event_id, attempts, request_id
+    FROM webhook_queue
+    WHERE status = 'pending' AND next_attempt_at <= datetime('now')
+    ORDER BY id ASC
+    LIMIT ?
+  `);
+  const claim = db.prepare(`
+    UPDATE webhook_queue
+    SET status = 'processing', attempts = attempts + 1, updated_at = datetime('now')
+    WHERE id = ?
+  `);
+
+  const transaction = db.transaction(() => {
+    const jobs = select.all(limit);
+    for (const job of jobs) {
+      claim.run(job.id);
+      job.attempts += 1;
+    }
+    return jobs;
+  });
+
+  return transaction();
+}
+
+/**
+ * Remove a successfully processed job from the queue
+ * @param {number} jobId - Queue row ID
+ */
+export function completeWebhookJob(jobId) {
+  db.prepare("DELETE FROM webhook_queue WHERE id = ?").run(jobId);
+}
+
+/**
+ * Schedule a failed job for another attempt
+ * @param {number} jobId - Queue row ID
+ * @param {string} error - Error message of the failed attempt
+ * @param {number} delaySeconds - Backoff before the next attempt
+ */
+export function retryWebhookJobLater(jobId, error, delaySeconds) {
+  db.prepare(`
+    UPDATE webhook_queue
+    SET status = 'pending',
+        last_error = ?,
+        next_attempt_at = datetime('now', '+' || ? || ' seconds'),
+        updated_at = datetime('now')
+    WHERE id = ?
+  `).run(error, Math.round(delaySeconds), jobId);
+}
+
+/**
+ * Move a job that exhausted its retries to the dead-letter table
+ * @param {object} job - Claimed job, with the event_type of its event
+ * @param {string} error - Error message of the last attempt
+ */
+export function deadLetterWebhookJob(job, error) {
+  const insert = db.prepare(`
+    INSERT OR REPLACE INTO webhook_dead_letters (event_id, event_type, attempts, last_error)
+    VALUES (?, ?, ?, ?)
+  `);
+  const remove = db.prepare("DELETE FROM webhook_queue WHERE id = ?");
+
   const transaction = db.transaction(() => {
-    deleteAudit.run(userReference);
-    deleteVerifications.run(userReference);
+    insert.run(job.event_id, job.event_type, job.attempts, error);
+    remove.run(job.id);
   });
 
   transaction();
+}
 
-  logAuditEvent("user_data_deleted", null, { user_reference: userReference });
+/**
+ * Return jobs left in 'processing' by a crashed worker to the pending state
+ * @returns {number} Number of recovered jobs
+ */
+export function resetStuckWebhookJobs() {
+  return db
+    .prepare("UPDATE webhook_queue SET status = 'pending', updated_at = datetime('now') WHERE status = 'processing'")
+    .run().changes;
+}
 
-  return true;
+/**
+ * List dead-lettered events
+ * @returns {array} Dead letters (no payloads)
+ */
+export function listDeadLetters() {
+  return db
+    .prepare(`
+      SELECT id, event_id, event_type, attempts, last_error, dead_lettered_at
+      FROM webhook_dead_letters
+      ORDER BY dead_lettered_at DESC
+    `)
+    .all();
 }
 
 /**
- * Get database statistics (for POC evaluation)
- * @returns {object} Statistics
+ * Move a dead-lettered event back onto the queue with a fresh retry budget
+ * @param {number} deadLetterId - Dead letter row ID
+ * @returns {object|null} The dead letter that was requeued, or null if not found
  */
-export function getStatistics() {
-  const stats = {
-    total_sessions: db.prepare("SELECT COUNT(*) as count FROM verification_sessions").get()
-      .count,
-    verified: db
-      .prepare("SELECT COUNT(*) as count FROM verification_sessions WHERE status = 'verified'")
-      .get().count,
-    pending: db
-      .prepare(
-        "SELECT COUNT(*) as count FROM verification_sessions WHERE status IN ('created', 'processing')"
-      )
-      .get().count,
-    failed: db
-      .prepare(
-        "SELECT COUNT(*) as count FROM verification_sessions WHERE status IN ('requires_input', 'canceled')"
-      )
-      .get().count,
-    audit_events: db.prepare("SELECT COUNT(*) as count FROM audit_log").get().count,
+export function requeueDeadLetter(deadLetterId) {
+  const select = db.prepare("SELECT * FROM webhook_dead_letters WHERE id = ?");
+  const enqueue = db.prepare("INSERT OR IGNORE INTO webhook_queue (event_id) VALUES (?)");
+  const remove = db.prepare("DELETE FROM webhook_dead_letters WHERE id = ?");
+
+  const transaction = db.transaction(() => {
+    const deadLetter = select.get(deadLetterId);
+    if (!deadLetter) {
+      return null;
+    }
+
+    enqueue.run(deadLetter.event_id);
+    remove.run(deadLetterId);
+    return deadLetter;
+  });
+
+  return transaction();
+}
+
+/**
+ * Remove a dead-lettered event; the caller marks it discarded in the ledger, so it
+ * will not be processed even if Stripe resends it
+ * @param {number} deadLetterId - Dead letter row ID
+ * @returns {object|null} The discarded dead letter, or null if not found
+ */
+export function discardDeadLetter(deadLetterId) {
+  const select = db.prepare("SELECT * FROM webhook_dead_letters WHERE id = ?");
+  const remove = db.prepare("DELETE FROM webhook_dead_letters WHERE id = ?");
+
+  const transaction = db.transaction(() => {
+    const deadLetter = select.get(deadLetterId);
+    if (!deadLetter) {
+      return null;
+    }
+
+    remove.run(deadLetterId);
+    return deadLetter;
+  });
+
+  return transaction();
+}
+
+// ==================== API CLIENTS ====================
+
+/**
+ * Create an API client for service-to-service authentication
+ * @param {string} name - Human readable client name
+ * @param {string[]} roles - Roles granted to the client
+ * @param {string|null} tenantId - Tenant the client belongs to
+ * @returns {object} Key ID and secret (the secret is only returned here)
+ */
+export function createApiClient(name, roles = ["service"], tenantId = null) {
+  const keyId = `ak_${crypto.randomBytes(12).toString("hex")}`;
+  const secret = crypto.randomBytes(32).toString("hex");
+
+  db.prepare(`
+    INSERT INTO api_clients (key_id, name, secret, roles, tenant_id)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(keyId, name, secret, roles.join(","), tenantId);
+
+  return { key_id: keyId, secret, name, roles, tenant_id: tenantId };
+}
+
+/**
+ * Get an active (non-revoked) API client
+ * @param {string} keyId - API key identifier
+ * @returns {object|null} Client with its secret and roles
+ */
+export function getApiClient(keyId) {
+  const client = db
+    .prepare(`
+      SELECT key_id, name, secret, roles, tenant_id
+      FROM api_clients
+      WHERE key_id = ? AND revoked_at IS NULL
+    `)
+    .get(keyId);
+
+  if (!client) {
+    return null;
+  }
+
+  return { ...client, roles: client.roles.split(",").filter(Boolean) };
+}
+
+/**
+ * Revoke an API client
+ * @param {string} keyId - API key identifier
+ * @returns {boolean} True if a client was revoked
+ */
+export function revokeApiClient(keyId) {
+  const result = db
+    .prepare("UPDATE api_clients SET revoked_at = datetime('now') WHERE key_id = ? AND revoked_at IS NULL")
+    .run(keyId);
+
+  return result.changes > 0;
+}
+
+// ==================== TENANTS ====================
+
+const TENANT_COLUMNS = `
+  tenant_id, name, stripe_secret_key, webhook_secret, return_url,
+  allowed_verification_types, status, created_at, updated_at
+`;
+
+function parseTenant(row) {
+  return row && { ...row, allowed_verification_types: JSON.parse(row.allowed_verification_types ?? "null") };
+}
+
+/**
+ * Create a tenant
+ * @param {object} tenant - { tenant_id, name, stripe_secret_key, webhook_secret, return_url,
+ *   allowed_verification_types } (secrets already encrypted)
+ * @returns {object} Stored tenant
+ */
+export function createTenant(tenant) {
+  db.prepare(`
+    INSERT INTO tenants
+      (tenant_id, name, stripe_secret_key, webhook_secret, return_url, allowed_verification_types)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    tenant.tenant_id,
+    tenant.name,
+    tenant.stripe_secret_key ?? null,
+    tenant.webhook_secret ?? null,
+    tenant.return_url ?? null,
+    tenant.allowed_verification_types ? JSON.stringify(tenant.allowed_verification_types) : null
+  );
+
+  return getTenant(tenant.tenant_id);
+}
+
+/**
+ * Update some of a tenant's fields
+ * @param {string} tenantId - Tenant identifier
+ * @param {object} changes - Any of name, stripe_secret_key, webhook_secret, return_url,
+ *   allowed_verification_types, status (secrets already encrypted)
+ * @returns {object|null} Updated tenant, or null if it does not exist
+ */
+export function updateTenant(tenantId, changes) {
+  const columns = ["name", "stripe_secret_key", "webhook_secret", "return_url", "allowed_verification_types", "status"]
+    .filter((column) => changes[column] !== undefined);
+
+  if (columns.length > 0) {
+    const values = columns.map((column) =>
+      column === "allowed_verification_types" && changes[column] !== null
+        ? JSON.stringify(changes[column])
+        : changes[column]
+    );
+
+    const result = db
+      .prepare(`
+        UPDATE tenants SET ${columns.map((column) => `${column} = ?`).join(", ")}, updated_at = datetime('now')
+        WHERE tenant_id = ?
+      `)
+      .run(...values, tenantId);
+
+    if (result.changes === 0) {
+      return null;
+    }
+  }
+
+  return getTenant(tenantId);
+}
+
+/**
+ * Get a tenant (secrets still encrypted)
+ * @param {string} tenantId - Tenant identifier
+ * @returns {object|null} Tenant
+ */
+export function getTenant(tenantId) {
+  return parseTenant(db.prepare(`SELECT ${TENANT_COLUMNS} FROM tenants WHERE tenant_id = ?`).get(tenantId)) ?? null;
+}
+
+/**
+ * List tenants (secrets still encrypted)
+ * @param {object} options - { status } to only list active or disabled tenants
+ * @returns {array} Tenants, by ID
+ */
+export function listTenants({ status = null } = {}) {
+  return db
+    .prepare(`SELECT ${TENANT_COLUMNS} FROM tenants WHERE (? IS NULL OR status = ?) ORDER BY tenant_id`)
+    .all(status, status)
+    .map(parseTenant);
+}
+
+// ==================== VERIFICATION POLICIES ====================
+
+function parsePolicy(row) {
+  return row ? { ...row, options: JSON.parse(row.options) } : null;
+}
+
+/**
+ * Create or replace a named verification policy
+ * @param {string} name - Policy name
+ * @param {object} policy - { verification_type, options, description }
+ * @returns {object} Stored policy
+ */
+export function upsertVerificationPolicy(name, { verification_type, options = {}, description = null }) {
+  db.prepare(`
+    INSERT INTO verification_policies (name, description, verification_type, options)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET
+      description = excluded.description,
+      verification_type = excluded.verification_type,
+      options = excluded.options,
+      updated_at = datetime('now')
+  `).run(name, description, verification_type, JSON.stringify(options));
+
+  return getVerificationPolicy(name);
+}
+
+/**
+ * Get a named verification policy
+ * @param {string} name - Policy name
+ * @returns {object|null} Policy with parsed options
+ */
+export function getVerificationPolicy(name) {
+  return parsePolicy(
+    db
+      .prepare(`
+        SELECT name, description, verification_type, options, created_at, updated_at
+        FROM verification_policies
+        WHERE name = ?
+      `)
+      .get(name)
+  );
+}
+
+/**
+ * List all verification policies with the tenants allowed to use them
+ * @returns {array} Policies
+ */
+export function listVerificationPolicies() {
+  const tenants = db.prepare(
+    "SELECT tenant_id FROM tenant_verification_policies WHERE policy_name = ? ORDER BY tenant_id"
+  );
+
+  return db
+    .prepare(`
+      SELECT name, description, verification_type, options, created_at, updated_at
+      FROM verification_policies
+      ORDER BY name
+    `)
+    .all()
+    .map((row) => ({
+      ...parsePolicy(row),
+      tenants: tenants.all(row.name).map((t) => t.tenant_id),
+    }));
+}
+
+/**
+ * Delete a verification policy (and its tenant grants)
+ * @param {string} name - Policy name
+ * @returns {boolean} True if a policy was deleted
+ */
+export function deleteVerificationPolicy(name) {
+  const transaction = db.transaction(() => {
+    db.prepare("DELETE FROM tenant_verification_policies WHERE policy_name = ?").run(name);
+    return db.prepare("DELETE FROM verification_policies WHERE name = ?").run(name).changes > 0;
+  });
+
+  return transaction();
+}
+
+/**
+ * Allow a tenant to use a policy
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} policyName - Policy name
+ */
+export function allowTenantPolicy(tenantId, policyName) {
+  db.prepare(
+    "INSERT OR IGNORE INTO tenant_verification_policies (tenant_id, policy_name) VALUES (?, ?)"
+  ).run(tenantId, policyName);
+}
+
+/**
+ * Revoke a tenant's permission to use a policy
+ * @param {string} tenantId - Tenant identifier
+ * @param {string} policyName - Policy name
+ * @returns {boolean} True if a grant was removed
+ */
+export function disallowTenantPolicy(tenantId, policyName) {
+  const result = db
+    .prepare("DELETE FROM tenant_verification_policies WHERE tenant_id = ? AND policy_name = ?")
+    .run(tenantId, policyName);
+
+  return result.changes > 0;
+}
+
+/**
+ * Get the names of the policies a tenant may use
+ * @param {string} tenantId - Tenant identifier
+ * @returns {string[]} Policy names
+ */
+export function getTenantPolicyNames(tenantId) {
+  return db
+    .prepare("SELECT policy_name FROM tenant_verification_policies WHERE tenant_id = ? ORDER BY policy_name")
+    .all(tenantId)
+    .map((row) => row.policy_name);
+}
+
+// ==================== OUTBOUND WEBHOOKS ====================
+
+function parseSubscription(row) {
+  return row ? { ...row, events: row.events.split(","), active: row.active === 1 } : null;
+}
+
+/**
+ * Register a subscriber for verification status events
+ * @param {object} subscription - { url, events, description }
+ * @returns {object} Subscription including its signing secret (only returned here)
+ */
+export function createWebhookSubscription({ url, events = ["*"], description = null }) {
+  const id = `whsub_${crypto.randomBytes(12).toString("hex")}`;
+  const secret = `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+  db.prepare(`
+    INSERT INTO webhook_subscriptions (id, url, events, secret, description)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(id, url, events.join(","), secret, description);
+
+  return { ...getWebhookSubscription(id), secret };
+}
+
+/**
+ * Get a subscription (without its secret)
+ * @param {string} id - Subscription ID
+ * @returns {object|null} Subscription
+ */
+export function getWebhookSubscription(id) {
+  return parseSubscription(
+    db
+      .prepare(`
+        SELECT id, url, events, description, active, created_at
+        FROM webhook_subscriptions
+        WHERE id = ?
+      `)
+      .get(id)
+  );
+}
+
+/**
+ * List all subscriptions (without secrets)
+ * @returns {array} Subscriptions
+ */
+export function listWebhookSubscriptions() {
+  return db
+    .prepare(`
+      SELECT id, url, events, description, active, created_at
+      FROM webhook_subscriptions
+      ORDER BY created_at DESC
+    `)
+    .all()
+    .map(parseSubscription);
+}
+
+/**
+ * Deactivate a subscription (its delivery log is kept)
+ * @param {string} id - Subscription ID
+ * @returns {boolean} True if an active subscription was deactivated
+ */
+export function deactivateWebhookSubscription(id) {
+  const result = db
+    .prepare("UPDATE webhook_subscriptions SET active = 0 WHERE id = ? AND active = 1")
+    .run(id);
+
+  return result.changes > 0;
+}
+
+/**
+ * Queue an event for every active subscription whose filter matches it
+ * @param {object} event - { id, type, session_id, payload }
+ * @returns {number} Number of deliveries queued
+ */
+export function enqueueOutboundEvent({ id, type, session_id, payload }) {
+  const subscriptions = db
+    .prepare("SELECT id, events FROM webhook_subscriptions WHERE active = 1")
+    .all()
+    .filter((sub) => {
+      const events = sub.events.split(",");
+      return events.includes("*") || events.includes(type);
+    });
+
+  const insert = db.prepare(`
+    INSERT INTO outbound_deliveries (subscription_id, event_id, event_type, session_id, payload)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  const transaction = db.transaction(() => {
+    for (const sub of subscriptions) {
+      insert.run(sub.id, id, type, session_id, payload);
+    }
+  });
+
+  transaction();
+  return subscriptions.length;
+}
+
+/**
+ * Queue the outbound event of an applied status transition (PII-free payload)
+ * Outbox: with SQLite storage this runs inside the transaction that writes the
+ * transition, so a crash after the commit cannot lose it. The PostgreSQL backend
+ * calls it right after its commit (see storage-postgres.js).
+ * @param {object} record - Session after the transition
+ * @param {string} previousStatus - Status before the transition
+ */
+export function enqueueStatusChangeEvent(record, previousStatus) {
+  const sessionId = record.session_id;
+  const event = {
+    id: `evtout_${crypto.randomBytes(12).toString("hex")}`,
+    type: `verification_session.${record.status}`,
+    created: new Date().toISOString(),
+    data: {
+      session_id: sessionId,
+      user_reference: record.user_reference,
+      status: record.status,
+      previous_status: previousStatus,
+      created_at: record.created_at,
+      updated_at: record.updated_at,
+      verified_at: record.verified_at,
+    },
+  };
+
+  return enqueueOutboundEvent({
+    id: event.id,
+    type: event.type,
+    session_id: sessionId,
+    payload: JSON.stringify(event),
+  });
+}
+
+/**
+ * Claim deliveries that are due, with the subscriber URL and secret
+ * @param {number} limit - Maximum number of deliveries to claim
+ * @returns {array} Claimed deliveries
+ */
+export function claimDueOutboundDeliveries(limit) {
+  const select = db.prepare(`
+    SELECT d.id, d.event_id, d.event_type, d.payload, d.attempts, s.url, s.secret
+    FROM outbound_deliveries d
+    JOIN webhook_subscriptions s ON s.id = d.subscription_id
+    WHERE d.status = 'pending' AND d.next_attempt_at <= datetime('now') AND s.active = 1
+    ORDER BY d.id ASC
+    LIMIT ?
+  `);
+  const claim = db.prepare(`
+    UPDATE outbound_deliveries
+    SET status = 'delivering', attempts = attempts + 1, updated_at = datetime('now')
+    WHERE id = ?
+  `);
+
+  const transaction = db.transaction(() => {
+    const deliveries = select.all(limit);
+    for (const delivery of deliveries) {
+      claim.run(delivery.id);
+      delivery.attempts += 1;
+    }
+    return deliveries;
+  });
+
+  return transaction();
+}
+
+/**
+ * Record one HTTP attempt and the resulting delivery state
+ * @param {number} deliveryId - Delivery ID
+ * @param {object} attempt - { attempt, responseStatus, durationMs, error }
+ * @param {string} status - succeeded | pending (retry) | failed (gave up)
+ * @param {number} retryDelaySeconds - Backoff when status is pending
+ */
+export function recordOutboundAttempt(deliveryId, attempt, status, retryDelaySeconds = 0) {
+  const insertAttempt = db.prepare(`
+    INSERT INTO outbound_delivery_attempts (delivery_id, attempt, response_status, duration_ms, error)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  const update = db.prepare(`
+    UPDATE outbound_deliveries
+    SET status = ?,
+        next_attempt_at = datetime('now', '+' || ? || ' seconds'),
+        updated_at = datetime('now')
+    WHERE id = ?
+  `);
+
+  const transaction = db.transaction(() => {
+    insertAttempt.run(
+      deliveryId,
+      attempt.attempt,
+      attempt.responseStatus ?? null,
+      attempt.durationMs ?? null,
+      attempt.error ?? null
+    );
+    update.run(status, Math.round(retryDelaySeconds), deliveryId);
+  });
+
+  transaction();
+}
+
+/**
+ * Return deliveries left in 'delivering' by a crashed worker to the pending state
+ * @returns {number} Number of recovered deliveries
+ */
+export function resetStuckOutboundDeliveries() {
+  return db
+    .prepare("UPDATE outbound_deliveries SET status = 'pending', updated_at = datetime('now') WHERE status = 'delivering'")
+    .run().changes;
+}
+
+/**
+ * List deliveries of a subscription with their attempts (newest first)
+ * @param {string} subscriptionId - Subscription ID
+ * @param {number} limit - Maximum number of deliveries
+ * @returns {array} Deliveries
+ */
+export function listOutboundDeliveries(subscriptionId, limit = 50) {
+  const attempts = db.prepare(`
+    SELECT attempt, attempted_at, response_status, duration_ms, error
+    FROM outbound_delivery_attempts
+    WHERE delivery_id = ?
+    ORDER BY id ASC
+  `);
+
+  return db
+    .prepare(`
+      SELECT id, event_id, event_type, session_id, status, attempts, next_attempt_at, created_at, updated_at
+      FROM outbound_deliveries
+      WHERE subscription_id = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `)
+    .all(subscriptionId, limit)
+    .map((delivery) => ({ ...delivery, attempt_log: attempts.all(delivery.id) }));
+}
+
+/**
+ * Schedule a delivery to be sent again now, with a fresh retry budget
+ * @param {number} deliveryId - Delivery ID
+ * @returns {boolean} True if the delivery exists and was requeued
+ */
+export function requeueOutboundDelivery(deliveryId) {
+  const result = db
+    .prepare(`
+      UPDATE outbound_deliveries
+      SET status = 'pending', attempts = 0, next_attempt_at = datetime('now'), updated_at = datetime('now')
+      WHERE id = ? AND status != 'delivering'
+    `)
+    .run(deliveryId);
+
+  return result.changes > 0;
+}
+
+// ==================== RECONCILIATION ====================
+
+/**
+ * Open a reconciliation run
+ * @param {object} run - { trigger, dryRun, createdSince }
+ * @returns {number} Run ID
+ */
+export function startReconciliationRun({ trigger, dryRun = false, createdSince }) {
+  return db
+    .prepare("INSERT INTO reconciliation_runs (trigger, dry_run, created_since) VALUES (?, ?, ?)")
+    .run(trigger, dryRun ? 1 : 0, createdSince).lastInsertRowid;
+}
+
+/**
+ * Record a difference found by a run
+ * @param {number} runId - Run ID
+ * @param {object} finding - { session_id, kind, local_status, stripe_status, resolution }
+ */
+export function recordReconciliationFinding(runId, { session_id, kind, local_status = null, stripe_status, resolution }) {
+  db.prepare(`
+    INSERT INTO reconciliation_findings (run_id, session_id, kind, local_status, stripe_status, resolution)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(runId, session_id, kind, local_status, stripe_status, resolution);
+}
+
+/**
+ * Close a run with its totals
+ * @param {number} runId - Run ID
+ * @param {object} result - { status, checkpoint, sessions_checked, drift_fixed, drift_rejected, unknown_sessions, error }
+ */
+export function finishReconciliationRun(runId, result) {
+  db.prepare(`
+    UPDATE reconciliation_runs
+    SET status = ?, checkpoint = ?, sessions_checked = ?, drift_fixed = ?, drift_rejected = ?,
+        unknown_sessions = ?, error = ?, finished_at = datetime('now')
+    WHERE id = ?
+  `).run(
+    result.status,
+    result.checkpoint ?? null,
+    result.sessions_checked || 0,
+    result.drift_fixed || 0,
+    result.drift_rejected || 0,
+    result.unknown_sessions || 0,
+    result.error || null,
+    runId
+  );
+}
+
+/**
+ * Checkpoint left by the last completed (non dry-run) reconciliation
+ * @returns {number|null} Unix seconds, or null before the first run
+ */
+export function getReconciliationCheckpoint() {
+  const row = db
+    .prepare(`
+      SELECT checkpoint FROM reconciliation_runs
+      WHERE status = 'completed' AND dry_run = 0 AND checkpoint IS NOT NULL
+      ORDER BY id DESC
+      LIMIT 1
+    `)
+    .get();
+
+  return row ? row.checkpoint : null;
+}
+
+/**
+ * Get a run that is still in progress (in this or another process)
+ * Runs older than maxAgeSeconds are considered abandoned.
+ * @param {number} maxAgeSeconds - Age after which a running row is ignored
+ * @returns {object|undefined} Running run
+ */
+export function getActiveReconciliationRun(maxAgeSeconds = 60 * 60) {
+  return db
+    .prepare(`
+      SELECT id, trigger, started_at FROM reconciliation_runs
+      WHERE status = 'running' AND started_at > datetime('now', ?)
+      ORDER BY id DESC
+      LIMIT 1
+    `)
+    .get(`-${maxAgeSeconds} seconds`);
+}
+
+/**
+ * Mark runs left 'running' by a crashed process as failed
+ * @returns {number} Number of runs closed
+ */
+export function failInterruptedReconciliationRuns() {
+  return db
+    .prepare(`
+      UPDATE reconciliation_runs
+      SET status = 'failed', error = 'Interrupted', finished_at = datetime('now')
+      WHERE status = 'running'
+    `)
+    .run().changes;
+}
+
+/**
+ * List recent reconciliation runs (newest first)
+ * @param {number} limit - Maximum number of runs
+ * @returns {array} Runs
+ */
+export function listReconciliationRuns(limit = 20) {
+  return db
+    .prepare("SELECT * FROM reconciliation_runs ORDER BY id DESC LIMIT ?")
+    .all(limit)
+    .map((run) => ({ ...run, dry_run: run.dry_run === 1 }));
+}
+
+/**
+ * Get a reconciliation report: the run and its findings
+ * @param {number} runId - Run ID
+ * @returns {object|null} Run with findings
+ */
+export function getReconciliationRun(runId) {
+  const run = db.prepare("SELECT * FROM reconciliation_runs WHERE id = ?").get(runId);
+
+  if (!run) {
+    return null;
+  }
+
+  const findings = db
+    .prepare(`
+      SELECT session_id, kind, local_status, stripe_status, resolution, created_at
+      FROM reconciliation_findings
+      WHERE run_id = ?
+      ORDER BY id ASC
+    `)
+    .all(runId);
+
+  return { ...run, dry_run: run.dry_run === 1, findings };
+}
+
+// ==================== DATA RETENTION & GDPR ====================
+
+/**
+ * Open an erasure job for a user, or return the one already in progress
+ * The user's current sessions are snapshotted so the job can be resumed. The job
+ * keeps the user reference pseudonymized with the oldest key (finds the user's
+ * rows under every key version), never as given - a failed job may stay for good.
+ * @param {string} userReference - User identifier to erase
+ * @param {string} subjectHash - Pseudonymized user reference (tombstone)
+ * @param {string} requestedBy - Actor requesting the erasure
+ * @param {string[]} sessionIds - The user's current sessions (storage listSessionIdsByUser)
+ * @returns {object} { job, created }
+ */
+export function createErasureJob(userReference, subjectHash, requestedBy = null, sessionIds = []) {
+  const transaction = db.transaction(() => {
+    const active = db
+      .prepare("SELECT id FROM erasure_jobs WHERE subject_hash = ? AND status != 'completed'")
+      .get(subjectHash);
+
+    if (active) {
+      return { job: getErasureJob(active.id), created: false };
+    }
+
+    const jobId = `era_${crypto.randomBytes(12).toString("hex")}`;
+
+    db.prepare(`
+      INSERT INTO erasure_jobs (id, subject_hash, user_reference, sessions_total, requested_by)
+      VALUES (?, ?, ?, 0, ?)
+    `).run(jobId, subjectHash, pseudonymizeUserReferenceForLookup(userReference), requestedBy);
+    addErasureSessions(jobId, sessionIds);
+
+    return { job: getErasureJob(jobId), created: true };
+  });
+
+  return transaction();
+}
+
+/**
+ * Get an erasure job with its per-session progress (no raw user reference)
+ * @param {string} jobId - Job ID
+ * @returns {object|null} Job
+ */
+export function getErasureJob(jobId) {
+  const job = db
+    .prepare(`
+      SELECT id, subject_hash, status, attempts, next_attempt_at, last_error, sessions_total,
+             requested_by, requested_at, completed_at
+      FROM erasure_jobs
+      WHERE id = ?
+    `)
+    .get(jobId);
+
+  if (!job) {
+    return null;
+  }
+
+  const sessions = db
+    .prepare(`
+      SELECT session_id, stripe_status, last_error, updated_at
+      FROM erasure_job_sessions
+      WHERE job_id = ?
+      ORDER BY session_id
+    `)
+    .all(jobId);
+
+  return { ...job, sessions };
+}
+
+/**
+ * List erasure jobs (newest first), optionally only those of one subject
+ * @param {object} filter - { subjectHash, limit }
+ * @returns {array} Jobs without per-session detail
+ */
+export function listErasureJobs({ subjectHash = null, limit = 50 } = {}) {
+  return db
+    .prepare(`
+      SELECT id, subject_hash, status, attempts, last_error, sessions_total, requested_by, requested_at, completed_at
+      FROM erasure_jobs
+      WHERE (? IS NULL OR subject_hash = ?)
+      ORDER BY requested_at DESC, rowid DESC
+      LIMIT ?
+    `)
+    .all(subjectHash, subjectHash, limit);
+}
+
+/**
+ * Whether a session was erased by a completed erasure job (its tombstone lists it)
+ * Events Stripe sends about it afterwards (e.g. identity.verification_session.redacted)
+ * must not be stored again.
+ * @param {string} sessionId - Stripe session ID
+ * @returns {boolean}
+ */
+export function isSessionErased(sessionId) {
+  if (!sessionId) {
+    return false;
+  }
+
+  return Boolean(
+    db
+      .prepare(`
+        SELECT 1
+        FROM erasure_job_sessions s
+        JOIN erasure_jobs j ON j.id = s.job_id
+        WHERE s.session_id = ? AND j.status = 'completed'
+      `)
+      .get(sessionId)
+  );
+}
+
+/**
+ * Claim erasure jobs that are due (marks them in_progress)
+ * @param {number} limit - Maximum number of jobs
+ * @returns {array} Jobs, with the pseudonymized user reference to find the user's sessions by
+ */
+export function claimDueErasureJobs(limit) {
+  const select = db.prepare(`
+    SELECT id, user_reference, attempts
+    FROM erasure_jobs
+    WHERE status = 'pending' AND next_attempt_at <= datetime('now')
+    ORDER BY next_attempt_at ASC
+    LIMIT ?
+  `);
+  const claim = db.prepare(`
+    UPDATE erasure_jobs SET status = 'in_progress', attempts = attempts + 1 WHERE id = ?
+  `);
+
+  const transaction = db.transaction(() => {
+    const jobs = select.all(limit);
+    jobs.forEach((job) => claim.run(job.id));
+    return jobs.map((job) => ({ ...job, attempts: job.attempts + 1 }));
+  });
+
+  return transaction();
+}
+
+/**
+ * Add sessions to a job (the user may create new ones while it runs - they need redacting too)
+ * @param {string} jobId - Job ID
+ * @param {string[]} sessionIds - The user's sessions; those already in the job are skipped
+ * @returns {number} Number of sessions added
+ */
+export function addErasureSessions(jobId, sessionIds) {
+  const insert = db.prepare("INSERT OR IGNORE INTO erasure_job_sessions (job_id, session_id) VALUES (?, ?)");
+
+  const transaction = db.transaction(() => {
+    const added = sessionIds.reduce((count, sessionId) => count + insert.run(jobId, sessionId).changes, 0);
+
+    if (added > 0) {
+      db.prepare(`
+        UPDATE erasure_jobs
+        SET sessions_total = (SELECT COUNT(*) FROM erasure_job_sessions WHERE job_id = ?)
+        WHERE id = ?
+      `).run(jobId, jobId);
+    }
+
+    return added;
+  });
+
+  return transaction();
+}
+
+/**
+ * Sessions of a job, optionally only those in one Stripe redaction state
+ * @param {string} jobId - Job ID
+ * @param {string|null} stripeStatus - pending | redacted | not_found
+ * @returns {string[]} Stripe session IDs
+ */
+export function listErasureSessions(jobId, stripeStatus = null) {
+  return db
+    .prepare("SELECT session_id FROM erasure_job_sessions WHERE job_id = ? AND (? IS NULL OR stripe_status = ?)")
+    .all(jobId, stripeStatus, stripeStatus)
+    .map((row) => row.session_id);
+}
+
+/**
+ * Record the Stripe redaction outcome of one session of a job
+ * @param {string} jobId - Job ID
+ * @param {string} sessionId - Stripe session ID
+ * @param {string} stripeStatus - pending | redacted | not_found
+ * @param {string} error - Error of a failed attempt
+ */
+export function markErasureSession(jobId, sessionId, stripeStatus, error = null) {
+  db.prepare(`
+    UPDATE erasure_job_sessions
+    SET stripe_status = ?, last_error = ?, updated_at = datetime('now')
+    WHERE job_id = ? AND session_id = ?
+  `).run(stripeStatus, error, jobId, sessionId);
+}
+
+/**
+ * Put a job back in the queue after a failed attempt
+ * @param {string} jobId - Job ID
+ * @param {string} error - Error message
+ * @param {number} delaySeconds - Delay before the next attempt
+ */
+export function retryErasureJobLater(jobId, error, delaySeconds) {
+  db.prepare(`
+    UPDATE erasure_jobs
+    SET status = 'pending', last_error = ?, next_attempt_at = datetime('now', ?)
+    WHERE id = ?
+  `).run(error, `+${delaySeconds} seconds`, jobId);
+}
+
+/**
+ * Give up on a job after its last attempt (an admin can requeue it)
+ * @param {string} jobId - Job ID
+ * @param {string} error - Error message
+ */
+export function failErasureJob(jobId, error) {
+  db.prepare("UPDATE erasure_jobs SET status = 'failed', last_error = ? WHERE id = ?").run(error, jobId);
+}
+
+/**
+ * Requeue a failed job now, with a fresh retry budget
+ * @param {string} jobId - Job ID
+ * @returns {boolean} True if the job was failed and is now pending
+ */
+export function requeueErasureJob(jobId) {
+  return (
+    db
+      .prepare(`
+        UPDATE erasure_jobs
+        SET status = 'pending', attempts = 0, next_attempt_at = datetime('now')
+        WHERE id = ? AND status = 'failed'
+      `)
+      .run(jobId).changes > 0
+  );
+}
+
+/**
+ * Return jobs left in_progress by a crashed worker to the pending state
+ * @returns {number} Number of recovered jobs
+ */
+export function resetStuckErasureJobs() {
+  return db.prepare("UPDATE erasure_jobs SET status = 'pending' WHERE status = 'in_progress'").run().changes;
+}
+
+/**
+ * Delete the queued work of purged sessions: outbound deliveries (with their
+ * attempts), and queued or dead-lettered webhook events. The sessions themselves
+ * are purged through storage (purgeSessionData), which returns their event IDs.
+ * @param {string[]} sessionIds - Stripe session IDs
+ * @param {string[]} eventIds - Stripe event IDs of the sessions
+ * @param {object} options - { dryRun } to count without deleting
+ * @returns {object} Number of rows deleted per table
+ */
+export function purgeSessionQueues(sessionIds, eventIds, { dryRun = false } = {}) {
+  let deleted;
+
+  const transaction = db.transaction(() => {
+    const events = JSON.stringify(eventIds);
+    const deliveryIds = JSON.stringify(
+      db
+        .prepare("SELECT id FROM outbound_deliveries WHERE session_id IN (SELECT value FROM json_each(?))")
+        .all(JSON.stringify(sessionIds))
+        .map((row) => row.id)
+    );
+
+    const purge = (table, column, values) =>
+      db.prepare(`DELETE FROM ${table} WHERE ${column} IN (SELECT value FROM json_each(?))`).run(values).changes;
+
+    purge("outbound_delivery_attempts", "delivery_id", deliveryIds);
+    purge("webhook_queue", "event_id", events);
+    purge("webhook_dead_letters", "event_id", events);
+    deleted = { outbound_deliveries: purge("outbound_deliveries", "id", deliveryIds) };
+
+    if (dryRun) {
+      throw RETENTION_ROLLBACK;
+    }
+  });
+
+  try {
+    transaction();
+  } catch (err) {
+    if (err !== RETENTION_ROLLBACK) {
+      throw err;
+    }
+  }
+
+  return deleted;
+}
+
+/**
+ * Redact every audit entry that names a user, as subject or as the JWT caller that
+ * acted (under any key version, see auth.js getActor)
+ * @param {string} userReference - User identifier (raw or pseudonym)
+ * @param {string} reason - Redaction reason
+ * @returns {number} Number of entries redacted
+ */
+export function redactUserAuditEntries(userReference, reason) {
+  const candidates = JSON.stringify(userReferenceCandidates(userReference));
+
+  return db.transaction(() =>
+    redactAuditEntries(
+      `json_extract(metadata, '$.user_reference') IN (SELECT value FROM json_each(?))
+        OR json_extract(metadata, '$.actor') IN (SELECT value FROM json_each(?))`,
+      [candidates, candidates],
+      reason
+    )
+  )();
+}
+
+/**
+ * Turn a job into a tombstone once its sessions and audit entries are purged
+ * through storage (GDPR Right to Erasure - Article 17): deletes the sessions'
+ * queued work and the user's generated exports, and forgets the user reference
+ * @param {string} jobId - Job ID
+ * @param {string[]} eventIds - Event IDs of the purged sessions (purgeSessionData)
+ * @returns {object} Rows deleted per table
+ */
+export function completeErasureJob(jobId, eventIds) {
+  const transaction = db.transaction(() => {
+    const { user_reference: userReference } = db
+      .prepare("SELECT user_reference FROM erasure_jobs WHERE id = ?")
+      .get(jobId);
+
+    const deleted = purgeSessionQueues(listErasureSessions(jobId), eventIds);
+    deleted.data_exports = db
+      .prepare("DELETE FROM data_exports WHERE user_reference IN (SELECT value FROM json_each(?))")
+      .run(JSON.stringify(userReferenceCandidates(userReference))).changes;
+
+    db.prepare(`
+      UPDATE erasure_jobs
+      SET status = 'completed', user_reference = NULL, last_error = NULL, completed_at = datetime('now')
+      WHERE id = ?
+    `).run(jobId);
+
+    return deleted;
+  });
+
+  return transaction();
+}
+
+// Tables retention rules may target: the column that gives a row's age, the
+// column "status" filters on, columns "anonymize" may clear, and rows never touched.
+// The first three are storage tables (see storage.js STORAGE_TABLES).
+export const RETENTION_TABLES = {
+  verification_sessions: { age: "updated_at", status: "status" },
+  audit_log: { age: "timestamp", status: "event_type", anonymize: ["ip_address"], guard: AUDIT_HAS_CONTENT },
+  processed_webhook_events: {
+    age: "received_at",
+    status: "outcome",
+    // Received or failed events may still be queued for (re)processing
+    guard: "outcome NOT IN ('received', 'failed')",
+  },
+  outbound_deliveries: { age: "created_at", status: "status", guard: "status IN ('succeeded', 'failed')" },
+  reconciliation_runs: { age: "started_at", status: "status", guard: "status != 'running'" },
+};
+
+const RETENTION_ROLLBACK = Symbol("retention dry run");
+
+function executeRetentionRule({ table, action, after_days, status = null, column = null }) {
+  const target = RETENTION_TABLES[table];
+  const statuses = status === null ? null : JSON.stringify([].concat(status));
+  const where = `
+    ${target.age} <= datetime('now', ?)
+    AND (? IS NULL OR ${target.status} IN (SELECT value FROM json_each(?)))
+    ${target.guard ? `AND ${target.guard}` : ""}
+  `;
+  const params = [`-${after_days} days`, statuses, statuses];
+
+  if (action === "anonymize") {
+    // Only audit_log has columns to anonymize. Older audit entries also kept the client
+    // IP in metadata. Redacted with a marker like an erasure, so the rest stays verifiable.
+    const alsoMetadata = column === "ip_address";
+    const affected = redactAuditEntries(
+      `${where} AND (${column} IS NOT NULL ${alsoMetadata ? "OR json_extract(metadata, '$.ip') IS NOT NULL" : ""})`,
+      params,
+      `retention: ${column}`,
+      `${column} = NULL ${alsoMetadata ? ", metadata = json_remove(metadata, '$.ip')" : ""}`
+    );
+
+    return { affected };
+  }
+
+  const keyColumn = { verification_sessions: "session_id", processed_webhook_events: "event_id" }[table] || "id";
+  const keys = db.prepare(`SELECT ${keyColumn} AS key FROM ${table} WHERE ${where}`).all(...params).map((r) => r.key);
+  const keysJson = JSON.stringify(keys);
+  const purge = (purgeTable, purgeColumn) =>
+    db.prepare(`DELETE FROM ${purgeTable} WHERE ${purgeColumn} IN (SELECT value FROM json_each(?))`).run(keysJson)
+      .changes;
+
+  switch (table) {
+    case "verification_sessions": {
+      // The caller purges their queued work (purgeSessionQueues) with the returned IDs
+      const { deleted, event_ids } = purgeSessionData(keys, "retention");
+      return { affected: keys.length, deleted, session_ids: keys, event_ids };
+    }
+
+    case "audit_log":
+      // Redacted, not deleted - the hash chain must stay verifiable
+      return {
+        affected: keys.length,
+        deleted: { audit_log_redacted: redactAuditEntries("id IN (SELECT value FROM json_each(?))", [keysJson], "retention") },
+      };
+
+    case "outbound_deliveries":
+      return {
+        affected: keys.length,
+        deleted: {
+          outbound_delivery_attempts: purge("outbound_delivery_attempts", "delivery_id"),
+          outbound_deliveries: purge(table, "id"),
+        },
+      };
+
+    case "reconciliation_runs":
+      return {
+        affected: keys.length,
+        deleted: {
+          reconciliation_findings: purge("reconciliation_findings", "run_id"),
+          reconciliation_runs: purge(table, "id"),
+        },
+      };
+
+    default:
+      return { affected: keys.length, deleted: { [table]: purge(table, keyColumn) } };
+  }
+}
+
+/**
+ * Apply one retention rule in a transaction
+ * A dry run executes the same statements and rolls them back, so the counts are exact.
+ * @param {object} rule - { table, action: delete|anonymize, after_days, status?, column? }
+ * @param {object} options - { dryRun }
+ * @returns {object} { affected, deleted, session_ids?, event_ids? } - rows matched, rows deleted
+ *   per table, and for verification_sessions the purged sessions and their events
+ */
+export function applyRetentionRule(rule, { dryRun = false } = {}) {
+  let result;
+
+  const transaction = db.transaction(() => {
+    result = executeRetentionRule(rule);
+    if (dryRun) {
+      throw RETENTION_ROLLBACK;
+    }
+  });
+
+  try {
+    transaction();
+  } catch (err) {
+    if (err !== RETENTION_ROLLBACK) {
+      throw err;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Store the outcome of a retention run
+ * @param {object} run - { trigger, dryRun, status, results, error, startedAt }
+ * @returns {number} Run ID
+ */
+export function recordRetentionRun({ trigger, dryRun = false, status, results, error = null, startedAt }) {
+  return db
+    .prepare(`
+      INSERT INTO retention_runs (trigger, dry_run, status, results, error, started_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `)
+    .run(trigger, dryRun ? 1 : 0, status, JSON.stringify(results), error, startedAt).lastInsertRowid;
+}
+
+/**
+ * List recent retention runs (newest first)
+ * @param {number} limit - Maximum number of runs
+ * @returns {array} Runs
+ */
+export function listRetentionRuns(limit = 20) {
+  return db
+    .prepare("SELECT * FROM retention_runs ORDER BY id DESC LIMIT ?")
+    .all(limit)
+    .map((run) => ({ ...run, dry_run: run.dry_run === 1, results: JSON.parse(run.results) }));
+}
+
+/**
+ * Audit events about a user that are not tied to one of their sessions
+ * @param {string} userReference - User identifier (raw or pseudonym)
+ * @returns {array} Audit events (oldest first)
+ */
+export function getUserAuditEvents(userReference) {
+  return db
+    .prepare(`
+      SELECT event_type, session_id, timestamp, metadata, result
+      FROM audit_log
+      WHERE json_extract(metadata, '$.user_reference') IN (SELECT value FROM json_each(?))
+      ORDER BY timestamp ASC, id ASC
+    `)
+    .all(JSON.stringify(userReferenceCandidates(userReference)));
+}
+
+/**
+ * Open a data export for a user
+ * @param {string} userReference - User identifier
+ * @param {string} format - json | zip
+ * @param {string} requestedBy - Actor requesting the export
+ * @param {string|null} tenantId - Only this tenant's sessions (null: all)
+ * @returns {object} Export (without content)
+ */
+export function createDataExport(userReference, format, requestedBy = null, tenantId = null) {
+  const exportId = `exp_${crypto.randomBytes(12).toString("hex")}`;
+
+  db.prepare(`
+    INSERT INTO data_exports (id, user_reference, format, requested_by, tenant_id)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(exportId, userReference, format, requestedBy, tenantId);
+
+  return getDataExport(exportId);
+}
+
+/**
+ * Get a data export
+ * @param {string} exportId - Export ID
+ * @param {object} options - { withContent: include the document itself }
+ * @returns {object|undefined} Export
+ */
+export function getDataExport(exportId, { withContent = false } = {}) {
+  return db
+    .prepare(`
+      SELECT id, user_reference, format, status, error, content_type, filename, sha256, signature,
+             requested_by, requested_at, completed_at, expires_at, tenant_id
+             ${withContent ? ", content" : ""}
+      FROM data_exports
+      WHERE id = ?
+    `)
+    .get(exportId);
+}
+
+/**
+ * Claim pending exports (marks them processing)
+ * @param {number} limit - Maximum number of exports
+ * @returns {array} Exports to generate
+ */
+export function claimPendingDataExports(limit) {
+  const select = db.prepare(`
+    SELECT id, user_reference, format, tenant_id FROM data_exports
+    WHERE status = 'pending'
+    ORDER BY requested_at ASC
+    LIMIT ?
+  `);
+  const claim = db.prepare("UPDATE data_exports SET status = 'processing' WHERE id = ?");
+
+  const transaction = db.transaction(() => {
+    const exports = select.all(limit);
+    exports.forEach((e) => claim.run(e.id));
+    return exports;
+  });
+
+  return transaction();
+}
+
+/**
+ * Store a generated export
+ * @param {string} exportId - Export ID
+ * @param {object} result - { content, content_type, filename, sha256, signature }
+ * @param {number} ttlHours - How long the document can be downloaded
+ */
+export function completeDataExport(exportId, result, ttlHours) {
+  pseudonymizeDataExport(exportId);
+  db.prepare(`
+    UPDATE data_exports
+    SET status = 'ready', error = NULL, content = ?, content_type = ?, filename = ?, sha256 = ?, signature = ?,
+        completed_at = datetime('now'), expires_at = datetime('now', ?)
+    WHERE id = ?
+  `).run(
+    result.content,
+    result.content_type,
+    result.filename,
+    result.sha256,
+    result.signature,
+    `+${ttlHours} hours`,
+    exportId
+  );
+}
+
+/**
+ * Mark an export as failed
+ * @param {string} exportId - Export ID
+ * @param {string} error - Error message
+ */
+export function failDataExport(exportId, error) {
+  pseudonymizeDataExport(exportId);
+  db.prepare("UPDATE data_exports SET status = 'failed', error = ? WHERE id = ?").run(error, exportId);
+}
+
+// The raw reference is only kept while the export is being generated (to find
+// rows stored under older key versions); afterwards only its pseudonym remains
+function pseudonymizeDataExport(exportId) {
+  const { user_reference: userReference } = db.prepare("SELECT user_reference FROM data_exports WHERE id = ?").get(exportId);
+  db.prepare("UPDATE data_exports SET user_reference = ? WHERE id = ?").run(pseudonymizeUserReference(userReference), exportId);
+}
+
+/**
+ * Return exports left processing by a crashed worker to the pending state
+ * @returns {number} Number of recovered exports
+ */
+export function resetStuckDataExports() {
+  return db.prepare("UPDATE data_exports SET status = 'pending' WHERE status = 'processing'").run().changes;
+}
+
+/**
+ * Delete exports whose download window has passed
+ * @returns {number} Number of deleted exports
+ */
+export function deleteExpiredDataExports() {
+  return db.prepare("DELETE FROM data_exports WHERE expires_at <= datetime('now')").run().changes;
+}
+
+// ==================== PSEUDONYMIZATION ====================
+
+// Columns holding pseudonymized user references that can be rewritten. Audit
+// entries are not: they are hash-chained, and found under every key version.
+const PSEUDONYMIZED_COLUMNS = [
+  { table: "verification_sessions", column: "user_reference", where: "1 = 1" },
+  // Pending exports still hold the reference as given (see data_exports)
+  { table: "data_exports", column: "user_reference", where: "status IN ('ready', 'failed')" },
+];
+
+/**
+ * Bring stored user references to the current pseudonymization key version
+ * (and pseudonymize values stored before pseudonymization was enabled)
+ * verification_sessions is rotated through storage, data_exports directly.
+ * @param {object} options - { dryRun, tables } - tables to rotate (default: all)
+ * @returns {object} Per table: { values, rotated, rows, unknown_version } - distinct values seen,
+ *   values rewritten, rows updated, and values whose key is no longer configured
+ */
+export function rotateStoredPseudonyms({ dryRun = false, tables = null } = {}) {
+  const configured = new Set(getPseudonymizationKeys().map((key) => key.version));
+  const report = {};
+
+  const transaction = db.transaction(() => {
+    for (const { table, column, where } of PSEUDONYMIZED_COLUMNS.filter((c) => !tables || tables.includes(c.table))) {
+      const totals = { values: 0, rotated: 0, rows: 0, unknown_version: 0 };
+      const update = db.prepare(`UPDATE ${table} SET ${column} = ? WHERE ${column} = ? AND ${where}`);
+      const count = db.prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE ${column} = ? AND ${where}`);
+      const values = db
+        .prepare(`SELECT DISTINCT ${column} AS value FROM ${table} WHERE ${column} IS NOT NULL AND ${where}`)
+        .all()
+        .map((row) => row.value);
+
+      for (const value of values) {
+        totals.values++;
+
+        const version = getPseudonymVersion(value);
+        if (version !== null && !configured.has(version)) {
+          totals.unknown_version++;
+          continue;
+        }
+
+        const rotated = pseudonymizeUserReference(value);
+        if (rotated !== value) {
+          totals.rotated++;
+          totals.rows += dryRun ? count.get(value).count : update.run(rotated, value).changes;
+        }
+      }
+
+      report[table] = totals;
+    }
+  });
+
+  transaction.immediate();
+  return report;
+}
+
+// ==================== HEALTH ====================
+
+/**
+ * Database state for readiness checks: performs a real write
+ * @returns {object} { writable, error, journal_mode, wal_size_bytes }
+ */
+export function getDatabaseHealth() {
+  const health = { writable: true, error: null, journal_mode: null, wal_size_bytes: null };
+
+  try {
+    db.prepare(`
+      INSERT INTO health_probe (id, checked_at) VALUES (1, datetime('now'))
+      ON CONFLICT(id) DO UPDATE SET checked_at = excluded.checked_at
+    `).run();
+  } catch (err) {
+    health.writable = false;
+    health.error = err.message;
+  }
+
+  health.journal_mode = db.pragma("journal_mode", { simple: true });
+
+  try {
+    health.wal_size_bytes = fs.statSync(`${db.name}-wal`).size;
+  } catch {
+    // No WAL file (not in WAL mode, or checkpointed and removed)
+    health.wal_size_bytes = 0;
+  }
+
+  return health;
+}
+
+/**
+ * Webhook queue backlog (the last processed event is in storage: getLastProcessedWebhookEvent)
+ * @returns {object} { pending, oldest_pending_seconds, dead_letters }
+ */
+export function getWebhookQueueHealth() {
+  const queue = db
+    .prepare(`
+      SELECT COUNT(*) AS pending,
+             CAST(ROUND((julianday('now') - julianday(MIN(enqueued_at))) * 86400) AS INTEGER) AS oldest_pending_seconds
+      FROM webhook_queue
+    `)
+    .get();
+
+  return {
+    ...queue,
+    dead_letters: db.prepare("SELECT COUNT(*) AS count FROM webhook_dead_letters").get().count,
+  };
+}
+
+/**
+ * The last successfully processed webhook event
+ * @returns {object} { last_processed_at, last_processed_seconds } (null if none yet)
+ */
+export function getLastProcessedWebhookEvent() {
+  return db
+    .prepare(`
+      SELECT MAX(processed_at) AS last_processed_at,
+             CAST(ROUND((julianday('now') - julianday(MAX(processed_at))) * 86400) AS INTEGER) AS last_processed_seconds
+      FROM processed_webhook_events
+      WHERE outcome = 'processed'
+    `)
+    .get();
+}
+
+/**
+ * Whether the database answers (storage readiness)
+ * @returns {boolean}
+ */
+export function pingDatabase() {
+  return db.prepare("SELECT 1 AS ok").get().ok === 1;
+}
+
+// ==================== ANALYTICS ====================
+
+// Start of the bucket a session belongs to (by created_at, UTC); weeks start on Monday
+export const TIMESERIES_BUCKETS = {
+  day: "date(s.created_at)",
+  week: "date(s.created_at, 'weekday 0', '-6 days')",
+  month: "strftime('%Y-%m-01', s.created_at)",
+};
+
+/**
+ * Session funnel, median time-to-verify and failure reasons per bucket
+ * Sessions are counted in the bucket they were created in (cohorts).
+ * @param {object} query - { interval: day|week|month, from, to, verificationType, tenantId, stripeAccount }
+ *   (from/to as "YYYY-MM-DD HH:MM:SS" UTC; to is exclusive)
+ * @returns {object} { funnel, medians, failures, total_median } - rows keyed by bucket start, and the
+ *   median over the whole range (medians cannot be combined from the buckets)
+ */
+export function getVerificationTimeseries({
+  interval,
+  from,
+  to,
+  verificationType = null,
+  tenantId = null,
+  stripeAccount = null,
+}) {
+  const bucket = TIMESERIES_BUCKETS[interval];
+  const where = `
+    s.created_at >= ? AND s.created_at < ?
+    AND (? IS NULL OR s.verification_type = ?)
+    AND (? IS NULL OR s.tenant_id = ?)
+    AND (? IS NULL OR s.stripe_account = ?)
+  `;
+  const params = [from, to, verificationType, verificationType, tenantId, tenantId, stripeAccount, stripeAccount];
+
+  // "processing" counts every session that got that far, including those already verified
+  // (the history lookup is answered from idx_status_history_session_status_applied alone)
+  const funnel = db
+    .prepare(`
+      SELECT ${bucket} AS bucket,
+             COUNT(*) AS created,
+             SUM(
+               s.verified_at IS NOT NULL OR s.status = 'processing' OR EXISTS (
+                 SELECT 1 FROM verification_status_history h
+                 WHERE h.session_id = s.session_id AND h.to_status = 'processing' AND h.applied = 1
+               )
+             ) AS processing,
+             SUM(s.verified_at IS NOT NULL) AS verified,
+             SUM(s.status = 'requires_input') AS requires_input,
+             SUM(s.status = 'canceled') AS canceled,
+             SUM(s.status = 'redacted') AS redacted
+      FROM verification_sessions s
+      WHERE ${where}
+      GROUP BY bucket
+    `)
+    .all(...params);
+
+  // Median per bucket: the middle row (or the mean of the two middle rows) of each partition
+  const median = (bucketExpression) =>
+    db
+      .prepare(`
+        WITH durations AS (
+          SELECT ${bucketExpression} AS bucket,
+                 (julianday(s.verified_at) - julianday(s.created_at)) * 86400 AS seconds
+          FROM verification_sessions s
+          WHERE s.verified_at IS NOT NULL AND ${where}
+        ),
+        ranked AS (
+          SELECT bucket, seconds,
+                 ROW_NUMBER() OVER (PARTITION BY bucket ORDER BY seconds) AS rn,
+                 COUNT(*) OVER (PARTITION BY bucket) AS n
+          FROM durations
+        )
+        SELECT bucket, AVG(seconds) AS median_seconds
+        FROM ranked
+        WHERE rn IN ((n + 1) / 2, (n + 2) / 2)
+        GROUP BY bucket
+      `)
+      .all(...params);
+
+  const failures = db
+    .prepare(`
+      SELECT ${bucket} AS bucket, e.error_code, COUNT(*) AS count
+      FROM verification_errors e
+      JOIN verification_sessions s ON s.session_id = e.session_id
+      WHERE ${where}
+      GROUP BY bucket, e.error_code
+      ORDER BY count DESC
+    `)
+    .all(...params);
+
+  return { funnel, medians: median(bucket), failures, total_median: median("'total'")[0]?.median_seconds };
+}
+
+/**
+ * Number of sessions per current status (metrics)
+ * @returns {array} [{ status, count }]
+ */
+export function countSessionsByStatus() {
+  return db.prepare("SELECT status, COUNT(*) AS count FROM verification_sessions GROUP BY status").all();
+}
+
+/**
+ * Number of webhook jobs per queue status, dead letters included (metrics)
+ * @returns {array} [{ status, count }] - pending, processing, dead_letter
+ */
+export function countWebhookQueue() {
+  return db
+    .prepare(`
+      SELECT status, COUNT(*) AS count FROM webhook_queue GROUP BY status
+      UNION ALL
+      SELECT 'dead_letter', COUNT(*) FROM webhook_dead_letters
+    `)
+    .all();
+}
+
+/**
+ * Get database statistics (for POC evaluation)
+ * @param {object} filters - Optional { tenantId, stripeAccount }: only this tenant's / connected
+ *   account's sessions (null: all)
+ * @returns {object} Statistics
+ */
+export function getStatistics({ tenantId = null, stripeAccount = null } = {}) {
+  const sessionFilter = "(? IS NULL OR tenant_id = ?) AND (? IS NULL OR stripe_account = ?)";
+  const filterParams = [tenantId, tenantId, stripeAccount, stripeAccount];
+
+  const byStatus = Object.fromEntries(
+    db
+      .prepare(`
+        SELECT status, COUNT(*) as count FROM verification_sessions
+        WHERE ${sessionFilter}
+        GROUP BY status
+      `)
+      .all(...filterParams)
+      .map((row) => [row.status, row.count])
+  );
+  const count = (...statuses) => statuses.reduce((sum, status) => sum + (byStatus[status] || 0), 0);
+
+  const stats = {
+    total_sessions: Object.values(byStatus).reduce((sum, n) => sum + n, 0),
+    verified: count("verified"),
+    pending: count("created", "processing"),
+    failed: count("requires_input", "canceled"),
+    // "failed" split up: needs another attempt vs. abandoned
+    requires_input: count("requires_input"),
+    canceled: count("canceled"),
+    // A filtered view counts the audit events of its own sessions
+    audit_events:
+      tenantId || stripeAccount
+        ? db
+            .prepare(`
+              SELECT COUNT(*) as count FROM audit_log
+              WHERE session_id IN (SELECT session_id FROM verification_sessions WHERE ${sessionFilter})
+            `)
+            .get(...filterParams).count
+        : db.prepare("SELECT COUNT(*) as count FROM audit_log").get().count,
+
+    // Failed attempts by Stripe last_error code
+    failure_reasons: Object.fromEntries(
+      db
+        .prepare(`
+          SELECT e.error_code, COUNT(*) as count
+          FROM verification_errors e
+          JOIN verification_sessions s ON s.session_id = e.session_id
+          WHERE (? IS NULL OR s.tenant_id = ?) AND (? IS NULL OR s.stripe_account = ?)
+          GROUP BY e.error_code
+          ORDER BY count DESC
+        `)
+        .all(...filterParams)
+        .map((row) => [row.error_code, row.count])
+    ),
   };
 
   return stats;
 }
 
-console.log("✅ Database initialized with SECURE schema (NO PII STORAGE)");
+log.success("Database initialized with SECURE schema (NO PII STORAGE)");
 
 export default db;
@@ -0,0 +1,44 @@
+import Database from "better-sqlite3";
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// ==================== DATABASE CONNECTION ====================
+// Opens the SQLite database for the server and the CLI tools. DATABASE_PATH
+// selects the file (relative paths are resolved against the working directory);
+// the default is verification.db next to the source.
+
+// The database is opened while modules are being imported - before server.js
+// (or a CLI) calls dotenv.config() - so .env is loaded here for DATABASE_PATH
+dotenv.config({ quiet: true });
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Path of the SQLite database file
+ * @returns {string} Absolute path
+ */
+export function getDatabasePath() {
+  return path.resolve(process.env.DATABASE_PATH || path.join(__dirname, "verification.db"));
+}
+
+/**
+ * Open the database with the settings the server relies on
+ * @param {string} databasePath - SQLite file (created with its directory if missing)
+ * @returns {Database} better-sqlite3 handle
+ */
+export function openDatabase(databasePath = getDatabasePath()) {
+  fs.mkdirSync(path.dirname(databasePath), { recursive: true });
+
+  const db = new Database(databasePath);
+
+  // Enable WAL mode for better concurrency
+  db.pragma("journal_mode = WAL");
+
+  // Wait for a lock instead of failing immediately (the webhook worker writes concurrently)
+  db.pragma("busy_timeout = 5000");
+
+  return db;
+}
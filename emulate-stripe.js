@@ -0,0 +1,36 @@
+// Run the offline Stripe Identity emulator (see stripe-emulator.js)
+//
+// Usage:
+//   node emulate-stripe.js
+//
+// Start the server with STRIPE_API_URL=http://localhost:12111 (and any sk_test_ key) to use it.
+// Reads the same .env as the server: events are delivered to its /webhook (PORT) and signed with
+// STRIPE_WEBHOOK_SECRET / STRIPE_CONNECT_WEBHOOK_SECRET. STRIPE_EMULATOR_PORT, STRIPE_EMULATOR_URL
+// (as seen by browsers) and STRIPE_EMULATOR_WEBHOOK_URL override the defaults.
+import dotenv from "dotenv";
+import { createStripeEmulator } from "./stripe-emulator.js";
+import { log } from "./logger.js";
+
+dotenv.config({ quiet: true });
+
+const port = Number(process.env.STRIPE_EMULATOR_PORT) || 12111;
+const publicUrl = (process.env.STRIPE_EMULATOR_URL || `http://localhost:${port}`).replace(/\/$/, "");
+const webhookUrl = process.env.STRIPE_EMULATOR_WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/webhook`;
+
+const { app } = createStripeEmulator({
+  publicUrl,
+  webhookUrl,
+  webhookSecret: process.env.STRIPE_WEBHOOK_SECRET || null,
+  connectWebhookSecret: process.env.STRIPE_CONNECT_WEBHOOK_SECRET || null,
+});
+
+const server = app.listen(port, () => {
+  log.success(`Stripe Identity emulator running on ${publicUrl}`);
+  log.info(`   Start the server with STRIPE_API_URL=http://localhost:${port}`);
+  log.info(`   Events go to ${webhookUrl}${process.env.STRIPE_WEBHOOK_SECRET ? "" : " UNSIGNED (STRIPE_WEBHOOK_SECRET not set)"}`);
+});
+
+server.on("error", (err) => {
+  log.error(`Stripe Identity emulator failed to start: ${err.message}`);
+  process.exit(1);
+});
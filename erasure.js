@@ -0,0 +1,267 @@
+import crypto from "crypto";
+import {
+  createErasureJob,
+  claimDueErasureJobs,
+  addErasureSessions,
+  listErasureSessions,
+  markErasureSession,
+  retryErasureJobLater,
+  failErasureJob,
+  resetStuckErasureJobs,
+  completeErasureJob,
+  requeueErasureJob,
+  getErasureJob,
+  AUDIT_RESULTS,
+} from "./database.js";
+import { getStorage } from "./storage.js";
+import { log } from "./logger.js";
+import { getStripe, getRequestOptions } from "./stripe-client.js";
+import { getPseudonymizationKeys } from "./pseudonymize.js";
+
+// ==================== GDPR ERASURE ====================
+// DELETE /user-data/:userReference opens an erasure job; this worker completes it:
+//
+//   1. Redact every session of the user in Stripe (VerificationSession redact)
+//   2. Once all are redacted, purge the sessions, history and webhook events and
+//      redact the user's audit rows in storage, then the sessions' queued work
+//      and the user's exports
+//   3. Keep the job as a tombstone: hashed user reference + timestamps
+//
+// Per-session progress is stored, so a job interrupted by Stripe errors or a
+// restart resumes where it stopped; sessions the user creates meanwhile join
+// the job before the purge. Requesting erasure again while a job is
+// open returns that job (and retries it if it had failed).
+
+const RETRY_MAX_SECONDS = 60 * 60;
+const BATCH_SIZE = 5;
+
+// Read lazily so values from .env (loaded after imports) are honoured
+const getPollIntervalMs = () => Number(process.env.ERASURE_POLL_MS) || 5000;
+const getMaxAttempts = () => Number(process.env.ERASURE_MAX_ATTEMPTS) || 10;
+const getRetryBaseSeconds = () => Number(process.env.ERASURE_RETRY_BASE_SECONDS) || 30;
+
+let timer = null;
+let running = false;
+
+// Tombstone key: ERASURE_HASH_SECRET, else one derived from the oldest
+// pseudonymization key (it stays configured across rotations)
+function getSubjectHashKey() {
+  if (process.env.ERASURE_HASH_SECRET) {
+    return process.env.ERASURE_HASH_SECRET;
+  }
+
+  const [oldest] = getPseudonymizationKeys();
+  return oldest ? crypto.createHmac("sha256", oldest.secret).update("erasure-subject").digest() : null;
+}
+
+/**
+ * Whether a key for erasure tombstones is configured (erasure is unavailable without one)
+ * @returns {boolean}
+ */
+export function isErasureHashKeyConfigured() {
+  return getSubjectHashKey() !== null;
+}
+
+/**
+ * Pseudonymize a user reference for the erasure tombstone
+ * Always keyed (see getSubjectHashKey), so references cannot be brute-forced from the hash.
+ * @param {string} userReference - User identifier
+ * @returns {string} Hex digest
+ */
+export function hashUserReference(userReference) {
+  const key = getSubjectHashKey();
+
+  if (!key) {
+    throw new Error("ERASURE_HASH_SECRET or PSEUDONYMIZATION_KEYS is required to hash erasure subjects");
+  }
+  return crypto.createHmac("sha256", key).update(userReference).digest("hex");
+}
+
+/**
+ * Open (or return the open) erasure job of a user and start processing it
+ * @param {string} userReference - User identifier to erase
+ * @param {string} actor - Who requested the erasure
+ * @returns {Promise<object>} { job, created }
+ */
+export async function requestErasure(userReference, actor = null) {
+  const storage = await getStorage();
+  const subjectHash = hashUserReference(userReference);
+  const { job, created } = createErasureJob(
+    userReference,
+    subjectHash,
+    actor,
+    await storage.listSessionIdsByUser(userReference)
+  );
+
+  if (created) {
+    // Only the hash - the raw reference is what is being erased
+    await storage.logAuditEvent("erasure_requested", null, {
+      job_id: job.id,
+      subject_hash: subjectHash,
+      sessions: job.sessions_total,
+      actor,
+    });
+    log.info(`Erasure job ${job.id} opened (${job.sessions_total} session(s))`);
+
+    setImmediate(drainErasureJobs);
+  } else if (job.status === "failed" && requeueErasureJob(job.id)) {
+    // A repeated request retries a job that gave up
+    setImmediate(drainErasureJobs);
+    return { job: getErasureJob(job.id), created };
+  }
+
+  return { job, created };
+}
+
+/**
+ * Proof of erasure for a job: what was requested and when it completed
+ * @param {object} job - Job from getErasureJob
+ * @returns {object} Receipt (no raw user reference)
+ */
+export function toErasureReceipt(job) {
+  const count = (status) => job.sessions.filter((s) => s.stripe_status === status).length;
+
+  return {
+    job_id: job.id,
+    subject_hash: job.subject_hash,
+    status: job.status,
+    requested_at: job.requested_at,
+    completed_at: job.completed_at,
+    sessions: {
+      total: job.sessions_total,
+      redacted: count("redacted"),
+      not_found: count("not_found"),
+      pending: count("pending"),
+    },
+  };
+}
+
+function getRetryDelaySeconds(attempts) {
+  return Math.min(getRetryBaseSeconds() * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+}
+
+// Redact one session in Stripe (in its tenant's or connected account); a session
+// Stripe does not know needs no redaction
+async function redactInStripe(storage, sessionId) {
+  const record = await storage.getVerificationBySessionId(sessionId);
+
+  if (record?.status === "redacted") {
+    return "redacted";
+  }
+
+  try {
+    await getStripe(record?.tenant_id).identity.verificationSessions.redact(
+      sessionId,
+      {},
+      getRequestOptions(record?.stripe_account)
+    );
+    return "redacted";
+  } catch (err) {
+    if (err.code === "resource_missing") {
+      return "not_found";
+    }
+    throw err;
+  }
+}
+
+async function processJob(job) {
+  const storage = await getStorage();
+  const errors = [];
+
+  addErasureSessions(job.id, await storage.listSessionIdsByUser(job.user_reference));
+
+  for (const sessionId of listErasureSessions(job.id, "pending")) {
+    try {
+      markErasureSession(job.id, sessionId, await redactInStripe(storage, sessionId));
+    } catch (err) {
+      // e.g. Stripe refuses to redact a session that is still processing
+      markErasureSession(job.id, sessionId, "pending", err.message);
+      errors.push(`${sessionId}: ${err.message}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = errors.join("; ");
+
+    if (job.attempts >= getMaxAttempts()) {
+      failErasureJob(job.id, error);
+      await storage.logAuditEvent("erasure_failed", null, { job_id: job.id, attempts: job.attempts, error }, null, AUDIT_RESULTS.FAILURE);
+      log.error(`Erasure job ${job.id} failed after ${job.attempts} attempts: ${error}`);
+    } else {
+      const delay = getRetryDelaySeconds(job.attempts);
+      retryErasureJobLater(job.id, error, delay);
+      log.warn(`Erasure job ${job.id}: ${errors.length} Stripe redaction(s) failed, retrying in ${delay}s`);
+    }
+    return;
+  }
+
+  if (addErasureSessions(job.id, await storage.listSessionIdsByUser(job.user_reference)) > 0) {
+    // The user created new sessions meanwhile - redact those first
+    retryErasureJobLater(job.id, null, 0);
+    return;
+  }
+
+  const reason = `erasure ${job.id}`;
+  const { deleted, event_ids: eventIds } = await storage.purgeSessionData(listErasureSessions(job.id), reason);
+  deleted.audit_log_redacted += await storage.redactUserAuditEntries(job.user_reference, reason);
+  Object.assign(deleted, completeErasureJob(job.id, eventIds));
+
+  await storage.logAuditEvent("erasure_completed", null, { job_id: job.id, deleted });
+  log.info(`Erasure job ${job.id} completed (${deleted.sessions} session(s) purged)`);
+}
+
+/**
+ * Process every erasure job that is currently due
+ * @returns {Promise<number>} Number of jobs attempted
+ */
+export async function drainErasureJobs() {
+  if (running) {
+    return 0;
+  }
+  running = true;
+
+  try {
+    const jobs = claimDueErasureJobs(BATCH_SIZE);
+
+    for (const job of jobs) {
+      try {
+        await processJob(job);
+      } catch (err) {
+        retryErasureJobLater(job.id, err.message, getRetryDelaySeconds(job.attempts));
+        log.error(`Erasure job ${job.id} error: ${err.message}`);
+      }
+    }
+
+    return jobs.length;
+  } catch (err) {
+    log.error(`Erasure worker error: ${err.message}`);
+    return 0;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start processing erasure jobs in the background
+ */
+export function startErasureWorker() {
+  if (timer) {
+    return;
+  }
+
+  const recovered = resetStuckErasureJobs();
+  if (recovered > 0) {
+    log.warn(`Resuming ${recovered} erasure job(s) interrupted by a previous shutdown`);
+  }
+
+  timer = setInterval(drainErasureJobs, getPollIntervalMs());
+  log.debug(`Erasure worker started (poll ${getPollIntervalMs()}ms, max ${getMaxAttempts()} attempts)`);
+}
+
+/**
+ * Stop the erasure worker
+ */
+export function stopErasureWorker() {
+  clearInterval(timer);
+  timer = null;
+}
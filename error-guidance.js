@@ -0,0 +1,162 @@
+import fs from "fs";
+import { log } from "./logger.js";
+
+// ==================== USER-FACING ERROR GUIDANCE ====================
+// Maps Stripe VerificationSession last_error codes to messages our frontend can
+// show the user. English defaults below; ERROR_GUIDANCE_PATH points to a JSON
+// file that overrides entries or adds locales:
+//
+//   { "de": { "document_expired": { "title": "...", "message": "...", "retryable": true } } }
+
+const DEFAULT_LOCALE = "en";
+
+const DEFAULT_GUIDANCE = {
+  en: {
+    default: {
+      title: "Verification unsuccessful",
+      message: "We couldn't verify your identity. Please try again.",
+      retryable: true,
+    },
+    abandoned: {
+      title: "Verification not completed",
+      message: "The verification was not finished. Please start again when you're ready.",
+      retryable: true,
+    },
+    consent_declined: {
+      title: "Consent required",
+      message: "You need to give consent to verify your identity.",
+      retryable: true,
+    },
+    country_not_supported: {
+      title: "Country not supported",
+      message: "Documents from your country are not supported yet.",
+      retryable: false,
+    },
+    device_not_supported: {
+      title: "Device not supported",
+      message: "Your device can't capture the required photos. Please try on a phone with a camera.",
+      retryable: true,
+    },
+    document_expired: {
+      title: "Document expired",
+      message: "The document you provided has expired. Please use a valid, unexpired document.",
+      retryable: true,
+    },
+    document_type_not_supported: {
+      title: "Document not accepted",
+      message: "This type of document isn't accepted. Please use a different identity document.",
+      retryable: true,
+    },
+    document_unverified_other: {
+      title: "Document couldn't be verified",
+      message: "We couldn't read or verify your document. Make sure the photo is sharp, well lit and shows the whole document.",
+      retryable: true,
+    },
+    id_number_insufficient_document_data: {
+      title: "ID number couldn't be checked",
+      message: "We couldn't find enough information to check your ID number. Please verify with a document instead.",
+      retryable: true,
+    },
+    id_number_mismatch: {
+      title: "ID number doesn't match",
+      message: "The ID number you entered doesn't match our records. Please check it and try again.",
+      retryable: true,
+    },
+    id_number_unverified_other: {
+      title: "ID number couldn't be verified",
+      message: "We couldn't verify your ID number. Please check it and try again.",
+      retryable: true,
+    },
+    selfie_document_missing_photo: {
+      title: "No photo on document",
+      message: "Your document doesn't show a photo of you. Please use a document with a photo.",
+      retryable: true,
+    },
+    selfie_face_mismatch: {
+      title: "Selfie doesn't match",
+      message: "Your selfie doesn't match the photo on your document. Please retake it in good lighting, facing the camera.",
+      retryable: true,
+    },
+    selfie_manipulated: {
+      title: "Selfie couldn't be accepted",
+      message: "Your selfie couldn't be accepted. Please take a new, unedited selfie.",
+      retryable: true,
+    },
+    selfie_unverified_other: {
+      title: "Selfie couldn't be verified",
+      message: "We couldn't verify your selfie. Please retake it in good lighting, facing the camera.",
+      retryable: true,
+    },
+    under_supported_age: {
+      title: "Age requirement not met",
+      message: "You don't meet the minimum age requirement.",
+      retryable: false,
+    },
+  },
+};
+
+let guidanceCache = null;
+
+// Defaults merged with the optional override file (loaded once per path)
+function loadGuidance() {
+  const overridePath = process.env.ERROR_GUIDANCE_PATH || null;
+
+  if (guidanceCache && guidanceCache.path === overridePath) {
+    return guidanceCache.table;
+  }
+
+  const table = structuredClone(DEFAULT_GUIDANCE);
+
+  if (overridePath) {
+    try {
+      const overrides = JSON.parse(fs.readFileSync(overridePath, "utf8"));
+      for (const [locale, entries] of Object.entries(overrides)) {
+        table[locale] = { ...table[locale], ...entries };
+      }
+    } catch (err) {
+      log.error(`Failed to load error guidance from ${overridePath}: ${err.message}`);
+    }
+  }
+
+  guidanceCache = { path: overridePath, table };
+  return table;
+}
+
+/**
+ * Pick the best supported locale from ?locale= or the Accept-Language header
+ * @param {object} req - Express request
+ * @returns {string} Locale key present in the guidance table
+ */
+export function resolveLocale(req) {
+  const table = loadGuidance();
+  const candidates = [
+    req.query?.locale,
+    ...(req.headers["accept-language"] || "")
+      .split(",")
+      .map((part) => part.split(";")[0].trim()),
+  ].filter(Boolean);
+
+  for (const candidate of candidates) {
+    const lower = candidate.toLowerCase();
+    if (table[lower]) return lower;
+    const base = lower.split("-")[0];
+    if (table[base]) return base;
+  }
+
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Get user-facing guidance for a Stripe last_error code
+ * Falls back to the default locale, then to the generic "default" entry.
+ * @param {string} code - Stripe last_error.code
+ * @param {string} locale - Locale from resolveLocale()
+ * @returns {object} { title, message, retryable }
+ */
+export function getErrorGuidance(code, locale = DEFAULT_LOCALE) {
+  const table = loadGuidance();
+  const localized = table[locale] || {};
+  const fallback = table[DEFAULT_LOCALE];
+
+  return localized[code] || fallback[code] || localized.default || fallback.default;
+}
@@ -0,0 +1,147 @@
+import { getDatabaseHealth, getWebhookQueueHealth } from "./database.js";
+import { getStorage } from "./storage.js";
+import { log } from "./logger.js";
+
+// ==================== HEALTH CHECKS ====================
+// Liveness (GET /health, /health/live): the process is up and serving - no
+// dependencies are checked, so a restart is never triggered by a database or
+// Stripe problem.
+//
+// Readiness (GET /health/ready): whether this instance should receive traffic.
+// Every check reports "ok" or "degraded" with its detail; any degraded check
+// makes the instance not ready (503):
+//
+//   database        SQLite accepts a write, runs in WAL mode, WAL below HEALTH_MAX_WAL_MB
+//   storage         The STORAGE_BACKEND (sessions, audit log, webhook events) answers
+//   stripe          STRIPE_SECRET_KEY is set and looks like a secret/restricted key
+//   webhook_secret  STRIPE_WEBHOOK_SECRET is set (otherwise signatures are not verified)
+//   webhook_queue   Pending events at most HEALTH_MAX_WEBHOOK_BACKLOG
+//   last_webhook    Last successfully processed event at most HEALTH_MAX_WEBHOOK_AGE_MINUTES
+//                   ago (only checked when set - quiet periods are normal)
+
+export const HEALTH_STATUSES = { OK: "ok", DEGRADED: "degraded" };
+
+// Read lazily so values from .env (loaded after imports) are honoured
+const getMaxWalMb = () => Number(process.env.HEALTH_MAX_WAL_MB) || 256;
+const getMaxBacklog = () => Number(process.env.HEALTH_MAX_WEBHOOK_BACKLOG) || 1000;
+const getMaxWebhookAgeMinutes = () => Number(process.env.HEALTH_MAX_WEBHOOK_AGE_MINUTES) || 0;
+
+let lastStatus = null;
+
+const ok = (detail) => ({ status: HEALTH_STATUSES.OK, ...detail });
+const degraded = (reason, detail) => ({ status: HEALTH_STATUSES.DEGRADED, reason, ...detail });
+
+function checkDatabase() {
+  const db = getDatabaseHealth();
+  const walLimitBytes = getMaxWalMb() * 1024 * 1024;
+
+  if (!db.writable) {
+    return degraded(`Database is not writable: ${db.error}`, db);
+  }
+  if (db.journal_mode !== "wal") {
+    return degraded(`Journal mode is ${db.journal_mode}, expected wal`, db);
+  }
+  if (db.wal_size_bytes > walLimitBytes) {
+    return degraded(`WAL is ${Math.round(db.wal_size_bytes / 1024 / 1024)} MB (limit ${getMaxWalMb()} MB) - checkpoints are not keeping up`, db);
+  }
+  return ok(db);
+}
+
+async function checkStorage() {
+  const storage = await getStorage();
+
+  return (await storage.ping())
+    ? ok({ backend: storage.backend })
+    : degraded(`${storage.backend} storage did not answer`, { backend: storage.backend });
+}
+
+function checkStripe() {
+  const key = process.env.STRIPE_SECRET_KEY || "";
+  const mode = /^(sk|rk)_live_/.test(key) ? "live" : /^(sk|rk)_test_/.test(key) ? "test" : null;
+
+  if (!key) {
+    return degraded("STRIPE_SECRET_KEY is not set", { configured: false });
+  }
+  if (!mode) {
+    return degraded("STRIPE_SECRET_KEY is not a secret (sk_) or restricted (rk_) key", { configured: true });
+  }
+  return ok({ configured: true, mode });
+}
+
+function checkWebhookSecret() {
+  return process.env.STRIPE_WEBHOOK_SECRET
+    ? ok({ configured: true })
+    : degraded("STRIPE_WEBHOOK_SECRET is not set - webhook signatures are not verified", { configured: false });
+}
+
+function checkWebhookQueue() {
+  const { pending, oldest_pending_seconds, dead_letters } = getWebhookQueueHealth();
+  const detail = { pending, oldest_pending_seconds, dead_letters, max_backlog: getMaxBacklog() };
+
+  return pending > getMaxBacklog()
+    ? degraded(`${pending} webhook event(s) waiting to be processed`, detail)
+    : ok(detail);
+}
+
+async function checkLastWebhook() {
+  const storage = await getStorage();
+  const { last_processed_at, last_processed_seconds } = await storage.getLastProcessedWebhookEvent();
+  const maxMinutes = getMaxWebhookAgeMinutes();
+  const detail = { last_processed_at, age_seconds: last_processed_seconds, max_age_minutes: maxMinutes || null };
+
+  if (maxMinutes > 0 && last_processed_seconds !== null && last_processed_seconds > maxMinutes * 60) {
+    return degraded(`No webhook event processed for ${Math.round(last_processed_seconds / 60)} minutes`, detail);
+  }
+  return ok(detail);
+}
+
+// A check that throws is degraded, not a failed readiness request
+async function run(check) {
+  try {
+    return await check();
+  } catch (err) {
+    return degraded(err.message);
+  }
+}
+
+/**
+ * Liveness: the process is running
+ * @returns {object} { status, timestamp, uptime_seconds }
+ */
+export function getLiveness() {
+  return {
+    status: HEALTH_STATUSES.OK,
+    timestamp: new Date().toISOString(),
+    uptime_seconds: Math.round(process.uptime()),
+  };
+}
+
+/**
+ * Readiness: run every check
+ * @returns {Promise<object>} { status, timestamp, checks } - status is degraded if any check is
+ */
+export async function getReadiness() {
+  const checks = {
+    database: await run(checkDatabase),
+    storage: await run(checkStorage),
+    stripe: await run(checkStripe),
+    webhook_secret: await run(checkWebhookSecret),
+    webhook_queue: await run(checkWebhookQueue),
+    last_webhook: await run(checkLastWebhook),
+  };
+
+  const failing = Object.entries(checks).filter(([, check]) => check.status !== HEALTH_STATUSES.OK);
+  const status = failing.length === 0 ? HEALTH_STATUSES.OK : HEALTH_STATUSES.DEGRADED;
+
+  // Log changes only - probes run every few seconds
+  if (status !== lastStatus) {
+    if (status === HEALTH_STATUSES.OK) {
+      log.info("Readiness: ok");
+    } else {
+      log.warn(`Readiness: degraded - ${failing.map(([name, check]) => `${name}: ${check.reason}`).join("; ")}`);
+    }
+    lastStatus = status;
+  }
+
+  return { status, timestamp: new Date().toISOString(), checks };
+}
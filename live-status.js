@@ -0,0 +1,246 @@
+import { WebSocketServer } from "ws";
+import { AUDIT_RESULTS } from "./database.js";
+import { getStorage } from "./storage.js";
+import { log } from "./logger.js";
+import { statusEvents } from "./status-events.js";
+import { authenticateRequest, canAccessSession, AuthError } from "./auth.js";
+
+// ==================== LIVE STATUS STREAM ====================
+// Pushes status transitions to the frontend as soon as they are applied, so it
+// does not have to poll /verification-status after the Stripe redirect.
+//
+// - SSE:       GET /verification-status/:sessionId/stream
+// - WebSocket: /ws/verification-status/:sessionId (when WEBSOCKET_ENABLED=true)
+//
+// Event IDs are verification_status_history IDs: a client reconnecting with
+// Last-Event-ID (SSE) or ?lastEventId= (both) receives the transitions it missed.
+
+const getHeartbeatMs = () => Number(process.env.LIVE_STATUS_HEARTBEAT_MS) || 15000;
+const RECONNECT_DELAY_MS = 3000;
+
+// Session ID -> Set of deliver functions of its open streams
+const channels = new Map();
+
+// The only transition listener of this module: one per process, whatever the
+// number of open streams
+statusEvents.on("transition", (transition) => {
+  for (const deliver of channels.get(transition.session_id) ?? []) {
+    deliver(transition.history_id, toStreamEvent(transition));
+  }
+});
+
+// PII-free payload shared by SSE and WebSocket messages
+function toStreamEvent({ session_id, status, previous_status, source, occurred_at }) {
+  return { session_id, status, previous_status, source, occurred_at };
+}
+
+/**
+ * Subscribe to a session's transitions, replaying anything after lastEventId first
+ * Without lastEventId the current status is sent as a snapshot. Transitions applied
+ * while the replay is read from storage are held back and sent after it.
+ * @param {string} sessionId - Stripe session ID
+ * @param {number|null} lastEventId - Last history ID the client has seen
+ * @param {function} send - (id, event) => void
+ * @returns {function} Unsubscribe
+ */
+function openStatusChannel(sessionId, lastEventId, send) {
+  let lastSentId = lastEventId || 0;
+  let held = [];
+
+  const deliver = (id, event) => {
+    if (held) {
+      held.push([id, event]);
+      return;
+    }
+    // Never send the same transition twice (replay vs. live overlap)
+    if (id <= lastSentId) return;
+    lastSentId = id;
+    send(id, event);
+  };
+
+  // Subscribe before replaying so nothing applied in between is lost
+  if (!channels.has(sessionId)) {
+    channels.set(sessionId, new Set());
+  }
+  channels.get(sessionId).add(deliver);
+
+  replayStatus(sessionId, lastEventId, send)
+    .then((replayedId) => {
+      lastSentId = Math.max(lastSentId, replayedId);
+    })
+    .catch((err) => log.error(`Status replay failed for ${sessionId}: ${err.message}`))
+    .finally(() => {
+      const pending = held;
+      held = null;
+      pending.forEach(([id, event]) => deliver(id, event));
+    });
+
+  return () => {
+    const subscribers = channels.get(sessionId);
+    subscribers?.delete(deliver);
+    if (subscribers?.size === 0) {
+      channels.delete(sessionId);
+    }
+  };
+}
+
+/**
+ * Send the transitions after lastEventId, or a snapshot of the current status
+ * @param {string} sessionId - Stripe session ID
+ * @param {number|null} lastEventId - Last history ID the client has seen
+ * @param {function} send - (id, event) => void
+ * @returns {Promise<number>} Last history ID sent
+ */
+async function replayStatus(sessionId, lastEventId, send) {
+  const storage = await getStorage();
+  const missed = (await storage.getStatusHistory(sessionId, lastEventId || 0)).filter((entry) => entry.applied);
+
+  if (lastEventId) {
+    for (const entry of missed) {
+      send(entry.id, toStreamEvent({
+        session_id: sessionId,
+        status: entry.to_status,
+        previous_status: entry.from_status,
+        source: entry.source,
+        occurred_at: entry.created_at,
+      }));
+    }
+    return missed.length > 0 ? missed[missed.length - 1].id : lastEventId;
+  }
+
+  const record = await storage.getVerificationBySessionId(sessionId);
+  const latest = missed[missed.length - 1];
+  send(latest?.id || 0, toStreamEvent({
+    session_id: sessionId,
+    status: record.status,
+    previous_status: latest?.from_status || null,
+    source: "snapshot",
+    occurred_at: record.updated_at,
+  }));
+  return latest?.id || 0;
+}
+
+function parseLastEventId(value) {
+  const id = parseInt(value, 10);
+  return Number.isFinite(id) && id > 0 ? id : null;
+}
+
+/**
+ * Express handler: Server-Sent Events stream of a session's status
+ * Mount after allowQueryToken + authenticate.
+ */
+export async function streamVerificationStatus(req, res) {
+  const storage = await getStorage();
+  const { sessionId } = req.params;
+  const record = await storage.getVerificationBySessionId(sessionId);
+
+  if (!record || !canAccessSession(req.auth, record)) {
+    return res.status(404).json({ error: "Verification session not found" });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Disable proxy buffering (nginx) so events are flushed immediately
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const lastEventId = parseLastEventId(req.headers["last-event-id"] ?? req.query.lastEventId);
+
+  const unsubscribe = openStatusChannel(sessionId, lastEventId, (id, event) => {
+    res.write(`id: ${id}\nevent: status\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), getHeartbeatMs());
+
+  log.debug(`Status stream opened for ${sessionId} (last event ${lastEventId ?? "none"})`);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    log.debug(`Status stream closed for ${sessionId}`);
+  });
+}
+
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Serve the WebSocket status channel on an HTTP server
+ * Clients connect to /ws/verification-status/:sessionId[?access_token=...&lastEventId=...]
+ * and receive JSON messages: { "type": "status", "id": 12, "data": { ... } }
+ * @param {http.Server} server - Server returned by app.listen()
+ */
+export function attachStatusWebSocket(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on("upgrade", (req, socket, head) => {
+    handleUpgrade(wss, req, socket, head).catch((err) => {
+      log.error(`WebSocket upgrade failed: ${err.message}`);
+      rejectUpgrade(socket, 500, "Internal Server Error");
+    });
+  });
+
+  log.debug("WebSocket status channel enabled on /ws/verification-status/:sessionId");
+}
+
+// Authenticate an upgrade request and open the session's channel
+async function handleUpgrade(wss, req, socket, head) {
+  const storage = await getStorage();
+  const url = new URL(req.url, "http://localhost");
+  const match = url.pathname.match(/^\/ws\/verification-status\/([^/]+)$/);
+
+  if (!match) {
+    return rejectUpgrade(socket, 404, "Not Found");
+  }
+
+  const sessionId = decodeURIComponent(match[1]);
+  const accessToken = url.searchParams.get("access_token");
+  if (!req.headers.authorization && accessToken) {
+    req.headers.authorization = `Bearer ${accessToken}`;
+  }
+  req.originalUrl = req.url;
+
+  let auth;
+  try {
+    auth = authenticateRequest(req);
+  } catch (err) {
+    await storage.logAuditEvent("auth_failed", null, {
+      path: url.pathname,
+      method: "WEBSOCKET",
+      reason: err.message,
+    }, req.socket.remoteAddress, AUDIT_RESULTS.DENIED);
+    return rejectUpgrade(socket, err instanceof AuthError ? 401 : 500, "Unauthorized");
+  }
+
+  const record = await storage.getVerificationBySessionId(sessionId);
+  if (!record || !canAccessSession(auth, record)) {
+    return rejectUpgrade(socket, 404, "Not Found");
+  }
+
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    const lastEventId = parseLastEventId(url.searchParams.get("lastEventId"));
+
+    const unsubscribe = openStatusChannel(sessionId, lastEventId, (id, event) => {
+      ws.send(JSON.stringify({ type: "status", id, data: event }));
+    });
+
+    // Ping/pong heartbeat: drop connections that stop answering
+    let alive = true;
+    ws.on("pong", () => (alive = true));
+    const heartbeat = setInterval(() => {
+      if (!alive) return ws.terminate();
+      alive = false;
+      ws.ping();
+    }, getHeartbeatMs());
+
+    ws.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+}
@@ -0,0 +1,111 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// ==================== LOGGING ====================
+// One JSON object per line (for the log pipeline) by default:
+//
+//   {"time":"…","level":"info","msg":"…","request_id":"…", …fields}
+//
+// LOG_FORMAT=pretty prints the emoji-prefixed lines instead (development).
+// Fields of the current log context (request id, webhook event id) are added
+// to every line logged while handling a request or a queued event. Sensitive
+// fields and secrets embedded in messages are redacted.
+
+// Read lazily: ES module imports are evaluated before dotenv.config() runs in server.js
+export function isDebugMode() {
+  return process.env.DEBUG_MODE === "true";
+}
+
+const getLogFormat = () => (process.env.LOG_FORMAT === "pretty" ? "pretty" : "json");
+
+const PRETTY_PREFIXES = { info: "ℹ️ ", success: "✅", warn: "⚠️ ", error: "❌", debug: "🔍" };
+
+// Field names whose values are never logged
+const SENSITIVE_KEY = /secret|token|password|authorization|signature|cookie|api[_-]?key|user_?reference|^ip(_address)?$|email/i;
+
+// Secrets that may end up inside messages (Stripe keys, webhook secrets, client secrets, bearer tokens)
+const SENSITIVE_VALUES = [
+  /\b(sk|rk|pk)_(live|test)_[0-9a-zA-Z]+/g,
+  /\bwhsec_[0-9a-zA-Z]+/g,
+  /\b[a-z]+_[0-9a-zA-Z]+_secret_[0-9a-zA-Z]+/g,
+  /\bBearer\s+[\w.~+/-]+=*/gi,
+];
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run a function with fields added to every line it logs (including async work it starts)
+ * @param {object} fields - e.g. { request_id }
+ * @param {function} fn - Function to run
+ * @returns {*} What fn returns
+ */
+export function runWithLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Fields of the current log context
+ * @returns {object} e.g. { request_id }, empty outside a context
+ */
+export function getLogContext() {
+  return context.getStore() || {};
+}
+
+/**
+ * Redact secrets from a message
+ * @param {string} message - Log message
+ * @returns {string} Message with secrets replaced by [REDACTED]
+ */
+export function redactMessage(message) {
+  return SENSITIVE_VALUES.reduce((text, pattern) => text.replace(pattern, "[REDACTED]"), String(message));
+}
+
+/**
+ * Redact sensitive fields (by name, at any depth) and secrets in string values
+ * @param {*} value - Log fields
+ * @returns {*} Copy safe to log
+ */
+export function redactFields(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactFields);
+  }
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, field]) => [
+        key,
+        SENSITIVE_KEY.test(key) && field !== null && field !== undefined ? "[REDACTED]" : redactFields(field),
+      ])
+    );
+  }
+  return typeof value === "string" ? redactMessage(value) : value;
+}
+
+function write(level, msg, fields) {
+  const stream = level === "error" ? console.error : level === "warn" ? console.warn : console.log;
+
+  if (getLogFormat() === "pretty") {
+    const extra = fields && Object.keys(fields).length > 0 ? ` ${JSON.stringify(redactFields(fields))}` : "";
+    stream(`${PRETTY_PREFIXES[level]} ${redactMessage(msg)}${extra}`);
+    return;
+  }
+
+  stream(
+    JSON.stringify({
+      time: new Date().toISOString(),
+      level: level === "success" ? "info" : level,
+      msg: redactMessage(msg),
+      ...redactFields({ ...getLogContext(), ...fields }),
+    })
+  );
+}
+
+// Logging utility (shared by the server and the webhook handlers)
+// Each method takes a message and optional structured fields.
+export const log = {
+  info: (msg, fields) => write("info", msg, fields),
+  success: (msg, fields) => write("success", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+  debug: (msg, fields) => isDebugMode() && write("debug", msg, fields),
+};
+
+export default log;
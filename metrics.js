@@ -0,0 +1,220 @@
+import crypto from "crypto";
+import { countWebhookQueue } from "./database.js";
+import { getStorage } from "./storage.js";
+import { authenticate, requireRole, ROLES } from "./auth.js";
+
+// ==================== PROMETHEUS METRICS ====================
+// GET /metrics serves every metric below in the Prometheus text format
+// (version 0.0.4). Counters and histograms live in memory and reset on
+// restart; gauges are read from storage and the database on each scrape.
+//
+// Scrapers authenticate with METRICS_TOKEN as a bearer token when it is set;
+// admins can always read the endpoint.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length === 0
+    ? ""
+    : `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+// Series key: label values in declared order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function seriesLabels(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+/**
+ * Create and register a counter
+ * @param {object} options - { name, help, labelNames }
+ * @returns {object} { inc(labels, amount = 1) }
+ */
+export function createCounter({ name, help, labelNames = [] }) {
+  // Without labels the single series is exposed from the start (as 0)
+  const series = new Map(labelNames.length === 0 ? [["[]", 0]] : []);
+
+  registry.push({
+    name,
+    help,
+    type: "counter",
+    render: () =>
+      [...series].map(([key, value]) => `${name}${formatLabels(seriesLabels(labelNames, key))} ${value}`),
+  });
+
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + amount);
+    },
+  };
+}
+
+/**
+ * Create and register a histogram
+ * @param {object} options - { name, help, labelNames, buckets } - bucket upper bounds, ascending
+ * @returns {object} { observe(labels, value) }
+ */
+export function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const series = new Map();
+
+  registry.push({
+    name,
+    help,
+    type: "histogram",
+    render: () =>
+      [...series].flatMap(([key, { counts, sum, count }]) => {
+        const labels = seriesLabels(labelNames, key);
+        return [
+          ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+          `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${sum}`,
+          `${name}_count${formatLabels(labels)} ${count}`,
+        ];
+      }),
+  });
+
+  return {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+
+      const entry = series.get(key);
+      buckets.forEach((le, i) => {
+        if (value <= le) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+  };
+}
+
+/**
+ * Register a gauge whose samples are collected on each scrape
+ * @param {object} options - { name, help, collect } - collect returns (a promise of) [{ labels, value }]
+ */
+export function registerGauge({ name, help, collect }) {
+  registry.push({
+    name,
+    help,
+    type: "gauge",
+    render: async () => (await collect()).map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`),
+  });
+}
+
+// ==================== APPLICATION METRICS ====================
+
+export const webhookEventsTotal = createCounter({
+  name: "webhook_events_total",
+  help: "Stripe webhook events by type and outcome (duplicate or ignored_erased on receipt; processing outcome, retry or dead_lettered in the worker)",
+  labelNames: ["event_type", "outcome"],
+});
+
+export const webhookSignatureFailuresTotal = createCounter({
+  name: "webhook_signature_failures_total",
+  help: "Webhook requests rejected because the Stripe signature did not verify",
+});
+
+export const stripeApiRequestDuration = createHistogram({
+  name: "stripe_api_request_duration_seconds",
+  help: "Stripe API request latency, per attempt (failed attempts included)",
+  labelNames: ["method", "path"],
+});
+
+export const stripeApiErrorsTotal = createCounter({
+  name: "stripe_api_errors_total",
+  help: "Failed Stripe API attempts by response status (network_error: no response - timeout, DNS, connection refused)",
+  labelNames: ["method", "path", "status"],
+});
+
+registerGauge({
+  name: "verification_sessions",
+  help: "Verification sessions by current status",
+  collect: async () => {
+    const storage = await getStorage();
+    return (await storage.countSessionsByStatus()).map(({ status, count }) => ({ labels: { status }, value: count }));
+  },
+});
+
+registerGauge({
+  name: "webhook_queue_jobs",
+  help: "Queued webhook events by queue status (dead_letter: awaiting an admin)",
+  collect: () => countWebhookQueue().map(({ status, count }) => ({ labels: { status }, value: count })),
+});
+
+/**
+ * Stripe API path with object IDs replaced (keeps label cardinality bounded)
+ * @param {string} path - e.g. /v1/identity/verification_sessions/vs_123/redact
+ * @returns {string} e.g. /v1/identity/verification_sessions/:id/redact
+ */
+export function normalizeStripePath(path) {
+  return String(path)
+    .split("?")[0]
+    .replace(/\/[a-z]+_[0-9a-zA-Z]*[0-9A-Z][0-9a-zA-Z]*(?=\/|$)/g, "/:id");
+}
+
+/**
+ * Record a Stripe client "response" event
+ * @param {object} event - { method, path, status, elapsed } (elapsed in ms)
+ */
+export function recordStripeResponse({ method, path, status, elapsed }) {
+  const labels = { method, path: normalizeStripePath(path) };
+
+  stripeApiRequestDuration.observe(labels, elapsed / 1000);
+  if (status >= 400) {
+    stripeApiErrorsTotal.inc({ ...labels, status });
+  }
+}
+
+/**
+ * Record a Stripe API attempt that got no response
+ * @param {object} attempt - { method, path, elapsed } (elapsed in ms)
+ */
+export function recordStripeNetworkError({ method, path, elapsed }) {
+  const labels = { method, path: normalizeStripePath(path) };
+
+  stripeApiRequestDuration.observe(labels, elapsed / 1000);
+  stripeApiErrorsTotal.inc({ ...labels, status: "network_error" });
+}
+
+/**
+ * Every registered metric in the Prometheus text format
+ * @returns {Promise<string>} Exposition text
+ */
+export async function renderMetrics() {
+  const samples = await Promise.all(registry.map(({ render }) => render()));
+
+  return (
+    registry
+      .flatMap(({ name, help, type }, i) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples[i]])
+      .join("\n") + "\n"
+  );
+}
+
+/**
+ * Express middleware: allow scrapers with METRICS_TOKEN, otherwise require an admin
+ */
+export function authorizeMetrics(req, res, next) {
+  const token = process.env.METRICS_TOKEN;
+  const presented = Buffer.from(req.headers.authorization || "");
+  const expected = Buffer.from(`Bearer ${token}`);
+
+  if (token && presented.length === expected.length && crypto.timingSafeEqual(presented, expected)) {
+    return next();
+  }
+
+  return authenticate(req, res, () => requireRole(ROLES.ADMIN)(req, res, next));
+}
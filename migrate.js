@@ -0,0 +1,73 @@
+// Apply or roll back database schema migrations (see migrations.js)
+//
+// Usage:
+//   node migrate.js status
+//   node migrate.js up [--to <version>]
+//   node migrate.js down [--to <version> | --steps <n>]
+//
+// "down" reverts the latest migration unless --to or --steps says otherwise.
+// Uses DATABASE_PATH like the server. Run "up" before starting a server with
+// DATABASE_AUTO_MIGRATE=false, and "down" before deploying an older version.
+import { openDatabase, getDatabasePath } from "./db-connection.js";
+import { getMigrationStatus, migrateUp, migrateDown } from "./migrations.js";
+
+const USAGE = "❌ Usage: node migrate.js status | up [--to <version>] | down [--to <version> | --steps <n>]";
+
+const [command, ...args] = process.argv.slice(2);
+
+function readIntegerOption(name) {
+  const index = args.indexOf(name);
+  if (index < 0) {
+    return null;
+  }
+
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  return value;
+}
+
+function printStatus(db) {
+  const { current, migrations, unknown } = getMigrationStatus(db);
+
+  console.log(`\n🗄️  SCHEMA MIGRATIONS - ${getDatabasePath()}`);
+  console.log("=".repeat(80));
+  console.log(`Current version: ${current}\n`);
+  migrations.forEach((m) => {
+    const version = String(m.version).padStart(3, "0");
+    const line = `  ${version} ${m.name.padEnd(28)} ${m.status.padEnd(8)} ${m.applied_at || ""}${m.reversible ? "" : "  (irreversible)"}`;
+    console.log(line.trimEnd());
+  });
+  unknown.forEach((m) => {
+    console.log(`  ${String(m.version).padStart(3, "0")} ${m.name.padEnd(28)} unknown  ${m.applied_at}  (applied by a newer version)`);
+  });
+  console.log("");
+}
+
+if (!["status", "up", "down"].includes(command)) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+const to = readIntegerOption("--to");
+const steps = readIntegerOption("--steps");
+
+try {
+  const db = openDatabase();
+
+  if (command === "up") {
+    const applied = migrateUp(db, { to });
+    console.log(applied.length === 0 ? "✅ Schema is up to date" : `✅ Applied ${applied.length} migration(s)`);
+  } else if (command === "down") {
+    const reverted = migrateDown(db, { to, steps: steps ?? 1 });
+    console.log(reverted.length === 0 ? "✅ Nothing to revert" : `✅ Reverted ${reverted.length} migration(s)`);
+  }
+
+  printStatus(db);
+  process.exit(0);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,165 @@
+import { MIGRATIONS } from "./migrations/index.js";
+import { log } from "./logger.js";
+
+// ==================== SCHEMA MIGRATIONS ====================
+// The schema is defined by the versioned migrations in migrations/ (listed in
+// migrations/index.js). Applied versions are recorded in schema_migrations;
+// each migration runs in its own transaction together with that record, so a
+// failing migration leaves the database at the previous version.
+//
+// The server applies pending migrations on startup unless
+// DATABASE_AUTO_MIGRATE=false, in which case it refuses to start until they
+// are applied with `npm run migrate up` (see migrate.js).
+
+export class MigrationError extends Error {}
+
+// Read when the database is opened (db-connection.js has loaded .env by then)
+const isAutoMigrateEnabled = () => process.env.DATABASE_AUTO_MIGRATE !== "false";
+
+function validateMigrations() {
+  MIGRATIONS.forEach((migration, i) => {
+    if (!Number.isInteger(migration.version) || typeof migration.up !== "function") {
+      throw new MigrationError(`Migration #${i + 1} must export an integer version and up()`);
+    }
+    if (i > 0 && migration.version <= MIGRATIONS[i - 1].version) {
+      throw new MigrationError(`Migration ${migration.version} (${migration.name}) is out of order`);
+    }
+  });
+}
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `);
+}
+
+function getAppliedMigrations(db) {
+  ensureMigrationsTable(db);
+  return db.prepare("SELECT version, name, applied_at FROM schema_migrations ORDER BY version").all();
+}
+
+const describe = (migration) => `${String(migration.version).padStart(3, "0")} ${migration.name}`;
+
+/**
+ * Applied and pending migrations
+ * @param {Database} db - better-sqlite3 handle
+ * @returns {object} { current, migrations, unknown } - current version (0: none), every known
+ *   migration with status applied|pending, and applied versions this code does not know
+ *   (the database was migrated by a newer version)
+ */
+export function getMigrationStatus(db) {
+  validateMigrations();
+  const applied = new Map(getAppliedMigrations(db).map((row) => [row.version, row]));
+
+  return {
+    current: Math.max(0, ...applied.keys()),
+    migrations: MIGRATIONS.map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      status: applied.has(migration.version) ? "applied" : "pending",
+      applied_at: applied.get(migration.version)?.applied_at ?? null,
+      reversible: typeof migration.down === "function",
+    })),
+    unknown: [...applied.values()].filter((row) => !MIGRATIONS.some((m) => m.version === row.version)),
+  };
+}
+
+/**
+ * Apply pending migrations in order
+ * @param {Database} db - better-sqlite3 handle
+ * @param {object} options - { to } to stop after this version (default: all)
+ * @returns {array} Applied migrations [{ version, name }]
+ */
+export function migrateUp(db, { to = null } = {}) {
+  const { migrations } = getMigrationStatus(db);
+  const pending = migrations.filter((m) => m.status === "pending" && (to === null || m.version <= to));
+  const record = db.prepare("INSERT INTO schema_migrations (version, name) VALUES (?, ?)");
+
+  for (const { version } of pending) {
+    const migration = MIGRATIONS.find((m) => m.version === version);
+
+    try {
+      db.transaction(() => {
+        migration.up(db);
+        record.run(migration.version, migration.name);
+      })();
+    } catch (err) {
+      throw new MigrationError(`Migration ${describe(migration)} failed (rolled back): ${err.message}`);
+    }
+    log.info(`Applied migration ${describe(migration)}`);
+  }
+
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Revert applied migrations, newest first
+ * @param {Database} db - better-sqlite3 handle
+ * @param {object} options - { to } to keep migrations up to this version, or { steps } to revert
+ *   that many (default: the latest one)
+ * @returns {array} Reverted migrations [{ version, name }]
+ */
+export function migrateDown(db, { to = null, steps = 1 } = {}) {
+  const { migrations, unknown } = getMigrationStatus(db);
+
+  if (unknown.length > 0) {
+    throw new MigrationError(`Database has migrations this version does not know: ${unknown.map(describe).join(", ")}`);
+  }
+
+  const applied = migrations.filter((m) => m.status === "applied").reverse();
+  const targets = to === null ? applied.slice(0, steps) : applied.filter((m) => m.version > to);
+
+  // Check everything first: stopping halfway at an irreversible migration helps nobody
+  const irreversible = targets.find((m) => !m.reversible);
+  if (irreversible) {
+    throw new MigrationError(`Migration ${describe(irreversible)} cannot be reverted`);
+  }
+
+  const forget = db.prepare("DELETE FROM schema_migrations WHERE version = ?");
+
+  for (const { version } of targets) {
+    const migration = MIGRATIONS.find((m) => m.version === version);
+
+    try {
+      db.transaction(() => {
+        migration.down(db);
+        forget.run(migration.version);
+      })();
+    } catch (err) {
+      throw new MigrationError(`Reverting migration ${describe(migration)} failed (rolled back): ${err.message}`);
+    }
+    log.warn(`Reverted migration ${describe(migration)}`);
+  }
+
+  return targets.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Bring the schema up to date when the server starts (or refuse to start with pending
+ * migrations when DATABASE_AUTO_MIGRATE=false)
+ * @param {Database} db - better-sqlite3 handle
+ */
+export function migrateOnStartup(db) {
+  const { current, migrations, unknown } = getMigrationStatus(db);
+  const pending = migrations.filter((m) => m.status === "pending");
+
+  if (unknown.length > 0) {
+    log.warn(`Database schema is newer than this version (unknown migrations: ${unknown.map(describe).join(", ")})`);
+  }
+
+  if (pending.length === 0) {
+    return;
+  }
+
+  if (!isAutoMigrateEnabled()) {
+    throw new MigrationError(
+      `Database schema is at version ${current}, ${pending.length} migration(s) pending - run \`npm run migrate up\``
+    );
+  }
+
+  migrateUp(db);
+}
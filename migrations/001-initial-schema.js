@@ -0,0 +1,437 @@
+import { ensureColumn } from "./helpers.js";
+
+// Baseline: the schema database.js used to create inline at import time,
+// except for the tenant columns (002-tenants). Every statement is idempotent,
+// so databases created before migrations existed are brought up to date
+// (missing columns added) instead of failing. It cannot be reverted (see the
+// end of this file); later schema changes each get a migration of their own.
+
+export const version = 1;
+export const name = "initial-schema";
+
+export function up(db) {
+  // Tables with SECURE schema - NO PII STORAGE
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS verification_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+      -- Stripe session ID (unique identifier)
+      session_id TEXT UNIQUE NOT NULL,
+
+      -- User reference (YOUR internal user ID, email hash, or anonymized identifier)
+      -- Stored as a keyed pseudonym "pv<version>_<hmac>" (see pseudonymize.js)
+      user_reference TEXT NOT NULL,
+
+      -- Verification metadata (no PII)
+      status TEXT NOT NULL DEFAULT 'created',
+      verification_type TEXT NOT NULL,
+
+      -- Timestamps for audit trail
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      verified_at TEXT,
+
+      -- Stripe webhook event IDs for traceability
+      last_event_id TEXT,
+
+      -- DO NOT STORE:
+      -- - Document images
+      -- - Full names
+      -- - Addresses
+      -- - Date of birth
+      -- - Document numbers
+      -- These remain ONLY in Stripe's secure vault
+
+      UNIQUE(session_id)
+    );
+
+    -- Every status transition of a session (legal or not) - see verification-state.js
+    CREATE TABLE IF NOT EXISTS verification_status_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+
+      -- webhook | sync | manual
+      source TEXT NOT NULL,
+      event_id TEXT,
+
+      -- Stripe last_error.code at the time of the transition (no PII)
+      error_code TEXT,
+
+      -- legal: allowed by the state machine; applied: status actually changed
+      legal INTEGER NOT NULL DEFAULT 1,
+      applied INTEGER NOT NULL DEFAULT 1,
+
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_status_history_session ON verification_status_history(session_id);
+    -- Analytics funnel: "did the session reach this status" is answered from the index alone
+    CREATE INDEX IF NOT EXISTS idx_status_history_session_status_applied
+      ON verification_status_history(session_id, to_status, applied);
+
+    -- Stripe last_error of every failed attempt (code + Stripe's reason text, no PII)
+    CREATE TABLE IF NOT EXISTS verification_errors (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      event_id TEXT,
+
+      -- webhook | sync | manual
+      source TEXT NOT NULL,
+
+      error_code TEXT NOT NULL,
+      error_reason TEXT,
+      occurred_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_verification_errors_session ON verification_errors(session_id);
+    CREATE INDEX IF NOT EXISTS idx_verification_errors_code ON verification_errors(error_code);
+
+    -- Audit log table for compliance (GDPR Article 30 - Records of processing)
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+      -- What happened
+      event_type TEXT NOT NULL,
+      session_id TEXT,
+
+      -- When it happened
+      timestamp TEXT NOT NULL DEFAULT (datetime('now')),
+
+      -- Additional context (no PII)
+      metadata TEXT,
+
+      -- IP address (PII under GDPR) - stored as a keyed pseudonym (see pseudonymize.js)
+      -- Cleared by an "anonymize" retention rule (see retention.js)
+      ip_address TEXT,
+
+      -- Result/status
+      result TEXT
+    );
+
+    -- Create indexes for performance
+    CREATE INDEX IF NOT EXISTS idx_session_id ON verification_sessions(session_id);
+    CREATE INDEX IF NOT EXISTS idx_user_reference ON verification_sessions(user_reference);
+    CREATE INDEX IF NOT EXISTS idx_status ON verification_sessions(status);
+    CREATE INDEX IF NOT EXISTS idx_created_at ON verification_sessions(created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_timestamp ON audit_log(timestamp);
+    CREATE INDEX IF NOT EXISTS idx_audit_session ON audit_log(session_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_event_type ON audit_log(event_type);
+
+    -- Ledger of Stripe webhook events (idempotency, ordering and replay)
+    CREATE TABLE IF NOT EXISTS processed_webhook_events (
+      -- Stripe event ID (evt_xxx)
+      event_id TEXT PRIMARY KEY,
+      event_type TEXT NOT NULL,
+      session_id TEXT,
+
+      -- Stripe's event.created (unix seconds) - used to detect out-of-order delivery
+      stripe_created INTEGER NOT NULL,
+
+      received_at TEXT NOT NULL DEFAULT (datetime('now')),
+      processed_at TEXT,
+
+      -- received | processed | unhandled | ignored_out_of_order | ignored_wrong_tenant | ignored_wrong_account | rejected_transition | failed | discarded
+      outcome TEXT NOT NULL DEFAULT 'received',
+      error TEXT,
+
+      -- SHA-256 of the raw request body, and the payload itself for replay
+      -- (the verification_session object carries no verified PII unless expanded)
+      payload_hash TEXT NOT NULL,
+      payload TEXT NOT NULL,
+
+      replay_count INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_events_session ON processed_webhook_events(session_id);
+
+    -- Durable queue of received webhook events awaiting processing
+    -- (payload lives in processed_webhook_events)
+    CREATE TABLE IF NOT EXISTS webhook_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id TEXT UNIQUE NOT NULL,
+
+      -- pending | processing
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NOT NULL DEFAULT (datetime('now')),
+      last_error TEXT,
+
+      enqueued_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_queue_due ON webhook_queue(status, next_attempt_at);
+
+    -- Events that exhausted their retries (kept until retried or discarded by an admin)
+    CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id TEXT UNIQUE NOT NULL,
+      event_type TEXT NOT NULL,
+      attempts INTEGER NOT NULL,
+      last_error TEXT,
+      dead_lettered_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    -- Service-to-service API clients (HMAC-signed requests)
+    CREATE TABLE IF NOT EXISTS api_clients (
+      -- Public key identifier sent in X-Api-Key
+      key_id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+
+      -- Shared HMAC secret (needed in clear to verify signatures - protect the DB file)
+      secret TEXT NOT NULL,
+
+      -- Comma-separated roles (service, admin)
+      roles TEXT NOT NULL DEFAULT 'service',
+
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      revoked_at TEXT
+    );
+
+    -- Named server-side verification policies (Stripe session type + options)
+    CREATE TABLE IF NOT EXISTS verification_policies (
+      name TEXT PRIMARY KEY,
+      description TEXT,
+
+      -- document | document+selfie | id_number
+      verification_type TEXT NOT NULL,
+
+      -- Stripe VerificationSession "options" as JSON
+      options TEXT NOT NULL DEFAULT '{}',
+
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    -- Our own services subscribed to verification status changes
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      -- whsub_xxx
+      id TEXT PRIMARY KEY,
+      url TEXT NOT NULL,
+
+      -- Comma-separated event types (verification_session.verified, ...) or '*'
+      events TEXT NOT NULL DEFAULT '*',
+
+      -- HMAC secret used to sign deliveries
+      secret TEXT NOT NULL,
+      description TEXT,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    -- One row per (event, subscription): the signed, PII-free payload and its delivery state
+    CREATE TABLE IF NOT EXISTS outbound_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscription_id TEXT NOT NULL,
+
+      -- evtout_xxx (same for every subscription receiving the event)
+      event_id TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      session_id TEXT,
+      payload TEXT NOT NULL,
+
+      -- pending | delivering | succeeded | failed
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NOT NULL DEFAULT (datetime('now')),
+
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_outbound_deliveries_due ON outbound_deliveries(status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_outbound_deliveries_subscription ON outbound_deliveries(subscription_id);
+
+    -- Every HTTP attempt of a delivery
+    CREATE TABLE IF NOT EXISTS outbound_delivery_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      delivery_id INTEGER NOT NULL,
+      attempt INTEGER NOT NULL,
+      attempted_at TEXT NOT NULL DEFAULT (datetime('now')),
+      response_status INTEGER,
+      duration_ms INTEGER,
+      error TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_outbound_attempts_delivery ON outbound_delivery_attempts(delivery_id);
+
+    -- Reconciliation runs against the Stripe API (catches missed webhooks)
+    CREATE TABLE IF NOT EXISTS reconciliation_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+      -- schedule | cli | admin
+      trigger TEXT NOT NULL,
+
+      -- running | completed | failed
+      status TEXT NOT NULL DEFAULT 'running',
+      dry_run INTEGER NOT NULL DEFAULT 0,
+
+      -- Stripe "created" lower bound of the listing, and where the next run starts (unix seconds)
+      created_since INTEGER NOT NULL,
+      checkpoint INTEGER,
+
+      sessions_checked INTEGER NOT NULL DEFAULT 0,
+      drift_fixed INTEGER NOT NULL DEFAULT 0,
+      drift_rejected INTEGER NOT NULL DEFAULT 0,
+      unknown_sessions INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+
+      started_at TEXT NOT NULL DEFAULT (datetime('now')),
+      finished_at TEXT
+    );
+
+    -- Differences found by a reconciliation run
+    CREATE TABLE IF NOT EXISTS reconciliation_findings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER NOT NULL REFERENCES reconciliation_runs(id) ON DELETE CASCADE,
+      session_id TEXT NOT NULL,
+
+      -- drift (status differs) | unknown (no local record)
+      kind TEXT NOT NULL,
+      local_status TEXT,
+      stripe_status TEXT NOT NULL,
+
+      -- fixed | rejected | flagged | dry_run
+      resolution TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_reconciliation_findings_run ON reconciliation_findings(run_id);
+
+    -- GDPR erasure requests. Once completed the row is the tombstone: only the
+    -- hashed user reference and timestamps remain as proof of erasure.
+    CREATE TABLE IF NOT EXISTS erasure_jobs (
+      -- era_xxx
+      id TEXT PRIMARY KEY,
+      subject_hash TEXT NOT NULL,
+
+      -- Pseudonymized with the oldest key, so rows stored under any key version
+      -- can still be found (see pseudonymize.js); cleared when the job completes
+      user_reference TEXT,
+
+      -- pending | in_progress | completed | failed
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NOT NULL DEFAULT (datetime('now')),
+      last_error TEXT,
+
+      sessions_total INTEGER NOT NULL DEFAULT 0,
+      requested_by TEXT,
+      requested_at TEXT NOT NULL DEFAULT (datetime('now')),
+      completed_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_erasure_jobs_subject ON erasure_jobs(subject_hash);
+    CREATE INDEX IF NOT EXISTS idx_erasure_jobs_due ON erasure_jobs(status, next_attempt_at);
+
+    -- Stripe redaction progress of every session covered by an erasure job
+    CREATE TABLE IF NOT EXISTS erasure_job_sessions (
+      job_id TEXT NOT NULL REFERENCES erasure_jobs(id) ON DELETE CASCADE,
+      session_id TEXT NOT NULL,
+
+      -- pending | redacted | not_found
+      stripe_status TEXT NOT NULL DEFAULT 'pending',
+      last_error TEXT,
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (job_id, session_id)
+    );
+
+    -- Webhook events are checked against erasure tombstones by session alone
+    CREATE INDEX IF NOT EXISTS idx_erasure_job_sessions_session ON erasure_job_sessions(session_id);
+
+    -- GDPR data subject access exports (Article 15), kept until expires_at
+    CREATE TABLE IF NOT EXISTS data_exports (
+      -- exp_xxx
+      id TEXT PRIMARY KEY,
+
+      -- As given while the export is generated, pseudonymized afterwards
+      user_reference TEXT NOT NULL,
+
+      -- json | zip
+      format TEXT NOT NULL,
+
+      -- pending | processing | ready | failed
+      status TEXT NOT NULL DEFAULT 'pending',
+      error TEXT,
+
+      -- The generated document, its SHA-256 and HMAC signature
+      content BLOB,
+      content_type TEXT,
+      filename TEXT,
+      sha256 TEXT,
+      signature TEXT,
+
+      requested_by TEXT,
+      requested_at TEXT NOT NULL DEFAULT (datetime('now')),
+      completed_at TEXT,
+      expires_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_data_exports_status ON data_exports(status);
+
+    -- Retention purge runs and what each rule removed or anonymized
+    CREATE TABLE IF NOT EXISTS retention_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+      -- schedule | admin
+      trigger TEXT NOT NULL,
+      dry_run INTEGER NOT NULL DEFAULT 0,
+
+      -- completed | failed
+      status TEXT NOT NULL,
+
+      -- JSON array: one { rule, affected, deleted } entry per rule
+      results TEXT NOT NULL DEFAULT '[]',
+      error TEXT,
+
+      started_at TEXT NOT NULL,
+      finished_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    -- Single row rewritten by readiness checks (proves the database accepts writes)
+    CREATE TABLE IF NOT EXISTS health_probe (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      checked_at TEXT NOT NULL
+    );
+  `);
+
+  // Columns added after their tables were first released (older databases lack them)
+
+  // Stripe created timestamp of the last applied event (out-of-order detection)
+  ensureColumn(db, "verification_sessions", "last_event_created", "INTEGER");
+
+  // Named policy the session was created with
+  ensureColumn(db, "verification_sessions", "verification_policy", "TEXT");
+
+  // Latest Stripe last_error of the session (cleared once verified)
+  ensureColumn(db, "verification_sessions", "error_code", "TEXT");
+  ensureColumn(db, "verification_sessions", "error_reason", "TEXT");
+
+  // Last time the status was confirmed against the Stripe API (cached status reads)
+  ensureColumn(db, "verification_sessions", "last_synced_at", "DATETIME");
+
+  // Hash chain over the audit log (see audit-chain.js) and redaction markers
+  ensureColumn(db, "audit_log", "prev_hash", "TEXT");
+  ensureColumn(db, "audit_log", "content_hash", "TEXT");
+  ensureColumn(db, "audit_log", "entry_hash", "TEXT");
+  ensureColumn(db, "audit_log", "hash_alg", "TEXT");
+  ensureColumn(db, "audit_log", "redacted_at", "TEXT");
+  ensureColumn(db, "audit_log", "redaction_reason", "TEXT");
+  ensureColumn(db, "audit_log", "redacted_hash", "TEXT");
+
+  // Request that received a queued webhook event (log correlation)
+  ensureColumn(db, "webhook_queue", "request_id", "TEXT");
+
+  // Time-series analytics filter on type within a created_at range
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_sessions_type_created ON verification_sessions(verification_type, created_at);
+  `);
+}
+
+// No down(), on purpose. Databases created before migrations existed adopt this
+// migration as their starting point: it only adds what they lack, so afterwards
+// nothing tells its tables and columns apart from ones they already had.
+// Reverting it could only drop every table, with the data of those databases.
+// To start over, delete the database file instead.
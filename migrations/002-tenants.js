@@ -0,0 +1,66 @@
+import { ensureColumn, dropColumn } from "./helpers.js";
+
+// Tenants: the tenant of API clients and sessions and the verification policies
+// granted to it, tenants with their own Stripe account (see tenants.js), and
+// the tenant of webhook events and data exports. Databases created before
+// migrations existed may already have the columns; they are only added if missing.
+
+export const version = 2;
+export const name = "tenants";
+
+export function up(db) {
+  // Tenant of the caller (API key or JWT claim) and of the sessions it creates
+  ensureColumn(db, "api_clients", "tenant_id", "TEXT");
+  ensureColumn(db, "verification_sessions", "tenant_id", "TEXT");
+
+  db.exec(`
+    -- Time-series analytics filter on tenant within a created_at range
+    CREATE INDEX IF NOT EXISTS idx_sessions_tenant_created ON verification_sessions(tenant_id, created_at);
+
+    -- Policies each tenant is allowed to use
+    CREATE TABLE IF NOT EXISTS tenant_verification_policies (
+      tenant_id TEXT NOT NULL,
+      policy_name TEXT NOT NULL REFERENCES verification_policies(name) ON DELETE CASCADE,
+      PRIMARY KEY (tenant_id, policy_name)
+    );
+
+    -- Tenants with their own Stripe account (tenants without a row use the default
+    -- account from the environment). Secrets are encrypted (see tenants.js).
+    CREATE TABLE IF NOT EXISTS tenants (
+      tenant_id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+
+      -- AES-256-GCM ciphertexts, never returned by the API
+      stripe_secret_key TEXT,
+      webhook_secret TEXT,
+
+      -- Where Stripe sends the user after verification (FRONTEND_URL/complete when NULL)
+      return_url TEXT,
+      -- JSON array of verification types the tenant may create (all when NULL)
+      allowed_verification_types TEXT,
+
+      -- active | disabled
+      status TEXT NOT NULL DEFAULT 'active',
+
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `);
+
+  // Tenant whose webhook endpoint received the event (NULL: the default endpoint)
+  ensureColumn(db, "processed_webhook_events", "tenant_id", "TEXT");
+  // Exports requested by a tenant caller only cover that tenant's sessions
+  ensureColumn(db, "data_exports", "tenant_id", "TEXT");
+}
+
+export function down(db) {
+  dropColumn(db, "data_exports", "tenant_id");
+  dropColumn(db, "processed_webhook_events", "tenant_id");
+  db.exec(`
+    DROP TABLE IF EXISTS tenants;
+    DROP TABLE IF EXISTS tenant_verification_policies;
+    DROP INDEX IF EXISTS idx_sessions_tenant_created;
+  `);
+  dropColumn(db, "verification_sessions", "tenant_id");
+  dropColumn(db, "api_clients", "tenant_id");
+}
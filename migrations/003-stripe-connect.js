@@ -0,0 +1,23 @@
+import { ensureColumn, dropColumn } from "./helpers.js";
+
+// Stripe Connect: the connected account a session was created on and an event
+// happened on (NULL: the platform account).
+
+export const version = 3;
+export const name = "stripe-connect";
+
+export function up(db) {
+  ensureColumn(db, "verification_sessions", "stripe_account", "TEXT");
+  ensureColumn(db, "processed_webhook_events", "stripe_account", "TEXT");
+
+  // Status and analytics queries filter on the account within a created_at range
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_sessions_account_created ON verification_sessions(stripe_account, created_at);
+  `);
+}
+
+export function down(db) {
+  db.exec("DROP INDEX IF EXISTS idx_sessions_account_created");
+  dropColumn(db, "processed_webhook_events", "stripe_account");
+  dropColumn(db, "verification_sessions", "stripe_account");
+}
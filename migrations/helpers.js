@@ -0,0 +1,32 @@
+// Helpers for migrations that must also run on databases created before the
+// migration framework (where a column may already exist - or not)
+
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some((c) => c.name === column);
+}
+
+/**
+ * Add a column to an existing table if it is missing
+ * (CREATE TABLE IF NOT EXISTS never alters databases created by older versions)
+ * @param {Database} db - better-sqlite3 handle
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+export function ensureColumn(db, table, column, definition) {
+  if (!hasColumn(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Drop a column if it exists (indexes on it must be dropped first)
+ * @param {Database} db - better-sqlite3 handle
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ */
+export function dropColumn(db, table, column) {
+  if (hasColumn(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+}
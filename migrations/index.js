@@ -0,0 +1,8 @@
+import * as initialSchema from "./001-initial-schema.js";
+import * as tenants from "./002-tenants.js";
+import * as stripeConnect from "./003-stripe-connect.js";
+
+// Every migration, in the order they are applied. A migration module exports
+// version (ascending integer), name, up(db) and optionally down(db) - without
+// down() it cannot be reverted. Never edit a released migration: add a new one.
+export const MIGRATIONS = [initialSchema, tenants, stripeConnect];
@@ -0,0 +1,132 @@
+import {
+  claimDueOutboundDeliveries,
+  recordOutboundAttempt,
+  resetStuckOutboundDeliveries,
+  AUDIT_RESULTS,
+} from "./database.js";
+import { getStorage } from "./storage.js";
+import { log } from "./logger.js";
+import { signOutboundPayload } from "./webhook-signature.js";
+
+// ==================== OUTBOUND WEBHOOKS ====================
+// Notifies our own services of verification status changes. Each applied
+// transition is persisted as one delivery per matching subscription (an outbox,
+// see enqueueStatusChangeEvent in database.js: in the status change's transaction
+// on SQLite storage, right after it on PostgreSQL), then sent by this worker with
+// retries and a per-attempt log.
+// Deliveries are signed with the subscription secret (see webhook-signature.js).
+
+const RETRY_MAX_SECONDS = 60 * 60;
+const BATCH_SIZE = 25;
+
+// Read lazily so values from .env (loaded after imports) are honoured
+const getPollIntervalMs = () => Number(process.env.OUTBOUND_WEBHOOK_POLL_MS) || 2000;
+const getMaxAttempts = () => Number(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS) || 6;
+const getRetryBaseSeconds = () => Number(process.env.OUTBOUND_WEBHOOK_RETRY_BASE_SECONDS) || 10;
+const getTimeoutMs = () => Number(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS) || 10000;
+
+let timer = null;
+let running = false;
+
+function getRetryDelaySeconds(attempts) {
+  return Math.min(getRetryBaseSeconds() * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+}
+
+async function deliver(delivery) {
+  const started = Date.now();
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "identity-verification-backend/1.0",
+        "X-Webhook-Id": delivery.event_id,
+        "X-Webhook-Signature": signOutboundPayload(delivery.secret, delivery.payload),
+      },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(getTimeoutMs()),
+    });
+
+    return {
+      ok: response.ok,
+      responseStatus: response.status,
+      durationMs: Date.now() - started,
+      error: response.ok ? null : `HTTP ${response.status}`,
+    };
+  } catch (err) {
+    return { ok: false, responseStatus: null, durationMs: Date.now() - started, error: err.message };
+  }
+}
+
+/**
+ * Send every delivery that is currently due
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+export async function drainOutboundDeliveries() {
+  if (running) {
+    return 0;
+  }
+  running = true;
+
+  try {
+    const storage = await getStorage();
+    const maxAttempts = getMaxAttempts();
+    const deliveries = claimDueOutboundDeliveries(BATCH_SIZE);
+
+    for (const delivery of deliveries) {
+      const result = await deliver(delivery);
+      const attempt = { attempt: delivery.attempts, ...result };
+
+      if (result.ok) {
+        recordOutboundAttempt(delivery.id, attempt, "succeeded");
+        log.debug(`Outbound event ${delivery.event_id} delivered to ${delivery.url}`);
+      } else if (delivery.attempts >= maxAttempts) {
+        recordOutboundAttempt(delivery.id, attempt, "failed");
+        log.error(`Outbound event ${delivery.event_id} to ${delivery.url} failed after ${delivery.attempts} attempts: ${result.error}`);
+        await storage.logAuditEvent("outbound_webhook_failed", null, {
+          delivery_id: delivery.id,
+          event_id: delivery.event_id,
+          attempts: delivery.attempts,
+          error: result.error,
+        }, null, AUDIT_RESULTS.FAILURE);
+      } else {
+        const delay = getRetryDelaySeconds(delivery.attempts);
+        recordOutboundAttempt(delivery.id, attempt, "pending", delay);
+        log.warn(`Outbound event ${delivery.event_id} to ${delivery.url} failed (attempt ${delivery.attempts}/${maxAttempts}), retrying in ${delay}s: ${result.error}`);
+      }
+    }
+
+    return deliveries.length;
+  } catch (err) {
+    log.error(`Outbound webhook worker error: ${err.message}`);
+    return 0;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start delivering outbound webhooks
+ */
+export function startOutboundWebhooks() {
+  if (timer) {
+    return;
+  }
+
+  const recovered = resetStuckOutboundDeliveries();
+  if (recovered > 0) {
+    log.warn(`Recovered ${recovered} outbound delivery(ies) interrupted by a previous shutdown`);
+  }
+
+  timer = setInterval(drainOutboundDeliveries, getPollIntervalMs());
+  log.debug(`Outbound webhook worker started (poll ${getPollIntervalMs()}ms, max ${getMaxAttempts()} attempts)`);
+}
+
+/**
+ * Stop delivering
+ */
+export function stopOutboundWebhooks() {
+  clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,175 @@
+import crypto from "crypto";
+
+// ==================== PSEUDONYMIZATION ====================
+// User references and client IPs are stored (and sent to Stripe) as keyed
+// HMAC pseudonyms, never as given. Keys come from PSEUDONYMIZATION_KEYS:
+//
+//   PSEUDONYMIZATION_KEYS=1:first-secret,2:second-secret
+//
+// A pseudonym carries the version of its key: "pv2_<hex>". Each version is
+// computed over the previous one (pv1 over the raw value, pv2 over pv1, ...),
+// so rotating to a new key needs only the stored pseudonym, not the raw value.
+// Old keys therefore stay configured; adding a higher version rotates, and
+// rotate-pseudonyms.js brings stored values up to it.
+//
+// Without keys, values are stored as given (and a warning is logged at startup).
+
+export const PSEUDONYM_KINDS = { USER: "user", IP: "ip" };
+
+const PSEUDONYM_PATTERN = /^pv(\d+)_[0-9a-f]{64}$/;
+
+let keysCache = null;
+
+/**
+ * Configured keys, oldest version first
+ * @returns {array} [{ version, secret }]
+ */
+export function getPseudonymizationKeys() {
+  const raw = process.env.PSEUDONYMIZATION_KEYS || "";
+
+  if (keysCache && keysCache.raw === raw) {
+    return keysCache.keys;
+  }
+
+  const keys = raw
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      const version = Number(entry.slice(0, separator));
+
+      if (separator < 1 || !Number.isInteger(version) || version < 1 || !entry.slice(separator + 1)) {
+        throw new Error(`PSEUDONYMIZATION_KEYS: expected "<version>:<secret>", got "${entry.slice(0, 12)}…"`);
+      }
+      return { version, secret: entry.slice(separator + 1) };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  keysCache = { raw, keys };
+  return keys;
+}
+
+/**
+ * Whether pseudonymization keys are configured
+ * @returns {boolean}
+ */
+export function isPseudonymizationEnabled() {
+  return getPseudonymizationKeys().length > 0;
+}
+
+/**
+ * Key version of a stored value
+ * @param {string} value - Stored value
+ * @returns {number|null} Version, or null if the value is not a pseudonym (stored as given)
+ */
+export function getPseudonymVersion(value) {
+  const match = PSEUDONYM_PATTERN.exec(value ?? "");
+  return match ? Number(match[1]) : null;
+}
+
+function applyKey(key, kind, value) {
+  return `pv${key.version}_${crypto.createHmac("sha256", key.secret).update(`${kind}:${value}`).digest("hex")}`;
+}
+
+// Every form of a value from the given one up to the current key version
+function forwardChain(value, kind) {
+  const keys = getPseudonymizationKeys();
+  const version = getPseudonymVersion(value);
+
+  // A pseudonym of a key that is no longer configured cannot be carried forward
+  if (version !== null && !keys.some((key) => key.version === version)) {
+    return [value];
+  }
+
+  const chain = [value];
+  for (const key of keys.filter((k) => version === null || k.version > version)) {
+    chain.push(applyKey(key, kind, chain[chain.length - 1]));
+  }
+  return chain;
+}
+
+/**
+ * Pseudonymize a value with the current key (idempotent: a pseudonym is only
+ * carried forward to the current version)
+ * @param {string} value - Raw value or pseudonym
+ * @param {string} kind - One of PSEUDONYM_KINDS
+ * @returns {string} Pseudonym, or the value as given without keys
+ */
+export function pseudonymize(value, kind) {
+  if (value === null || value === undefined || value === "") {
+    return value;
+  }
+
+  const chain = forwardChain(String(value), kind);
+  return chain[chain.length - 1];
+}
+
+/**
+ * Stored forms a value may have: as given (rows from before pseudonymization)
+ * and its pseudonym under every key version
+ * @param {string} value - Raw value or pseudonym
+ * @param {string} kind - One of PSEUDONYM_KINDS
+ * @returns {array} Values to look up
+ */
+export function pseudonymCandidates(value, kind) {
+  if (value === null || value === undefined || value === "") {
+    return [];
+  }
+  return forwardChain(String(value), kind);
+}
+
+/**
+ * Whether a stored value belongs to a raw value (or pseudonym)
+ * @param {string} value - Raw value or pseudonym
+ * @param {string} stored - Stored value
+ * @param {string} kind - One of PSEUDONYM_KINDS
+ * @returns {boolean}
+ */
+export function matchesPseudonym(value, stored, kind) {
+  return stored !== null && stored !== undefined && pseudonymCandidates(value, kind).includes(stored);
+}
+
+/**
+ * Pseudonymize a user reference
+ * @param {string} userReference - Raw user reference or pseudonym
+ * @returns {string} Pseudonym
+ */
+export function pseudonymizeUserReference(userReference) {
+  return pseudonymize(userReference, PSEUDONYM_KINDS.USER);
+}
+
+/**
+ * Pseudonymize a client IP address
+ * @param {string} ipAddress - Raw IP address
+ * @returns {string} Pseudonym
+ */
+export function pseudonymizeIp(ipAddress) {
+  return pseudonymize(ipAddress, PSEUDONYM_KINDS.IP);
+}
+
+/**
+ * Stored forms of a user reference (see pseudonymCandidates)
+ * @param {string} userReference - Raw user reference or pseudonym
+ * @returns {array} Values to look up
+ */
+export function userReferenceCandidates(userReference) {
+  return pseudonymCandidates(userReference, PSEUDONYM_KINDS.USER);
+}
+
+/**
+ * Pseudonymize a user reference with the oldest configured key
+ * Stands in for the raw value where rows must still be found under every
+ * version (userReferenceCandidates of it covers them all), unlike the current
+ * pseudonym, from which older versions cannot be derived.
+ * @param {string} userReference - Raw user reference or pseudonym
+ * @returns {string} Pseudonym, or the value as given without keys
+ */
+export function pseudonymizeUserReferenceForLookup(userReference) {
+  const [oldest] = getPseudonymizationKeys();
+
+  if (!oldest || !userReference || getPseudonymVersion(userReference) !== null) {
+    return userReference;
+  }
+  return applyKey(oldest, PSEUDONYM_KINDS.USER, userReference);
+}
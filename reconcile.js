@@ -0,0 +1,54 @@
+// Reconcile local verification sessions with Stripe on demand
+//
+// Usage:
+//   node reconcile.js [--dry-run] [--since <ISO date | unix seconds>]
+//
+// Without --since the run starts at the checkpoint left by the last run.
+// --dry-run reports drift without changing anything (and keeps the checkpoint).
+import dotenv from "dotenv";
+import { runReconciliation, parseSince } from "./reconciliation.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const sinceIndex = args.indexOf("--since");
+const since = sinceIndex >= 0 ? parseSince(args[sinceIndex + 1]) : null;
+
+if (sinceIndex >= 0 && since === null) {
+  console.error("❌ Usage: node reconcile.js [--dry-run] [--since <ISO date | unix seconds>]");
+  process.exit(1);
+}
+
+if (!process.env.STRIPE_SECRET_KEY) {
+  console.error("❌ STRIPE_SECRET_KEY missing in .env");
+  process.exit(1);
+}
+
+try {
+  const report = await runReconciliation({ trigger: "cli", dryRun: args.includes("--dry-run"), since });
+
+  console.log(`\n🔄 RECONCILIATION RUN #${report.id}${report.dry_run ? " (dry run)" : ""}`);
+  console.log("=".repeat(80));
+  console.log(`Status:           ${report.status}${report.error ? ` - ${report.error}` : ""}`);
+  console.log(`Created since:    ${new Date(report.created_since * 1000).toISOString()}`);
+  console.log(`Sessions checked: ${report.sessions_checked}`);
+  console.log(`Drift fixed:      ${report.drift_fixed}`);
+  console.log(`Drift rejected:   ${report.drift_rejected}`);
+  console.log(`Unknown sessions: ${report.unknown_sessions}`);
+  if (report.checkpoint) {
+    console.log(`Next checkpoint:  ${new Date(report.checkpoint * 1000).toISOString()}`);
+  }
+
+  if (report.findings.length > 0) {
+    console.log("\nFindings:");
+    report.findings.forEach((f) => {
+      console.log(`  ${f.session_id.padEnd(32)} ${f.kind.padEnd(8)} ${(f.local_status || "-").padEnd(15)} -> ${f.stripe_status.padEnd(15)} ${f.resolution}`);
+    });
+  }
+  console.log("");
+
+  process.exit(report.status === "completed" ? 0 : 1);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,244 @@
+import {
+  startReconciliationRun,
+  recordReconciliationFinding,
+  finishReconciliationRun,
+  getReconciliationCheckpoint,
+  getActiveReconciliationRun,
+  failInterruptedReconciliationRuns,
+  getReconciliationRun,
+  listTenants,
+  isSessionErased,
+  AUDIT_RESULTS,
+} from "./database.js";
+import { getStorage } from "./storage.js";
+import { log } from "./logger.js";
+import { getStripe, getRequestOptions } from "./stripe-client.js";
+import { TRANSITION_SOURCES, TERMINAL_STATUSES } from "./verification-state.js";
+
+// ==================== STRIPE RECONCILIATION ====================
+// Catches webhooks we never received: pages through the Stripe sessions created
+// since the last checkpoint, applies status drift through the normal
+// state-machine path and flags Stripe sessions we have no local record of.
+//
+// The checkpoint is a low watermark - the creation time of the oldest session
+// that was still open in Stripe - so sessions stuck in processing keep being
+// checked until they settle. It never lags more than RECONCILIATION_LOOKBACK_HOURS.
+//
+// Every Stripe account is listed: the default one, each tenant's own and the
+// connected accounts (Stripe Connect) we created sessions on in the range. A
+// failing account does not stop the others, but fails the run (the checkpoint
+// stays where it was, so the next run covers the same range again).
+
+// Read lazily so values from .env (loaded after imports) are honoured
+const getIntervalMinutes = () => Number(process.env.RECONCILIATION_INTERVAL_MINUTES ?? 60);
+const getLookbackHours = () => Number(process.env.RECONCILIATION_LOOKBACK_HOURS) || 72;
+
+const PAGE_SIZE = 100;
+
+// Re-check sessions created just before a run (clock skew between us and Stripe)
+const CHECKPOINT_OVERLAP_SECONDS = 5 * 60;
+
+let timer = null;
+let running = false;
+
+export class ReconciliationInProgressError extends Error {
+  constructor(runId = null) {
+    super(runId ? `Reconciliation run ${runId} is already in progress` : "A reconciliation run is already in progress");
+    this.status = 409;
+  }
+}
+
+/**
+ * Parse a --since / "since" value: ISO date or unix seconds
+ * @param {string|number} value - Raw value
+ * @returns {number|null} Unix seconds, or null if invalid
+ */
+export function parseSince(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (/^\d+$/.test(String(value))) return Number(value);
+
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+// Where the listing starts: the checkpoint, bounded by the lookback window
+function resolveCreatedSince(since) {
+  const now = Math.floor(Date.now() / 1000);
+  const oldest = now - getLookbackHours() * 60 * 60;
+
+  if (since) {
+    return since;
+  }
+
+  return Math.max(getReconciliationCheckpoint() ?? oldest, oldest);
+}
+
+// Accounts to list: { tenantId, stripeAccount } (null tenantId: the default account,
+// null stripeAccount: the platform account itself)
+async function getStripeAccounts(storage, createdSince) {
+  const tenants = listTenants().filter((tenant) => tenant.stripe_secret_key);
+
+  return [
+    { tenantId: null, stripeAccount: null },
+    ...tenants.map((tenant) => ({ tenantId: tenant.tenant_id, stripeAccount: null })),
+    ...(await storage.listConnectedAccounts(createdSince)).map((row) => ({ tenantId: row.tenant_id, stripeAccount: row.stripe_account })),
+  ];
+}
+
+function describeAccount({ tenantId, stripeAccount }) {
+  const platform = tenantId ? `tenant ${tenantId}` : "default account";
+  return stripeAccount ? `${stripeAccount} (${platform})` : platform;
+}
+
+// created is our local initial state: Stripe reports a session nobody has
+// attempted yet as requires_input without a last_error
+function isInSync(record, session) {
+  if (record.status === session.status) {
+    return true;
+  }
+  return record.status === "created" && session.status === "requires_input" && !session.last_error;
+}
+
+// Compare one Stripe session with our record and fix or flag the difference
+async function reconcileSession(storage, runId, session, dryRun, totals) {
+  // Erased on request: the missing record is intended
+  if (isSessionErased(session.id)) {
+    return;
+  }
+
+  const record = await storage.getVerificationBySessionId(session.id);
+
+  if (!record) {
+    totals.unknown_sessions++;
+    recordReconciliationFinding(runId, {
+      session_id: session.id,
+      kind: "unknown",
+      stripe_status: session.status,
+      resolution: "flagged",
+    });
+    log.warn(`Reconciliation: Stripe session ${session.id} (${session.status}) has no local record`);
+    return;
+  }
+
+  if (isInSync(record, session)) {
+    if (!dryRun) await storage.markVerificationSynced(session.id);
+    return;
+  }
+
+  let resolution = "dry_run";
+
+  if (!dryRun) {
+    const transition = await storage.updateVerificationStatus(session.id, session.status, {
+      source: TRANSITION_SOURCES.RECONCILIATION,
+      errorCode: session.last_error?.code || null,
+      errorReason: session.last_error?.reason || null,
+    });
+    await storage.markVerificationSynced(session.id);
+
+    resolution = transition.applied ? "fixed" : "rejected";
+    totals[transition.applied ? "drift_fixed" : "drift_rejected"]++;
+  }
+
+  recordReconciliationFinding(runId, {
+    session_id: session.id,
+    kind: "drift",
+    local_status: record.status,
+    stripe_status: session.status,
+    resolution,
+  });
+  log.info(`Reconciliation: ${session.id} ${record.status} -> ${session.status} (${resolution})`);
+}
+
+/**
+ * Run one reconciliation pass against Stripe
+ * @param {object} options - { trigger: schedule|cli|admin, dryRun, since: unix seconds }
+ * @returns {Promise<object>} Reconciliation report (run and findings)
+ */
+export async function runReconciliation({ trigger = "schedule", dryRun = false, since = null } = {}) {
+  const storage = await getStorage();
+  const active = getActiveReconciliationRun();
+  if (running || active) {
+    throw new ReconciliationInProgressError(active?.id);
+  }
+  running = true;
+
+  const startedAt = Math.floor(Date.now() / 1000);
+  const createdSince = resolveCreatedSince(since);
+  const runId = startReconciliationRun({ trigger, dryRun, createdSince });
+  const totals = { sessions_checked: 0, drift_fixed: 0, drift_rejected: 0, unknown_sessions: 0 };
+
+  // Oldest session Stripe still reports as open - the next run starts there
+  let oldestOpen = null;
+
+  log.debug(`Reconciliation run ${runId} started (${trigger}, sessions created since ${new Date(createdSince * 1000).toISOString()}${dryRun ? ", dry run" : ""})`);
+
+  try {
+    const failures = [];
+
+    for (const account of await getStripeAccounts(storage, createdSince)) {
+      try {
+        const sessions = getStripe(account.tenantId).identity.verificationSessions.list(
+          { created: { gte: createdSince }, limit: PAGE_SIZE },
+          getRequestOptions(account.stripeAccount)
+        );
+
+        // Auto-pagination: follows starting_after across pages
+        for await (const session of sessions) {
+          totals.sessions_checked++;
+          await reconcileSession(storage, runId, session, dryRun, totals);
+
+          if (!TERMINAL_STATUSES.includes(session.status)) {
+            oldestOpen = Math.min(oldestOpen ?? session.created, session.created);
+          }
+        }
+      } catch (err) {
+        failures.push(`${describeAccount(account)}: ${err.message}`);
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new Error(failures.join("; "));
+    }
+
+    finishReconciliationRun(runId, { status: "completed", checkpoint: oldestOpen ?? startedAt - CHECKPOINT_OVERLAP_SECONDS, ...totals });
+    await storage.logAuditEvent("reconciliation_completed", null, { run_id: runId, trigger, dry_run: dryRun, ...totals });
+    log.info(`Reconciliation run ${runId} completed: ${totals.sessions_checked} checked, ${totals.drift_fixed} fixed, ${totals.drift_rejected} rejected, ${totals.unknown_sessions} unknown`);
+  } catch (err) {
+    finishReconciliationRun(runId, { status: "failed", ...totals, error: err.message });
+    await storage.logAuditEvent("reconciliation_failed", null, { run_id: runId, trigger, error: err.message }, null, AUDIT_RESULTS.FAILURE);
+    log.error(`Reconciliation run ${runId} failed: ${err.message}`);
+  } finally {
+    running = false;
+  }
+
+  return getReconciliationRun(runId);
+}
+
+/**
+ * Run reconciliation every RECONCILIATION_INTERVAL_MINUTES (0 disables it)
+ */
+export function startReconciliationSchedule() {
+  const minutes = getIntervalMinutes();
+
+  if (timer || !(minutes > 0)) {
+    return;
+  }
+
+  const interrupted = failInterruptedReconciliationRuns();
+  if (interrupted > 0) {
+    log.warn(`Closed ${interrupted} reconciliation run(s) interrupted by a previous shutdown`);
+  }
+
+  timer = setInterval(() => {
+    runReconciliation({ trigger: "schedule" }).catch((err) => log.warn(`Scheduled reconciliation skipped: ${err.message}`));
+  }, minutes * 60 * 1000);
+  log.debug(`Reconciliation scheduled every ${minutes} minute(s)`);
+}
+
+/**
+ * Stop scheduled reconciliation
+ */
+export function stopReconciliationSchedule() {
+  clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,225 @@
+import fs from "fs";
+import {
+  RETENTION_TABLES,
+  applyRetentionRule,
+  purgeSessionQueues,
+  recordRetentionRun,
+  AUDIT_RESULTS,
+} from "./database.js";
+import { getStorage, STORAGE_TABLES } from "./storage.js";
+import { log } from "./logger.js";
+
+// ==================== DATA RETENTION ====================
+// Rules from the JSON file at RETENTION_POLICY_PATH, applied every
+// RETENTION_INTERVAL_HOURS, each in its own transaction:
+//
+//   { "rules": [
+//       { "table": "verification_sessions", "status": "canceled", "action": "delete", "after_days": 90 },
+//       { "table": "audit_log", "column": "ip_address", "action": "anonymize", "after_days": 30 },
+//       { "table": "audit_log", "action": "delete", "after_days": 2190 }
+//   ] }
+//
+// "status" (a value or an array) filters on the table's status column (event_type
+// for audit_log). Deleting sessions also deletes their history, errors, webhook
+// events and outbound deliveries. Audit rows are redacted instead of deleted, so
+// the audit hash chain still verifies. Nothing is deleted in Stripe.
+//
+// Rules on sessions, the audit log and webhook events run in storage (see
+// storage.js), the others in the local database.
+
+const RETENTION_ACTIONS = ["delete", "anonymize"];
+
+const DEFAULT_INTERVAL_HOURS = 24;
+
+// Timer delays above 2^31-1 ms (about 24.8 days) overflow and fire after 1 ms
+const MAX_INTERVAL_HOURS = 24 * 24;
+
+let policyCache = null;
+let timer = null;
+
+/**
+ * Schedule interval (RETENTION_INTERVAL_HOURS, read lazily so .env is honoured)
+ * Values that are not a number of hours fall back to the default; longer
+ * intervals are clamped to MAX_INTERVAL_HOURS.
+ * @returns {number} Hours between runs (0 disables the schedule)
+ */
+function getIntervalHours() {
+  const value = process.env.RETENTION_INTERVAL_HOURS ?? String(DEFAULT_INTERVAL_HOURS);
+  const hours = Number(value);
+
+  if (!Number.isFinite(hours) || hours < 0) {
+    log.warn(`RETENTION_INTERVAL_HOURS=${value} is not a number of hours - using ${DEFAULT_INTERVAL_HOURS}`);
+    return DEFAULT_INTERVAL_HOURS;
+  }
+  if (hours > MAX_INTERVAL_HOURS) {
+    log.warn(`RETENTION_INTERVAL_HOURS=${value} exceeds ${MAX_INTERVAL_HOURS} - using ${MAX_INTERVAL_HOURS}`);
+    return MAX_INTERVAL_HOURS;
+  }
+  return hours;
+}
+
+/**
+ * Check a rule against RETENTION_TABLES
+ * @param {object} rule - Retention rule
+ * @returns {string|null} Why the rule is invalid, or null
+ */
+export function validateRetentionRule(rule) {
+  const target = RETENTION_TABLES[rule?.table];
+
+  if (!target) {
+    return `table must be one of: ${Object.keys(RETENTION_TABLES).join(", ")}`;
+  }
+  if (!RETENTION_ACTIONS.includes(rule.action)) {
+    return `action must be one of: ${RETENTION_ACTIONS.join(", ")}`;
+  }
+  if (!(Number.isInteger(rule.after_days) && rule.after_days > 0)) {
+    return "after_days must be a positive integer";
+  }
+  if (rule.action === "anonymize" && !(target.anonymize || []).includes(rule.column)) {
+    return `column must be one of: ${(target.anonymize || []).join(", ") || "(none for this table)"}`;
+  }
+  if (rule.status !== undefined && ![].concat(rule.status).every((value) => typeof value === "string")) {
+    return "status must be a string or an array of strings";
+  }
+
+  return null;
+}
+
+/**
+ * Human-readable summary of a rule (for logs)
+ * @param {object} rule - Retention rule
+ * @returns {string} e.g. "delete verification_sessions (canceled) after 90 days"
+ */
+export function describeRetentionRule(rule) {
+  const what = rule.action === "anonymize" ? `${rule.table}.${rule.column}` : rule.table;
+  const status = rule.status !== undefined ? ` (${[].concat(rule.status).join(", ")})` : "";
+  return `${rule.action} ${what}${status} after ${rule.after_days} days`;
+}
+
+/**
+ * Load the retention policy (cached per path)
+ * @returns {object} { rules, invalid } - valid rules, and rejected ones with the reason
+ */
+export function loadRetentionPolicy() {
+  const policyPath = process.env.RETENTION_POLICY_PATH || null;
+
+  if (policyCache && policyCache.path === policyPath) {
+    return policyCache.policy;
+  }
+
+  const policy = { rules: [], invalid: [] };
+
+  if (policyPath) {
+    try {
+      const { rules = [] } = JSON.parse(fs.readFileSync(policyPath, "utf8"));
+
+      for (const rule of rules) {
+        const error = validateRetentionRule(rule);
+        if (error) {
+          log.error(`Ignoring retention rule ${JSON.stringify(rule)}: ${error}`);
+          policy.invalid.push({ rule, error });
+        } else {
+          policy.rules.push(rule);
+        }
+      }
+    } catch (err) {
+      log.error(`Failed to load retention policy from ${policyPath}: ${err.message}`);
+    }
+  }
+
+  policyCache = { path: policyPath, policy };
+  return policy;
+}
+
+/**
+ * Apply one rule where its table lives
+ * @param {object} storage - Storage backend
+ * @param {object} rule - Retention rule
+ * @param {boolean} dryRun - Only count
+ * @returns {Promise<object>} { affected, deleted }
+ */
+async function applyRule(storage, rule, dryRun) {
+  if (!STORAGE_TABLES.includes(rule.table)) {
+    return applyRetentionRule(rule, { dryRun });
+  }
+
+  const { session_ids: sessionIds, event_ids: eventIds, ...result } = await storage.applyRetentionRule(rule, { dryRun });
+
+  if (sessionIds) {
+    // Purged sessions: their queued work goes too
+    Object.assign(result.deleted, purgeSessionQueues(sessionIds, eventIds, { dryRun }));
+  }
+
+  return result;
+}
+
+/**
+ * Apply every retention rule (or only report what it would affect)
+ * @param {object} options - { trigger: schedule|admin, dryRun }
+ * @returns {Promise<object>} { status, dry_run, results } - results per rule
+ */
+export async function runRetention({ trigger = "schedule", dryRun = false } = {}) {
+  const storage = await getStorage();
+  const startedAt = new Date().toISOString().replace("T", " ").slice(0, 19);
+  const results = [];
+
+  for (const rule of loadRetentionPolicy().rules) {
+    const description = describeRetentionRule(rule);
+
+    try {
+      const { affected, deleted = null } = await applyRule(storage, rule, dryRun);
+      results.push({ rule, description, affected, deleted });
+
+      if (!dryRun && affected > 0) {
+        log.info(`Retention: ${description} - ${affected} row(s)${deleted ? ` ${JSON.stringify(deleted)}` : ""}`);
+      }
+    } catch (err) {
+      results.push({ rule, description, error: err.message });
+      log.error(`Retention rule failed (${description}): ${err.message}`);
+    }
+  }
+
+  const status = results.some((r) => r.error) ? "failed" : "completed";
+
+  // Previews are not recorded - only runs that changed data
+  if (!dryRun) {
+    const runId = recordRetentionRun({ trigger, status, results, startedAt });
+    await storage.logAuditEvent("retention_purge", null, {
+      run_id: runId,
+      trigger,
+      status,
+      affected: results.reduce((sum, r) => sum + (r.affected || 0), 0),
+    }, null, status === "failed" ? AUDIT_RESULTS.FAILURE : AUDIT_RESULTS.SUCCESS);
+    return { id: runId, status, dry_run: false, results };
+  }
+
+  return { status, dry_run: true, results };
+}
+
+/**
+ * Apply retention every RETENTION_INTERVAL_HOURS (0 disables it)
+ */
+export function startRetentionSchedule() {
+  const hours = getIntervalHours();
+
+  if (timer || hours === 0) {
+    return;
+  }
+
+  const { rules } = loadRetentionPolicy();
+
+  timer = setInterval(() => {
+    runRetention({ trigger: "schedule" }).catch((err) => {
+      log.error(`Scheduled retention run failed: ${err.message}`);
+    });
+  }, hours * 60 * 60 * 1000);
+  log.debug(`Retention scheduled every ${hours} hour(s) with ${rules.length} rule(s)`);
+}
+
+/**
+ * Stop scheduled retention
+ */
+export function stopRetentionSchedule() {
+  clearInterval(timer);
+  timer = null;
+}
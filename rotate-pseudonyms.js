@@ -0,0 +1,51 @@
+// Bring stored user references to the current pseudonymization key version
+//
+// Usage:
+//   node rotate-pseudonyms.js [--dry-run]
+//
+// Run after adding a key version to PSEUDONYMIZATION_KEYS (keep the older
+// keys configured - each version is computed over the previous one), or after
+// enabling pseudonymization on a database with references stored as given.
+// Audit entries keep the version they were written with.
+import dotenv from "dotenv";
+import { rotateStoredPseudonyms } from "./database.js";
+import { getStorage, closeStorage } from "./storage.js";
+import { getPseudonymizationKeys } from "./pseudonymize.js";
+
+dotenv.config();
+
+const dryRun = process.argv.slice(2).includes("--dry-run");
+
+try {
+  const keys = getPseudonymizationKeys();
+
+  if (keys.length === 0) {
+    console.error("❌ PSEUDONYMIZATION_KEYS missing in .env");
+    process.exit(1);
+  }
+
+  // Sessions in storage, generated exports in the local database
+  const storage = await getStorage();
+  const report = {
+    ...(await storage.rotateStoredPseudonyms({ dryRun })),
+    ...rotateStoredPseudonyms({ dryRun, tables: ["data_exports"] }),
+  };
+  await closeStorage();
+
+  console.log(`\n🔑 PSEUDONYM ROTATION to key version ${keys[keys.length - 1].version}${dryRun ? " (dry run)" : ""}`);
+  console.log("=".repeat(80));
+  for (const [table, totals] of Object.entries(report)) {
+    console.log(`${table.padEnd(24)} ${totals.values} value(s), ${totals.rotated} ${dryRun ? "to rotate" : "rotated"} (${totals.rows} row(s)), ${totals.unknown_version} with an unknown key version`);
+  }
+  console.log("");
+
+  const unknown = Object.values(report).some((totals) => totals.unknown_version > 0);
+  if (unknown) {
+    console.error("⚠️  Some values use a key version that is no longer configured - they cannot be rotated");
+  }
+
+  process.exit(unknown ? 1 : 0);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
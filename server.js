@@ -1,33 +1,134 @@
 import express from "express";
-import Stripe from "stripe";
 import cors from "cors";
 import dotenv from "dotenv";
+import crypto from "crypto";
 import {
-  createVerificationRecord,
-  updateVerificationStatus,
-  getVerificationBySessionId,
-  isEventProcessed,
-  logAuditEvent,
-  getStatistics,
-  deleteUserData,
+  enqueueWebhookJob,
+  isSessionErased,
+  listDeadLetters,
+  requeueDeadLetter,
+  discardDeadLetter,
+  AUDIT_RESULTS,
+  upsertVerificationPolicy,
+  listVerificationPolicies,
+  deleteVerificationPolicy,
+  getVerificationPolicy,
+  allowTenantPolicy,
+  disallowTenantPolicy,
+  createWebhookSubscription,
+  getWebhookSubscription,
+  listWebhookSubscriptions,
+  deactivateWebhookSubscription,
+  listOutboundDeliveries,
+  requeueOutboundDelivery,
+  listReconciliationRuns,
+  getReconciliationRun,
+  getErasureJob,
+  listRetentionRuns,
+  getDataExport,
+  listErasureJobs,
+  requeueErasureJob,
+  getTenant,
+  listTenants,
 } from "./database.js";
+import { getStorage } from "./storage.js";
+import { log, isDebugMode, runWithLogContext } from "./logger.js";
+import { getStripe, getRequestOptions, isConnectedAccountId } from "./stripe-client.js";
+import { processWebhookEvent } from "./webhook-handlers.js";
+import { startWebhookWorker } from "./webhook-worker.js";
+import {
+  authenticate,
+  allowQueryToken,
+  requireRole,
+  canAccessSession,
+  canAccessUser,
+  getActor,
+  resolveUserReference,
+  requirePlatformCaller,
+  ROLES,
+} from "./auth.js";
+import {
+  registerTenant,
+  changeTenant,
+  toTenantView,
+  getTenantConfig,
+  resolveActiveTenant,
+  TenantError,
+} from "./tenants.js";
+import {
+  resolveVerificationRequest,
+  normalizeOptions,
+  VerificationOptionsError,
+} from "./verification-options.js";
+import { TRANSITION_SOURCES, STATUSES } from "./verification-state.js";
+import { startOutboundWebhooks } from "./outbound-webhooks.js";
+import { getErrorGuidance, resolveLocale } from "./error-guidance.js";
+import { getSyncedVerification } from "./status-sync.js";
+import { loadRetentionPolicy, runRetention, startRetentionSchedule } from "./retention.js";
+import {
+  requestExport,
+  toExportStatus,
+  startDataExportWorker,
+  DataExportError,
+} from "./data-export.js";
+import {
+  requestErasure,
+  hashUserReference,
+  isErasureHashKeyConfigured,
+  toErasureReceipt,
+  drainErasureJobs,
+  startErasureWorker,
+} from "./erasure.js";
+import {
+  runReconciliation,
+  startReconciliationSchedule,
+  parseSince,
+  ReconciliationInProgressError,
+} from "./reconciliation.js";
+import { streamVerificationStatus, attachStatusWebSocket } from "./live-status.js";
+import { isPseudonymizationEnabled, pseudonymizeUserReference } from "./pseudonymize.js";
+import { AnalyticsQueryError, parseTimeseriesQuery, getTimeseries } from "./analytics.js";
+import { getLiveness, getReadiness, HEALTH_STATUSES } from "./health.js";
+import { authorizeMetrics, renderMetrics, webhookEventsTotal, webhookSignatureFailuresTotal } from "./metrics.js";
+import {
+  AUDIT_EXPORT_FORMATS,
+  AuditLogQueryError,
+  parseAuditLogFilters,
+  getAuditLogPage,
+  streamAuditLog,
+} from "./audit-log.js";
 
 dotenv.config();
 
 const app = express();
 app.use(cors());
 
-// Environment configuration
-const DEBUG_MODE = process.env.DEBUG_MODE === "true";
+// ==================== REQUEST IDS ====================
+// Every request gets an ID (the caller's X-Request-Id if it looks sane), echoed
+// in the response and added to every log line written while handling it
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+app.use((req, res, next) => {
+  const incoming = req.headers["x-request-id"];
+  req.id = REQUEST_ID_PATTERN.test(incoming || "") ? incoming : crypto.randomUUID();
+  res.setHeader("X-Request-Id", req.id);
 
-// Logging utility
-const log = {
-  info: (msg) => console.log(`ℹ️  ${msg}`),
-  success: (msg) => console.log(`✅ ${msg}`),
-  warn: (msg) => console.warn(`⚠️  ${msg}`),
-  error: (msg) => console.error(`❌ ${msg}`),
-  debug: (msg) => DEBUG_MODE && console.log(`🔍 ${msg}`),
-};
+  const startedAt = process.hrtime.bigint();
+  res.on("finish", () => {
+    // Probes and scrapes would drown out everything else
+    if (req.path.startsWith("/health") || req.path === "/metrics") return;
+
+    log.info(`${req.method} ${req.path} ${res.statusCode}`, {
+      request_id: req.id,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      duration_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+    });
+  });
+
+  runWithLogContext({ request_id: req.id }, next);
+});
 
 // IMPORTANT: For webhook signature verification, we need raw body
 // So we apply express.json() AFTER the webhook route
@@ -38,216 +139,483 @@ if (!process.env.STRIPE_SECRET_KEY) {
   process.exit(1);
 }
 
+if (process.env.STRIPE_API_URL) {
+  log.warn(`STRIPE_API_URL set - Stripe API calls go to ${process.env.STRIPE_API_URL}, not Stripe`);
+}
+
 if (!process.env.STRIPE_WEBHOOK_SECRET) {
   log.warn("STRIPE_WEBHOOK_SECRET missing - webhook signature verification DISABLED (INSECURE)");
 }
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
-  apiVersion: "2023-10-16",
+if (!isPseudonymizationEnabled()) {
+  log.warn("PSEUDONYMIZATION_KEYS missing - user references and IP addresses are stored as given");
+}
+
+if (!isErasureHashKeyConfigured()) {
+  log.warn("ERASURE_HASH_SECRET or PSEUDONYMIZATION_KEYS missing - GDPR erasure is unavailable (503)");
+}
+
+// Sessions, audit log and webhook events (STORAGE_BACKEND, see storage.js)
+const storage = await getStorage().catch((err) => {
+  log.error(`Storage unavailable: ${err.message}`);
+  process.exit(1);
 });
+log.info(`Storage backend: ${storage.backend}`);
 
 // ==================== WEBHOOK ENDPOINT (MUST BE BEFORE express.json()) ====================
-// This endpoint receives events from Stripe and MUST verify signatures
+// These endpoints receive events from Stripe and MUST verify signatures:
+// /webhook for the default account (STRIPE_WEBHOOK_SECRET, and
+// STRIPE_CONNECT_WEBHOOK_SECRET for the Connect endpoint's events of connected
+// accounts), /webhook/:tenantId for a tenant's own account (the tenant's
+// webhook secret - always required)
+
+// Stripe signs the account and the Connect endpoint with different secrets: accept either
+function constructWebhookEvent(payload, signature, secrets) {
+  let lastError;
+
+  for (const secret of secrets) {
+    try {
+      return getStripe().webhooks.constructEvent(payload, signature, secret);
+    } catch (err) {
+      if (err.type !== "StripeSignatureVerificationError") throw err;
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
 
 app.post(
-  "/webhook",
+  ["/webhook", "/webhook/:tenantId"],
   express.raw({ type: "application/json" }),
   async (req, res) => {
     const sig = req.headers["stripe-signature"];
-    const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+    const tenantId = req.params.tenantId || null;
+    let webhookSecrets = [process.env.STRIPE_WEBHOOK_SECRET, process.env.STRIPE_CONNECT_WEBHOOK_SECRET].filter(Boolean);
+
+    log.debug(`Webhook received - Body length: ${req.body?.length}, Signature: ${!!sig}${tenantId ? `, Tenant: ${tenantId}` : ""}`);
+
+    if (tenantId) {
+      let tenant;
+      try {
+        tenant = getTenantConfig(tenantId);
+      } catch (err) {
+        // Secret not readable (e.g. TENANT_ENCRYPTION_KEY missing) - Stripe redelivers later
+        log.error(`Webhook for tenant ${tenantId} not verifiable: ${err.message}`);
+        return res.status(err.status || 500).send("Webhook Error: tenant configuration unavailable");
+      }
 
-    log.debug(`Webhook received - Body length: ${req.body?.length}, Signature: ${!!sig}`);
+      if (!tenant) {
+        return res.status(404).send("Webhook Error: unknown tenant");
+      }
+      // Never fall back to unverified parsing for a tenant endpoint
+      if (!tenant.webhookSecret) {
+        log.error(`Webhook for tenant ${tenantId} rejected - no webhook secret configured`);
+        return res.status(400).send("Webhook Error: no webhook secret configured for this tenant");
+      }
+      webhookSecrets = [tenant.webhookSecret];
+    }
 
     let event;
 
     try {
       // CRITICAL SECURITY: Verify webhook signature to prevent tampering
-      if (!webhookSecret) {
+      if (webhookSecrets.length === 0) {
         log.error("INSECURE: Webhook signature verification skipped - STRIPE_WEBHOOK_SECRET not set");
         // In POC without signature secret, parse manually (NEVER do this in production)
         event = JSON.parse(req.body.toString());
       } else {
         // SECURE: Verify the signature
-        event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+        event = constructWebhookEvent(req.body, sig, webhookSecrets);
         log.debug("Webhook signature verified");
       }
-
-      // Log webhook receipt for audit trail
-      logAuditEvent("webhook_received", event.data.object.id, {
-        event_type: event.type,
-        event_id: event.id,
-      });
-
-      // Idempotency check - don't process same event twice
-      if (isEventProcessed(event.id)) {
-        log.debug(`Event ${event.id} already processed - skipping`);
-        return res.json({ received: true, status: "already_processed" });
-      }
-
-      // Handle the event based on type
-      switch (event.type) {
-        case "identity.verification_session.verified":
-          await handleVerificationVerified(event.data.object);
-          break;
-
-        case "identity.verification_session.requires_input":
-          await handleVerificationRequiresInput(event.data.object);
-          break;
-
-        case "identity.verification_session.processing":
-          await handleVerificationProcessing(event.data.object);
-          break;
-
-        case "identity.verification_session.canceled":
-          await handleVerificationCanceled(event.data.object);
-          break;
-
-        default:
-          log.debug(`Unhandled event type: ${event.type}`);
-      }
-
-      // Return 200 immediately to acknowledge receipt
-      res.json({ received: true });
     } catch (err) {
       log.error(`Webhook error: ${err.message}`);
 
       // Log detailed error information for signature verification failures
       if (err.type === 'StripeSignatureVerificationError') {
+        webhookSignatureFailuresTotal.inc();
         log.error("Signature verification failed - check webhook secret configuration");
         log.debug(`Error details: ${err.stack}`);
       } else {
         log.debug(`Error stack: ${err.stack}`);
       }
 
-      logAuditEvent("webhook_error", null, {
+      await storage.logAuditEvent("webhook_error", null, {
         error: err.message,
         error_type: err.type,
-        error_code: err.code
-      });
+        error_code: err.code,
+        tenant_id: tenantId,
+      }, req.ip, AUDIT_RESULTS.FAILURE);
       return res.status(400).send(`Webhook Error: ${err.message}`);
     }
-  }
-);
 
-// Webhook handler functions
-async function handleVerificationVerified(session) {
-  log.info(`Verification verified: ${session.id}`);
-  updateVerificationStatus(session.id, "verified", session.last_error?.code || null);
+    // Stripe keeps notifying about sessions we have erased (e.g. their redaction):
+    // acknowledge, but store nothing that would name them again
+    if (isSessionErased(event.data?.object?.id)) {
+      webhookEventsTotal.inc({ event_type: event.type, outcome: "ignored_erased" });
+      log.info(`Event ${event.id} (${event.type}) concerns an erased session - discarded`);
+      return res.json({ received: true, status: "ignored_erased" });
+    }
 
-  // Note: We do NOT retrieve or store PII from Stripe
-  // Document data, names, DOB stay in Stripe's vault
-  // We only store: session_id, status, timestamps
-}
+    try {
+      // Persist first (ledger, then queue), acknowledge, and let the worker process it.
+      // Already handled (or discarded) events are not queued again.
+      await storage.recordWebhookEvent(event, req.body, tenantId);
+      const queued = !(await storage.isEventProcessed(event.id)) && enqueueWebhookJob(event.id, req.id);
 
-async function handleVerificationRequiresInput(session) {
-  log.warn(`Verification requires input: ${session.id}`);
-  updateVerificationStatus(session.id, "requires_input", session.last_error?.code || null);
-}
+      // Log webhook receipt for audit trail
+      await storage.logAuditEvent("webhook_received", event.data?.object?.id, {
+        event_type: event.type,
+        event_id: event.id,
+        tenant_id: tenantId,
+        stripe_account: event.account || null,
+      }, req.ip);
 
-async function handleVerificationProcessing(session) {
-  log.info(`Verification processing: ${session.id}`);
-  updateVerificationStatus(session.id, "processing", null);
-}
+      if (!queued) {
+        webhookEventsTotal.inc({ event_type: event.type, outcome: "duplicate" });
+        log.debug(`Event ${event.id} already received - not queued again`);
+        return res.json({ received: true, status: "already_processed" });
+      }
 
-async function handleVerificationCanceled(session) {
-  log.warn(`Verification canceled: ${session.id}`);
-  updateVerificationStatus(session.id, "canceled", null);
-}
+      log.debug(`Event ${event.id} queued`, { event_id: event.id, event_type: event.type });
+
+      // Return 200 immediately to acknowledge receipt
+      res.json({ received: true, status: "queued" });
+    } catch (err) {
+      // Not persisted - a 500 makes Stripe redeliver the event later
+      log.error(`Failed to persist webhook event ${event.id}: ${err.message}`);
+      return res.status(500).send("Webhook Error: event could not be persisted");
+    }
+  }
+);
 
 // ==================== APPLY JSON PARSER (AFTER WEBHOOK) ====================
-app.use(express.json());
+// Keep the raw body: HMAC-signed API key requests are verified against it
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // ==================== API ENDPOINTS ====================
+// All API endpoints require authentication (see auth.js); /webhook and /health/* do not
 
 // Create a verification session
-app.post("/create-session", async (req, res) => {
+app.post("/create-session", authenticate, async (req, res) => {
   try {
+    // The caller's tenant (API key or JWT claim) decides the Stripe account, return URL
+    // and allowed verification types; callers without a tenant row use the environment
+    const tenant = resolveActiveTenant(req.auth.tenantId);
     const frontendUrl = process.env.FRONTEND_URL;
 
-    if (!frontendUrl) {
+    if (!tenant?.returnUrl && !frontendUrl) {
       return res.status(500).json({ error: "FRONTEND_URL is missing in .env" });
     }
 
-    // Get user reference from request (in real app, this would be authenticated user ID)
-    // For POC, we'll accept it from request or generate a test ID
-    const userReference = req.body.userReference || `user_${Date.now()}`;
+    // End users verify themselves (token subject); services name the user they act for
+    const userReference = resolveUserReference(req.auth, req.body.userReference);
+
+    if (!userReference) {
+      return res.status(400).json({ error: "userReference is required for service callers" });
+    }
+
+    // SECURITY: userReference is pseudonymized (keyed HMAC) before it is stored or sent to
+    // Stripe - see pseudonymize.js. Still prefer an internal user ID over an email address.
 
-    // SECURITY: In production, userReference should be:
-    // - Extracted from authenticated session (JWT, OAuth token)
-    // - Hashed/pseudonymized (NOT raw email)
-    // - Example: SHA256(user_email + salt) or internal user_id
+    // Verification flow: a named policy, or ad-hoc type/options (validated)
+    const verification = resolveVerificationRequest(req.body, req.auth, tenant?.allowedVerificationTypes);
 
-    const session = await stripe.identity.verificationSessions.create({
-      type: "document",
-      return_url: `${frontendUrl}/complete`,
+    const { clientReferenceId } = req.body;
+    if (clientReferenceId !== undefined && (typeof clientReferenceId !== "string" || !clientReferenceId)) {
+      return res.status(400).json({ error: "clientReferenceId must be a non-empty string" });
+    }
+
+    // Stripe Connect: verify on behalf of a connected account (e.g. a marketplace seller).
+    // Only services may choose the account - end users cannot pick whose account they verify under
+    const stripeAccount = req.body.stripeAccount ?? null;
+    if (stripeAccount !== null) {
+      if (!isConnectedAccountId(stripeAccount)) {
+        return res.status(400).json({ error: "stripeAccount must be a Stripe account ID (acct_...)" });
+      }
+      if (!req.auth.roles.includes(ROLES.SERVICE) && !req.auth.roles.includes(ROLES.ADMIN)) {
+        return res.status(403).json({ error: "stripeAccount is only accepted from service callers" });
+      }
+    }
+
+    const session = await getStripe(req.auth.tenantId).identity.verificationSessions.create({
+      type: verification.stripeType,
+      options: verification.options,
+      return_url: tenant?.returnUrl || `${frontendUrl}/complete`,
+      ...(clientReferenceId && { client_reference_id: clientReferenceId }),
       metadata: {
         // Metadata is stored in Stripe, useful for linking
-        user_reference: userReference,
+        user_reference: pseudonymizeUserReference(userReference),
+        ...(verification.policyName && { verification_policy: verification.policyName }),
       },
-    });
+    }, getRequestOptions(stripeAccount));
 
     // Store in database (NO PII - only session_id and user reference)
-    createVerificationRecord(session.id, userReference, "document");
-
-    // Log for audit trail
-    logAuditEvent("session_created", session.id, {
-      user_reference: userReference,
-      ip: req.ip,
+    await storage.createVerificationRecord(session.id, userReference, verification.verificationType, {
+      tenantId: req.auth.tenantId,
+      policyName: verification.policyName,
+      stripeAccount,
+      actor: getActor(req.auth),
+      ipAddress: req.ip,
     });
 
-    log.info(`Verification session created: ${session.id}`);
+    log.info(`Verification session created: ${session.id}${stripeAccount ? ` on ${stripeAccount}` : ""}`);
 
     res.json({
       url: session.url,
       session_id: session.id,
+      verification_type: verification.verificationType,
+      stripe_account: stripeAccount,
     });
   } catch (err) {
+    if (err instanceof VerificationOptionsError || err instanceof TenantError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
     log.error(`Error creating verification session: ${err.message}`);
-    logAuditEvent("session_creation_failed", null, { error: err.message });
+    await storage.logAuditEvent("session_creation_failed", null, { error: err.message, actor: getActor(req.auth) }, req.ip, AUDIT_RESULTS.FAILURE);
     res.status(500).json({ error: err.message });
   }
 });
 
+// Live status stream (Server-Sent Events)
+// EventSource cannot set headers, so a JWT may also be passed as ?access_token=
+app.get("/verification-status/:sessionId/stream", allowQueryToken, authenticate, streamVerificationStatus);
+
 // Get verification status
-app.get("/verification-status/:sessionId", async (req, res) => {
+app.get("/verification-status/:sessionId", authenticate, async (req, res) => {
   try {
     const { sessionId } = req.params;
 
     // Get status from our database (no PII)
-    const record = getVerificationBySessionId(sessionId);
+    const record = await storage.getVerificationBySessionId(sessionId);
 
-    if (!record) {
+    // Sessions owned by someone else are reported as not found (no existence leak)
+    if (!record || !canAccessSession(req.auth, record)) {
       return res.status(404).json({ error: "Verification session not found" });
     }
 
-    // Optionally fetch latest status from Stripe
-    // (Useful if webhook delivery fails)
-    const stripeSession = await stripe.identity.verificationSessions.retrieve(sessionId);
+    // Refresh from Stripe only when the sync policy says the record is stale
+    // (falls back to the last known state if Stripe is unreachable)
+    const { record: current, stale } = await getSyncedVerification(getStripe(record.tenant_id), record);
+
+    res.json({
+      session_id: current.session_id,
+      status: current.status,
+      stripe_account: current.stripe_account,
+      created_at: current.created_at,
+      verified_at: current.verified_at,
+      last_synced_at: current.last_synced_at,
+      stale,
+      // Why the user must retry, with localized guidance for the frontend
+      last_error: current.error_code
+        ? {
+            code: current.error_code,
+            reason: current.error_reason,
+            guidance: getErrorGuidance(current.error_code, resolveLocale(req)),
+          }
+        : null,
+      // Status timeline and failed attempts on request: ?include=history
+      ...(req.query.include === "history" && {
+        history: await storage.getStatusHistory(sessionId),
+        errors: await storage.getVerificationErrors(sessionId),
+      }),
+      // DO NOT send PII from Stripe session - only the local, PII-free record
+    });
+  } catch (err) {
+    log.error(`Error fetching verification status: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List a user's verification sessions (paginated, newest first)
+app.get("/users/:userReference/verifications", authenticate, async (req, res) => {
+  try {
+    const { userReference } = req.params;
+
+    if (!canAccessUser(req.auth, userReference)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
 
-    // Update local status if different
-    if (stripeSession.status !== record.status) {
-      updateVerificationStatus(sessionId, stripeSession.status, "manual_sync");
-      log.debug(`Status synced for session ${sessionId}: ${stripeSession.status}`);
+    const stripeAccount = req.query.stripe_account ?? null;
+    if (stripeAccount !== null && !isConnectedAccountId(stripeAccount)) {
+      return res.status(400).json({ error: "stripe_account must be a Stripe account ID (acct_...)" });
     }
 
+    // Tenant callers only see their own tenant's sessions of the user
+    const filters = { tenantId: req.auth.tenantId, stripeAccount };
+    const verifications = await storage.getVerificationsByUser(userReference, { limit, offset, ...filters });
+    const total = await storage.countVerificationsByUser(userReference, filters);
+
     res.json({
-      session_id: record.session_id,
-      status: stripeSession.status,
-      created_at: record.created_at,
-      verified_at: record.verified_at,
-      // DO NOT send PII from Stripe session
-      // verified_data is available in stripeSession but we don't expose it
+      data: verifications,
+      total,
+      limit,
+      offset,
+      has_more: offset + verifications.length < total,
     });
   } catch (err) {
-    log.error(`Error fetching verification status: ${err.message}`);
+    log.error(`Error listing user verifications: ${err.message}`);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get statistics (for POC evaluation)
-app.get("/stats", (req, res) => {
+// ==================== VERIFICATION SESSION LIFECYCLE ====================
+
+// Load a session the caller may act on, or send 404
+async function findAccessibleSession(req, res) {
+  const record = await storage.getVerificationBySessionId(req.params.id);
+
+  if (!record || !canAccessSession(req.auth, record)) {
+    res.status(404).json({ error: "Verification session not found" });
+    return null;
+  }
+
+  return record;
+}
+
+// Stripe rejects lifecycle calls that are invalid for the session's current state
+function sendLifecycleError(res, action, err) {
+  if (err.type === "StripeInvalidRequestError") {
+    return res.status(409).json({ error: err.message });
+  }
+
+  log.error(`Error during verification session ${action}: ${err.message}`);
+  res.status(500).json({ error: err.message });
+}
+
+// Cancel a verification session
+app.post("/verification-sessions/:id/cancel", authenticate, async (req, res) => {
+  const record = await findAccessibleSession(req, res);
+  if (!record) return;
+
+  try {
+    const session = await getStripe(record.tenant_id).identity.verificationSessions.cancel(
+      record.session_id,
+      {},
+      getRequestOptions(record.stripe_account)
+    );
+
+    await storage.updateVerificationStatus(record.session_id, session.status, { source: TRANSITION_SOURCES.MANUAL });
+
+    await storage.logAuditEvent("session_canceled", record.session_id, {
+      previous_status: record.status,
+      actor: getActor(req.auth),
+    }, req.ip);
+
+    log.warn(`Verification session canceled: ${record.session_id}`);
+
+    res.json({ session_id: record.session_id, status: session.status });
+  } catch (err) {
+    sendLifecycleError(res, "cancel", err);
+  }
+});
+
+// Redact a verification session (Stripe deletes the collected personal data)
+app.post("/verification-sessions/:id/redact", authenticate, async (req, res) => {
+  const record = await findAccessibleSession(req, res);
+  if (!record) return;
+
+  try {
+    const session = await getStripe(record.tenant_id).identity.verificationSessions.redact(
+      record.session_id,
+      {},
+      getRequestOptions(record.stripe_account)
+    );
+
+    // Stripe redacts asynchronously: the redaction is usually still "processing" and the
+    // status becomes redacted with the identity.verification_session.redacted webhook
+    const redactionStatus = session.redaction?.status || null;
+    let status = record.status;
+
+    if (redactionStatus === "redacted" && record.status !== "redacted") {
+      status = (await storage.updateVerificationStatus(record.session_id, "redacted", { source: TRANSITION_SOURCES.MANUAL })).applied
+        ? "redacted"
+        : record.status;
+    }
+
+    await storage.logAuditEvent("session_redacted", record.session_id, {
+      previous_status: record.status,
+      redaction_status: redactionStatus,
+      actor: getActor(req.auth),
+    }, req.ip);
+
+    log.info(`Verification session redaction ${redactionStatus || "requested"}: ${record.session_id}`);
+
+    res.json({
+      session_id: record.session_id,
+      status,
+      redaction_status: redactionStatus,
+    });
+  } catch (err) {
+    sendLifecycleError(res, "redaction", err);
+  }
+});
+
+// Resume a session that requires input: return a fresh hosted verification URL
+app.post("/verification-sessions/:id/resume", authenticate, async (req, res) => {
+  const record = await findAccessibleSession(req, res);
+  if (!record) return;
+
+  try {
+    const session = await getStripe(record.tenant_id).identity.verificationSessions.retrieve(
+      record.session_id,
+      {},
+      getRequestOptions(record.stripe_account)
+    );
+
+    // Stripe only issues a URL while the session is waiting for the user
+    if (session.status !== "requires_input" || !session.url) {
+      return res.status(409).json({
+        error: `Verification session cannot be resumed in status ${session.status}`,
+        status: session.status,
+      });
+    }
+
+    if (session.status !== record.status) {
+      await storage.updateVerificationStatus(record.session_id, session.status, {
+        source: TRANSITION_SOURCES.SYNC,
+        errorCode: session.last_error?.code || null,
+        errorReason: session.last_error?.reason || null,
+      });
+    }
+
+    await storage.logAuditEvent("session_resumed", record.session_id, {
+      actor: getActor(req.auth),
+    }, req.ip);
+
+    log.info(`Verification session resumed: ${record.session_id}`);
+
+    res.json({ session_id: record.session_id, url: session.url, status: session.status });
+  } catch (err) {
+    sendLifecycleError(res, "resume", err);
+  }
+});
+
+// Tenant whose data a stats request covers: always the caller's own for tenant
+// callers; platform admins may pick one with ?tenant_id= (default: all tenants)
+function resolveStatsTenant(req) {
+  return req.auth.tenantId || req.query.tenant_id || null;
+}
+
+// Get statistics (for POC evaluation), optionally of one connected account (?stripe_account=)
+app.get("/stats", authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
   try {
-    const stats = getStatistics();
+    const stripeAccount = req.query.stripe_account ?? null;
+    if (stripeAccount !== null && !isConnectedAccountId(stripeAccount)) {
+      return res.status(400).json({ error: "stripe_account must be a Stripe account ID (acct_...)" });
+    }
+
+    const stats = await storage.getStatistics({ tenantId: resolveStatsTenant(req), stripeAccount });
     res.json(stats);
   } catch (err) {
     log.error(`Error fetching stats: ${err.message}`);
@@ -255,51 +623,838 @@ app.get("/stats", (req, res) => {
   }
 });
 
+// Verification funnel, time-to-verify and failure reasons per day/week/month
+app.get("/stats/timeseries", authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    res.json(await getTimeseries(parseTimeseriesQuery({ ...req.query, tenant_id: resolveStatsTenant(req) })));
+  } catch (err) {
+    if (err instanceof AnalyticsQueryError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    log.error(`Error fetching time series: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Audit log, newest first (?cursor= from next_cursor for the next page)
+app.get("/audit-log", authenticate, requireRole(ROLES.ADMIN), requirePlatformCaller, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+    res.json(await getAuditLogPage(parseAuditLogFilters(req.query), { limit, cursor: req.query.cursor }));
+  } catch (err) {
+    if (err instanceof AuditLogQueryError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    log.error(`Error querying audit log: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Stream the matching audit log as NDJSON or CSV (compliance requests, SIEM ingestion)
+app.get("/audit-log/export", authenticate, requireRole(ROLES.ADMIN), requirePlatformCaller, async (req, res) => {
+  const format = req.query.format || "ndjson";
+
+  try {
+    if (!AUDIT_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${AUDIT_EXPORT_FORMATS.join(", ")}` });
+    }
+
+    const filters = parseAuditLogFilters(req.query);
+
+    res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.${format}"`
+    );
+
+    const entries = await streamAuditLog(res, filters, format);
+
+    await storage.logAuditEvent("audit_log_exported", null, {
+      format,
+      filters,
+      entries,
+      actor: getActor(req.auth),
+    }, req.ip);
+    log.info(`Audit log exported (${entries} entries, ${format})`);
+  } catch (err) {
+    if (err instanceof AuditLogQueryError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    log.error(`Error exporting audit log: ${err.message}`);
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // GDPR: Delete user data (Right to Erasure - Article 17)
-app.delete("/user-data/:userReference", (req, res) => {
+app.delete("/user-data/:userReference", authenticate, requireRole(ROLES.ADMIN), requirePlatformCaller, async (req, res) => {
+  if (!isErasureHashKeyConfigured()) {
+    return res.status(503).json({ error: "Erasure unavailable: ERASURE_HASH_SECRET or PSEUDONYMIZATION_KEYS is not configured" });
+  }
+
   try {
     const { userReference } = req.params;
 
-    // Delete from our database
-    deleteUserData(userReference);
+    // Stripe redaction and the local purge run in the background (see erasure.js)
+    const { job, created } = await requestErasure(userReference, getActor(req.auth));
+
+    log.info(`GDPR erasure ${created ? "requested" : "already in progress"}: job ${job.id}`);
+
+    res.status(202).json({
+      job_id: job.id,
+      status: job.status,
+      status_url: `/admin/erasure-jobs/${job.id}`,
+    });
+  } catch (err) {
+    log.error(`Error requesting user data erasure: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Send a signed export document as a download
+function sendExportFile(res, file) {
+  res.set({
+    "Content-Type": file.content_type,
+    "Content-Disposition": `attachment; filename="${file.filename}"`,
+    "X-Export-Sha256": file.sha256,
+    "X-Export-Signature": file.signature,
+    "Cache-Control": "no-store",
+  });
+  res.send(file.content);
+}
+
+function sendExportError(res, err) {
+  if (err instanceof DataExportError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
+  log.error(`Error exporting user data: ${err.message}`);
+  res.status(500).json({ error: err.message });
+}
+
+// Exports of a tenant caller are scoped to the tenant; platform exports to platform callers
+function canAccessExport(auth, job) {
+  return canAccessUser(auth, job.user_reference) && (job.tenant_id || null) === (auth.tenantId || null);
+}
+
+// GDPR data subject access export (Article 15)
+app.get("/user-data/:userReference/export", authenticate, async (req, res) => {
+  try {
+    const { userReference } = req.params;
 
-    // Note: To be fully GDPR compliant, you should also:
-    // 1. Delete data from Stripe (if possible)
-    // 2. Log the deletion request
-    // 3. Notify the user
+    if (!canAccessUser(req.auth, userReference)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
 
-    logAuditEvent("gdpr_deletion", null, {
-      user_reference: userReference,
-      ip: req.ip,
+    const { file, job } = await requestExport(userReference, {
+      tenantId: req.auth.tenantId,
+      format: req.query.format || "json",
+      async: req.query.async === "true",
+      actor: getActor(req.auth),
     });
 
-    log.info(`User data deleted: ${userReference}`);
+    if (file) {
+      return sendExportFile(res, file);
+    }
 
-    res.json({ message: "User data deleted successfully" });
+    res.status(202).json({ ...toExportStatus(job), status_url: `/user-data/exports/${job.id}` });
   } catch (err) {
-    log.error(`Error deleting user data: ${err.message}`);
-    res.status(500).json({ error: err.message });
+    sendExportError(res, err);
   }
 });
 
-// Health check
-app.get("/health", (req, res) => {
-  res.json({ status: "ok", timestamp: new Date().toISOString() });
+// Status of a background export
+app.get("/user-data/exports/:exportId", authenticate, (req, res) => {
+  try {
+    const job = getDataExport(req.params.exportId);
+
+    if (!job || !canAccessExport(req.auth, job)) {
+      return res.status(404).json({ error: "Data export not found" });
+    }
+
+    res.json(toExportStatus(job));
+  } catch (err) {
+    sendExportError(res, err);
+  }
 });
 
-const PORT = process.env.PORT || 5000;
+// Download a finished export
+app.get("/user-data/exports/:exportId/download", authenticate, async (req, res) => {
+  try {
+    const job = getDataExport(req.params.exportId, { withContent: true });
 
-app.listen(PORT, () => {
-  log.success(`Backend running on http://localhost:${PORT}`);
-  log.info("Endpoints:");
-  log.info("   POST /create-session - Create verification session");
-  log.info("   POST /webhook - Stripe webhook (signature verified)");
-  log.info("   GET  /verification-status/:sessionId - Check status");
-  log.info("   GET  /stats - Get statistics");
-  log.info("   DELETE /user-data/:userReference - GDPR deletion");
-  log.info("   GET  /health - Health check");
+    if (!job || !canAccessExport(req.auth, job)) {
+      return res.status(404).json({ error: "Data export not found" });
+    }
 
-  if (DEBUG_MODE) {
-    log.debug("Debug mode enabled - verbose logging active");
+    if (job.status !== "ready") {
+      return res.status(409).json({ error: `Data export is ${job.status}`, status: job.status });
+    }
+
+    await storage.logAuditEvent("data_export_downloaded", null, {
+      user_reference: job.user_reference,
+      export_id: job.id,
+      actor: getActor(req.auth),
+    }, req.ip);
+
+    sendExportFile(res, job);
+  } catch (err) {
+    sendExportError(res, err);
+  }
+});
+
+// ==================== ADMIN ENDPOINTS ====================
+// Platform operations: tenant admins manage their own data through the scoped endpoints only
+app.use("/admin", authenticate, requireRole(ROLES.ADMIN), requirePlatformCaller);
+
+// Replay a stored webhook event through the normal handler path
+app.post("/admin/webhook-events/:eventId/replay", async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const stored = await storage.getWebhookEvent(eventId);
+
+    if (!stored) {
+      return res.status(404).json({ error: "Webhook event not found" });
+    }
+
+    const event = JSON.parse(stored.payload);
+
+    await storage.incrementWebhookReplayCount(eventId);
+    const outcome = await processWebhookEvent(event, { replay: true, tenantId: stored.tenant_id });
+
+    await storage.logAuditEvent("webhook_replayed", stored.session_id, {
+      event_type: stored.event_type,
+      event_id: eventId,
+      outcome,
+      actor: getActor(req.auth),
+    }, req.ip);
+
+    log.info(`Webhook event replayed: ${eventId} (${outcome})`);
+
+    res.json({ event_id: eventId, outcome });
+  } catch (err) {
+    log.error(`Error replaying webhook event: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List events that exhausted their processing retries
+app.get("/admin/dead-letters", (req, res) => {
+  try {
+    res.json({ dead_letters: listDeadLetters() });
+  } catch (err) {
+    log.error(`Error listing dead letters: ${err.message}`);
+    res.status(500).json({ error: err.message });
   }
 });
+
+// Put a dead-lettered event back on the processing queue
+app.post("/admin/dead-letters/:id/retry", async (req, res) => {
+  try {
+    const deadLetter = requeueDeadLetter(Number(req.params.id));
+
+    if (!deadLetter) {
+      return res.status(404).json({ error: "Dead letter not found" });
+    }
+
+    await storage.logAuditEvent("dead_letter_retried", null, {
+      event_id: deadLetter.event_id,
+      event_type: deadLetter.event_type,
+      actor: getActor(req.auth),
+    }, req.ip);
+
+    log.info(`Dead-lettered event requeued: ${deadLetter.event_id}`);
+
+    res.json({ event_id: deadLetter.event_id, status: "queued" });
+  } catch (err) {
+    log.error(`Error retrying dead letter: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Discard a dead-lettered event for good
+app.delete("/admin/dead-letters/:id", async (req, res) => {
+  try {
+    const deadLetter = discardDeadLetter(Number(req.params.id));
+
+    if (!deadLetter) {
+      return res.status(404).json({ error: "Dead letter not found" });
+    }
+
+    // Not processed even if Stripe resends it
+    await storage.markWebhookEventOutcome(deadLetter.event_id, "discarded", deadLetter.last_error);
+    await storage.logAuditEvent("dead_letter_discarded", null, {
+      event_id: deadLetter.event_id,
+      event_type: deadLetter.event_type,
+      actor: getActor(req.auth),
+    }, req.ip);
+
+    log.warn(`Dead-lettered event discarded: ${deadLetter.event_id}`);
+
+    res.json({ event_id: deadLetter.event_id, status: "discarded" });
+  } catch (err) {
+    log.error(`Error discarding dead letter: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List verification policies (with the tenants allowed to use them)
+app.get("/admin/verification-policies", (req, res) => {
+  try {
+    res.json({ policies: listVerificationPolicies() });
+  } catch (err) {
+    log.error(`Error listing verification policies: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create or replace a verification policy
+app.put("/admin/verification-policies/:name", async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { verification_type, options = {}, description = null } = req.body;
+
+    const policy = upsertVerificationPolicy(name, {
+      verification_type,
+      options: normalizeOptions(verification_type, options),
+      description,
+    });
+
+    await storage.logAuditEvent("verification_policy_saved", null, {
+      name,
+      verification_type,
+      options: policy.options,
+      actor: getActor(req.auth),
+    }, req.ip);
+
+    log.info(`Verification policy saved: ${name}`);
+
+    res.json(policy);
+  } catch (err) {
+    if (err instanceof VerificationOptionsError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    log.error(`Error saving verification policy: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a verification policy
+app.delete("/admin/verification-policies/:name", async (req, res) => {
+  try {
+    if (!deleteVerificationPolicy(req.params.name)) {
+      return res.status(404).json({ error: "Verification policy not found" });
+    }
+
+    await storage.logAuditEvent("verification_policy_deleted", null, {
+      name: req.params.name,
+      actor: getActor(req.auth),
+    }, req.ip);
+
+    log.info(`Verification policy deleted: ${req.params.name}`);
+
+    res.json({ message: "Verification policy deleted" });
+  } catch (err) {
+    log.error(`Error deleting verification policy: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== TENANTS ====================
+
+function sendTenantError(res, action, err) {
+  if (err instanceof TenantError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
+  log.error(`Error ${action} tenant: ${err.message}`);
+  res.status(500).json({ error: err.message });
+}
+
+// Register a brand with its own Stripe account (secrets are encrypted, never returned)
+app.post("/admin/tenants", async (req, res) => {
+  try {
+    const tenant = await registerTenant(req.body || {}, getActor(req.auth));
+
+    log.info(`Tenant created: ${tenant.tenant_id}`);
+
+    res.status(201).json(tenant);
+  } catch (err) {
+    sendTenantError(res, "creating", err);
+  }
+});
+
+// List tenants (?status=active|disabled)
+app.get("/admin/tenants", (req, res) => {
+  try {
+    res.json({ tenants: listTenants({ status: req.query.status || null }).map(toTenantView) });
+  } catch (err) {
+    sendTenantError(res, "listing", err);
+  }
+});
+
+// Get a tenant
+app.get("/admin/tenants/:tenantId", (req, res) => {
+  try {
+    const tenant = getTenant(req.params.tenantId);
+
+    if (!tenant) {
+      return res.status(404).json({ error: "Tenant not found" });
+    }
+
+    res.json(toTenantView(tenant));
+  } catch (err) {
+    sendTenantError(res, "fetching", err);
+  }
+});
+
+// Change a tenant: rotate keys, return URL, allowed types, disable (null clears a field)
+app.patch("/admin/tenants/:tenantId", async (req, res) => {
+  try {
+    const tenant = await changeTenant(req.params.tenantId, req.body || {}, getActor(req.auth));
+
+    if (!tenant) {
+      return res.status(404).json({ error: "Tenant not found" });
+    }
+
+    log.info(`Tenant updated: ${tenant.tenant_id}`);
+
+    res.json(tenant);
+  } catch (err) {
+    sendTenantError(res, "updating", err);
+  }
+});
+
+// Allow a tenant to use a verification policy
+app.put("/admin/tenants/:tenantId/verification-policies/:name", async (req, res) => {
+  try {
+    const { tenantId, name } = req.params;
+
+    if (!getVerificationPolicy(name)) {
+      return res.status(404).json({ error: "Verification policy not found" });
+    }
+
+    allowTenantPolicy(tenantId, name);
+
+    await storage.logAuditEvent("tenant_policy_allowed", null, {
+      tenant_id: tenantId,
+      policy_name: name,
+      actor: getActor(req.auth),
+    }, req.ip);
+
+    res.json({ tenant_id: tenantId, policy: name, allowed: true });
+  } catch (err) {
+    log.error(`Error allowing tenant policy: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revoke a tenant's permission to use a verification policy
+app.delete("/admin/tenants/:tenantId/verification-policies/:name", async (req, res) => {
+  try {
+    const { tenantId, name } = req.params;
+
+    if (!disallowTenantPolicy(tenantId, name)) {
+      return res.status(404).json({ error: "Tenant policy grant not found" });
+    }
+
+    await storage.logAuditEvent("tenant_policy_disallowed", null, {
+      tenant_id: tenantId,
+      policy_name: name,
+      actor: getActor(req.auth),
+    }, req.ip);
+
+    res.json({ tenant_id: tenantId, policy: name, allowed: false });
+  } catch (err) {
+    log.error(`Error revoking tenant policy: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==================== OUTBOUND WEBHOOK SUBSCRIPTIONS ====================
+
+const OUTBOUND_EVENT_TYPES = STATUSES.map((status) => `verification_session.${status}`);
+
+// Subscribe one of our services to verification status events
+app.post("/admin/webhook-subscriptions", async (req, res) => {
+  try {
+    const { url, events = ["*"], description = null } = req.body;
+
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch {
+      return res.status(400).json({ error: "url must be an absolute http(s) URL" });
+    }
+    if (!["http:", "https:"].includes(parsedUrl.protocol)) {
+      return res.status(400).json({ error: "url must be an absolute http(s) URL" });
+    }
+
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      events.some((type) => type !== "*" && !OUTBOUND_EVENT_TYPES.includes(type))
+    ) {
+      return res.status(400).json({
+        error: `events must be a non-empty list of "*" or ${OUTBOUND_EVENT_TYPES.join(", ")}`,
+      });
+    }
+
+    const subscription = createWebhookSubscription({ url: parsedUrl.toString(), events, description });
+
+    await storage.logAuditEvent("webhook_subscription_created", null, {
+      subscription_id: subscription.id,
+      url: subscription.url,
+      events,
+      actor: getActor(req.auth),
+    }, req.ip);
+
+    log.info(`Webhook subscription created: ${subscription.id} -> ${subscription.url}`);
+
+    // The signing secret is only returned once
+    res.status(201).json(subscription);
+  } catch (err) {
+    log.error(`Error creating webhook subscription: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List subscriptions (without secrets)
+app.get("/admin/webhook-subscriptions", (req, res) => {
+  try {
+    res.json({ subscriptions: listWebhookSubscriptions() });
+  } catch (err) {
+    log.error(`Error listing webhook subscriptions: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Deactivate a subscription
+app.delete("/admin/webhook-subscriptions/:id", async (req, res) => {
+  try {
+    if (!deactivateWebhookSubscription(req.params.id)) {
+      return res.status(404).json({ error: "Active webhook subscription not found" });
+    }
+
+    await storage.logAuditEvent("webhook_subscription_deactivated", null, {
+      subscription_id: req.params.id,
+      actor: getActor(req.auth),
+    }, req.ip);
+
+    log.info(`Webhook subscription deactivated: ${req.params.id}`);
+
+    res.json({ id: req.params.id, active: false });
+  } catch (err) {
+    log.error(`Error deactivating webhook subscription: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delivery log of a subscription (with every attempt)
+app.get("/admin/webhook-subscriptions/:id/deliveries", (req, res) => {
+  try {
+    if (!getWebhookSubscription(req.params.id)) {
+      return res.status(404).json({ error: "Webhook subscription not found" });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    res.json({ deliveries: listOutboundDeliveries(req.params.id, limit) });
+  } catch (err) {
+    log.error(`Error listing outbound deliveries: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Send a delivery again (e.g. after the subscriber fixed an outage)
+app.post("/admin/outbound-deliveries/:id/redeliver", async (req, res) => {
+  try {
+    const deliveryId = Number(req.params.id);
+
+    if (!requeueOutboundDelivery(deliveryId)) {
+      return res.status(404).json({ error: "Outbound delivery not found or currently being delivered" });
+    }
+
+    await storage.logAuditEvent("outbound_webhook_redelivered", null, {
+      delivery_id: deliveryId,
+      actor: getActor(req.auth),
+    }, req.ip);
+
+    res.json({ id: deliveryId, status: "pending" });
+  } catch (err) {
+    log.error(`Error redelivering outbound webhook: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reconcile with Stripe now (dry_run only reports drift)
+app.post("/admin/reconciliation/runs", async (req, res) => {
+  try {
+    const since = parseSince(req.body?.since);
+
+    if (req.body?.since !== undefined && since === null) {
+      return res.status(400).json({ error: "since must be an ISO date or unix timestamp" });
+    }
+
+    const report = await runReconciliation({ trigger: "admin", dryRun: req.body?.dry_run === true, since });
+
+    await storage.logAuditEvent("reconciliation_triggered", null, {
+      run_id: report.id,
+      actor: getActor(req.auth),
+    }, req.ip);
+
+    res.status(report.status === "failed" ? 502 : 200).json(report);
+  } catch (err) {
+    if (err instanceof ReconciliationInProgressError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    log.error(`Error running reconciliation: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Recent reconciliation runs
+app.get("/admin/reconciliation/runs", (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    res.json({ runs: listReconciliationRuns(limit) });
+  } catch (err) {
+    log.error(`Error listing reconciliation runs: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reconciliation report: run totals and every finding
+app.get("/admin/reconciliation/runs/:id", (req, res) => {
+  try {
+    const report = getReconciliationRun(Number(req.params.id));
+
+    if (!report) {
+      return res.status(404).json({ error: "Reconciliation run not found" });
+    }
+
+    res.json(report);
+  } catch (err) {
+    log.error(`Error fetching reconciliation run: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Erasure jobs, or the tombstones of one user (?user_reference= is hashed, never stored)
+app.get("/admin/erasure-jobs", (req, res) => {
+  if (req.query.user_reference && !isErasureHashKeyConfigured()) {
+    return res.status(503).json({ error: "Erasure unavailable: ERASURE_HASH_SECRET or PSEUDONYMIZATION_KEYS is not configured" });
+  }
+
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const subjectHash = req.query.user_reference ? hashUserReference(req.query.user_reference) : null;
+
+    res.json({ jobs: listErasureJobs({ subjectHash, limit }) });
+  } catch (err) {
+    log.error(`Error listing erasure jobs: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Status of an erasure job, with its receipt
+app.get("/admin/erasure-jobs/:id", (req, res) => {
+  try {
+    const job = getErasureJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: "Erasure job not found" });
+    }
+
+    res.json({ ...job, receipt: toErasureReceipt(job) });
+  } catch (err) {
+    log.error(`Error fetching erasure job: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Retry a failed erasure job (remaining Stripe redactions and the local purge)
+app.post("/admin/erasure-jobs/:id/retry", async (req, res) => {
+  try {
+    if (!requeueErasureJob(req.params.id)) {
+      return res.status(404).json({ error: "Failed erasure job not found" });
+    }
+
+    await storage.logAuditEvent("erasure_retried", null, {
+      job_id: req.params.id,
+      actor: getActor(req.auth),
+    }, req.ip);
+
+    drainErasureJobs();
+
+    res.json({ job_id: req.params.id, status: "pending" });
+  } catch (err) {
+    log.error(`Error retrying erasure job: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Loaded retention rules (and rules rejected as invalid)
+app.get("/admin/retention/policy", (req, res) => {
+  res.json(loadRetentionPolicy());
+});
+
+// Dry run: what the next retention run would delete or anonymize
+app.get("/admin/retention/preview", async (req, res) => {
+  try {
+    res.json(await runRetention({ trigger: "admin", dryRun: true }));
+  } catch (err) {
+    log.error(`Error previewing retention: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Apply the retention rules now
+app.post("/admin/retention/runs", async (req, res) => {
+  try {
+    const run = await runRetention({ trigger: "admin" });
+
+    await storage.logAuditEvent("retention_triggered", null, {
+      run_id: run.id,
+      actor: getActor(req.auth),
+    }, req.ip);
+
+    res.json(run);
+  } catch (err) {
+    log.error(`Error running retention: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Log of past retention runs
+app.get("/admin/retention/runs", (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    res.json({ runs: listRetentionRuns(limit) });
+  } catch (err) {
+    log.error(`Error listing retention runs: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Walk the audit log hash chain and report the first broken link
+app.get("/admin/audit-log/verify", async (req, res) => {
+  try {
+    const result = await storage.verifyAuditChain();
+
+    if (!result.valid) {
+      log.error(`Audit log chain broken at entry #${result.broken_at.id} (${result.broken_at.reason})`);
+    }
+
+    res.json(result);
+  } catch (err) {
+    log.error(`Error verifying audit log: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Prometheus metrics (METRICS_TOKEN bearer token or admin)
+app.get("/metrics", authorizeMetrics, async (req, res) => {
+  try {
+    res.type("text/plain; version=0.0.4").send(await renderMetrics());
+  } catch (err) {
+    log.error(`Error rendering metrics: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Liveness: the process is up (no dependency checks)
+app.get(["/health", "/health/live"], (req, res) => {
+  res.json(getLiveness());
+});
+
+// Readiness: database, Stripe configuration and webhook processing (503 when degraded)
+app.get("/health/ready", async (req, res) => {
+  const readiness = await getReadiness();
+  res.status(readiness.status === HEALTH_STATUSES.OK ? 200 : 503).json(readiness);
+});
+
+const PORT = process.env.PORT || 5000;
+
+const server = app.listen(PORT, () => {
+  log.success(`Backend running on http://localhost:${PORT}`);
+
+  // Process queued webhook events in the background
+  startWebhookWorker();
+
+  // Notify subscribed services of status changes
+  startOutboundWebhooks();
+
+  // Complete GDPR erasure jobs (Stripe redaction + local purge)
+  startErasureWorker();
+
+  // Generate queued GDPR data exports
+  startDataExportWorker();
+
+  // Purge or anonymize data past its retention period
+  startRetentionSchedule();
+
+  // Catch missed webhooks by comparing with Stripe periodically
+  startReconciliationSchedule();
+
+  log.info("Endpoints:");
+  log.info("   POST /create-session - Create verification session");
+  log.info("   POST /webhook - Stripe webhook (signature verified)");
+  log.info("   POST /webhook/:tenantId - Stripe webhook of a tenant's account");
+  log.info("   GET  /verification-status/:sessionId - Check status");
+  log.info("   GET  /verification-status/:sessionId/stream - Live status (SSE)");
+  log.info("   GET  /users/:userReference/verifications - List user's sessions");
+  log.info("   POST /verification-sessions/:id/cancel - Cancel session");
+  log.info("   POST /verification-sessions/:id/redact - Redact session");
+  log.info("   POST /verification-sessions/:id/resume - Resume session (new URL)");
+  log.info("   GET  /stats - Get statistics");
+  log.info("   GET  /stats/timeseries - Funnel, time-to-verify and failure reasons over time");
+  log.info("   GET  /audit-log[/export] - Query audit log / stream as NDJSON or CSV");
+  log.info("   DELETE /user-data/:userReference - GDPR erasure (async job)");
+  log.info("   GET  /user-data/:userReference/export - GDPR data export (JSON or CSV zip)");
+  log.info("   GET  /user-data/exports/:id[/download] - Export status and download");
+  log.info("   POST /admin/webhook-events/:eventId/replay - Replay webhook event");
+  log.info("   GET  /admin/dead-letters - List dead-lettered webhook events");
+  log.info("   POST /admin/dead-letters/:id/retry - Requeue dead-lettered event");
+  log.info("   DELETE /admin/dead-letters/:id - Discard dead-lettered event");
+  log.info("   GET/PUT/DELETE /admin/verification-policies[/:name] - Manage verification policies");
+  log.info("   GET/POST/DELETE /admin/webhook-subscriptions[/:id] - Manage outbound webhooks");
+  log.info("   GET  /admin/webhook-subscriptions/:id/deliveries - Outbound delivery log");
+  log.info("   POST /admin/outbound-deliveries/:id/redeliver - Redeliver outbound webhook");
+  log.info("   GET  /admin/erasure-jobs[/:id] - Erasure job status and receipts");
+  log.info("   POST /admin/erasure-jobs/:id/retry - Retry failed erasure job");
+  log.info("   GET  /admin/retention/policy - Loaded retention rules");
+  log.info("   GET  /admin/retention/preview - Retention dry run");
+  log.info("   GET/POST /admin/retention/runs - Retention run log / run now");
+  log.info("   GET  /admin/audit-log/verify - Verify audit log hash chain");
+  log.info("   POST /admin/reconciliation/runs - Reconcile with Stripe now");
+  log.info("   GET  /admin/reconciliation/runs[/:id] - Reconciliation reports");
+  log.info("   GET/POST/PATCH /admin/tenants[/:tenantId] - Manage tenants (own Stripe accounts)");
+  log.info("   PUT/DELETE /admin/tenants/:tenantId/verification-policies/:name - Tenant policy grants");
+  log.info("   GET  /metrics - Prometheus metrics");
+  log.info("   GET  /health[/live] - Liveness check");
+  log.info("   GET  /health/ready - Readiness check (503 when degraded)");
+
+  if (process.env.WEBSOCKET_ENABLED === "true") {
+    log.info("   WS   /ws/verification-status/:sessionId - Live status (WebSocket)");
+  }
+
+  if (isDebugMode()) {
+    log.debug("Debug mode enabled - verbose logging active");
+  }
+});
+
+// Optional WebSocket alternative to the SSE stream
+if (process.env.WEBSOCKET_ENABLED === "true") {
+  attachStatusWebSocket(server);
+}
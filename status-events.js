@@ -0,0 +1,19 @@
+import { EventEmitter } from "events";
+
+// ==================== STATUS CHANGE EVENTS ====================
+// In-process notifications of applied verification status transitions.
+// updateVerificationStatus emits "transition" after the change is committed:
+//
+//   {
+//     history_id, session_id, user_reference, status, previous_status, source,
+//     created_at, updated_at, verified_at, occurred_at
+//   }
+//
+// Listeners run synchronously inside the status update - they must be quick
+// and must not throw (persist work and process it asynchronously instead).
+
+// Subscribers register once per subsystem, not per session or connection
+// (live-status.js fans transitions out to its streams itself)
+export const statusEvents = new EventEmitter();
+
+export default statusEvents;
@@ -0,0 +1,108 @@
+import { getStorage } from "./storage.js";
+import { log } from "./logger.js";
+import { getRequestOptions } from "./stripe-client.js";
+import { TRANSITION_SOURCES, TERMINAL_STATUSES } from "./verification-state.js";
+
+// ==================== STATUS SYNC POLICY ====================
+// Decides when a status read refreshes the session from the Stripe API instead
+// of answering from storage (which webhooks keep up to date):
+//
+//   ttl    (default) refresh non-terminal sessions not confirmed for STATUS_SYNC_TTL_SECONDS
+//   always refresh on every read
+//   never  serve from storage only, rely on webhooks
+//
+// Concurrent refreshes of the same session share one Stripe request. When Stripe
+// fails the last known state is returned, flagged as stale.
+
+const SYNC_POLICIES = ["ttl", "always", "never"];
+
+// Read lazily so values from .env (loaded after imports) are honoured
+const getTtlSeconds = () => Number(process.env.STATUS_SYNC_TTL_SECONDS) || 30;
+
+function getSyncPolicy() {
+  const policy = (process.env.STATUS_SYNC_POLICY || "ttl").toLowerCase();
+  return SYNC_POLICIES.includes(policy) ? policy : "ttl";
+}
+
+// Session ID -> pending refresh promise
+const inFlight = new Map();
+
+// Stored timestamps are UTC without a zone designator
+function parseTimestamp(value) {
+  return value ? Date.parse(`${value.replace(" ", "T")}Z`) : 0;
+}
+
+/**
+ * Whether a read of this record should refresh it from Stripe
+ * A webhook-driven update counts as fresh as an API sync.
+ * @param {object} record - Row from getVerificationBySessionId
+ * @returns {boolean} True if Stripe should be asked
+ */
+export function needsSync(record) {
+  const policy = getSyncPolicy();
+
+  if (policy === "always") return true;
+  if (policy === "never") return false;
+  if (TERMINAL_STATUSES.includes(record.status)) return false;
+
+  const freshAt = Math.max(parseTimestamp(record.last_synced_at), parseTimestamp(record.updated_at));
+  return Date.now() - freshAt >= getTtlSeconds() * 1000;
+}
+
+async function refreshFromStripe(stripe, record) {
+  const storage = await getStorage();
+  const sessionId = record.session_id;
+  // verified_data is available in stripeSession but is never stored or returned
+  const stripeSession = await stripe.identity.verificationSessions.retrieve(
+    sessionId,
+    {},
+    getRequestOptions(record.stripe_account)
+  );
+
+  // Update local status if different (validated by the state machine)
+  if (stripeSession.status !== record.status) {
+    const transition = await storage.updateVerificationStatus(sessionId, stripeSession.status, {
+      source: TRANSITION_SOURCES.SYNC,
+      errorCode: stripeSession.last_error?.code || null,
+      errorReason: stripeSession.last_error?.reason || null,
+    });
+    log.debug(`Status synced for session ${sessionId}: ${record.status} -> ${stripeSession.status} (applied: ${transition.applied})`);
+  }
+
+  await storage.markVerificationSynced(sessionId);
+  return storage.getVerificationBySessionId(sessionId);
+}
+
+/**
+ * Get a session's status according to the sync policy
+ * @param {Stripe} stripe - Stripe client
+ * @param {object} record - Row from getVerificationBySessionId
+ * @returns {Promise<object>} { record, stale, synced } - stale is true when Stripe could not be reached
+ */
+export async function getSyncedVerification(stripe, record) {
+  if (!needsSync(record)) {
+    return { record, stale: false, synced: false };
+  }
+
+  const sessionId = record.session_id;
+  let refresh = inFlight.get(sessionId);
+
+  if (!refresh) {
+    refresh = refreshFromStripe(stripe, record)
+      .catch((err) => {
+        log.warn(`Stripe sync failed for session ${sessionId}, serving last known status: ${err.message}`);
+        throw err;
+      })
+      .finally(() => inFlight.delete(sessionId));
+    inFlight.set(sessionId, refresh);
+  } else {
+    log.debug(`Joining in-flight Stripe sync for session ${sessionId}`);
+  }
+
+  try {
+    return { record: await refresh, stale: false, synced: true };
+  } catch {
+    const storage = await getStorage();
+    return { record: (await storage.getVerificationBySessionId(sessionId)) || record, stale: true, synced: false };
+  }
+}
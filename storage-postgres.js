@@ -0,0 +1,1066 @@
+import crypto from "crypto";
+import pg from "pg";
+import { StorageError } from "./storage.js";
+import { isValidStatus, isLegalTransition, getStateMachineMode } from "./verification-state.js";
+import { statusEvents } from "./status-events.js";
+import { log } from "./logger.js";
+import { enqueueStatusChangeEvent } from "./database.js";
+import {
+  GENESIS_HASH,
+  AUDIT_RESULTS,
+  AUDIT_REDACTION_EVENT,
+  AUDIT_REDACTION_BATCH,
+  getAuditHashAlgorithm,
+  computeContentHash,
+  computeEntryHash,
+  checkAuditEntry,
+  toRedactionMark,
+} from "./audit-chain.js";
+import {
+  pseudonymizeUserReference,
+  pseudonymizeIp,
+  userReferenceCandidates,
+  getPseudonymizationKeys,
+  getPseudonymVersion,
+} from "./pseudonymize.js";
+
+// ==================== POSTGRESQL STORAGE ====================
+// PostgreSQL backend of the storage interface (see storage.js), for running
+// several server instances against one database. Connects to DATABASE_URL
+// with a pool of DATABASE_POOL_SIZE connections (default 10).
+//
+// Results match the SQLite backend: timestamps are "YYYY-MM-DD HH:MM:SS" UTC
+// strings and counters/IDs are numbers. Audit metadata stays TEXT (not JSONB)
+// so the hashed content is stored byte for byte. Audit appends lock the table
+// so concurrent instances cannot fork the hash chain.
+//
+// The schema is versioned like the SQLite one (schema_migrations) and brought
+// up to date when the storage is opened; concurrent instances wait for each
+// other on an advisory lock.
+//
+// Queues, tenants, erasure jobs and exports stay in each instance's SQLite
+// database. An applied transition therefore queues its outbound webhook right
+// after the commit rather than inside it: a crash in between loses that one
+// delivery (the session status itself is safe).
+
+const { types } = pg;
+
+// Stored timestamps are UTC without a zone; rounded to whole seconds like SQLite's datetime('now')
+const UTC_NOW = "(now() AT TIME ZONE 'UTC')";
+
+// pg_advisory_xact_lock key held while migrating ("idv-migrate")
+const MIGRATION_LOCK_ID = 0x6964766d;
+
+const AUDIT_BATCH_SIZE = 1000;
+
+// Audit entries with something left to redact
+const AUDIT_HAS_CONTENT = "(session_id IS NOT NULL OR metadata IS NOT NULL OR ip_address IS NOT NULL)";
+
+// Storage tables retention rules may target (see database.js RETENTION_TABLES)
+const RETENTION_TABLES = {
+  verification_sessions: { age: "updated_at", status: "status", key: "session_id" },
+  audit_log: { age: "timestamp", status: "event_type", key: "id", guard: AUDIT_HAS_CONTENT },
+  // Received or failed events may still be queued for (re)processing
+  processed_webhook_events: { age: "received_at", status: "outcome", key: "event_id", guard: "outcome NOT IN ('received', 'failed')" },
+};
+
+const RETENTION_ROLLBACK = Symbol("retention dry run");
+
+// Start of the bucket a session belongs to (by created_at, UTC); weeks start on Monday
+const TIMESERIES_BUCKETS = {
+  day: "to_char(s.created_at, 'YYYY-MM-DD')",
+  week: "to_char(date_trunc('week', s.created_at), 'YYYY-MM-DD')",
+  month: "to_char(s.created_at, 'YYYY-MM-01')",
+};
+
+// Outcomes after which Stripe's retries of an event are acknowledged without processing
+const FINAL_EVENT_OUTCOMES = ["processed", "unhandled", "ignored_out_of_order", "rejected_transition", "discarded"];
+
+const POSTGRES_MIGRATIONS = [
+  {
+    version: 1,
+    name: "storage-tables",
+    sql: `
+      CREATE TABLE verification_sessions (
+        id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+        session_id TEXT UNIQUE NOT NULL,
+        -- Keyed pseudonym of the caller's user reference (see pseudonymize.js) - NO PII
+        user_reference TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'created',
+        verification_type TEXT NOT NULL,
+        created_at TIMESTAMP(0) NOT NULL DEFAULT ${UTC_NOW},
+        updated_at TIMESTAMP(0) NOT NULL DEFAULT ${UTC_NOW},
+        verified_at TIMESTAMP(0),
+        last_event_id TEXT,
+        last_event_created BIGINT,
+        error_code TEXT,
+        error_reason TEXT,
+        last_synced_at TIMESTAMP(0),
+        tenant_id TEXT,
+        verification_policy TEXT,
+        stripe_account TEXT
+      );
+
+      CREATE INDEX idx_user_reference ON verification_sessions(user_reference);
+      CREATE INDEX idx_status ON verification_sessions(status);
+      CREATE INDEX idx_created_at ON verification_sessions(created_at);
+      CREATE INDEX idx_sessions_type_created ON verification_sessions(verification_type, created_at);
+      CREATE INDEX idx_sessions_tenant_created ON verification_sessions(tenant_id, created_at);
+      CREATE INDEX idx_sessions_account_created ON verification_sessions(stripe_account, created_at);
+
+      CREATE TABLE verification_status_history (
+        id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        source TEXT NOT NULL,
+        event_id TEXT,
+        error_code TEXT,
+        legal BOOLEAN NOT NULL DEFAULT TRUE,
+        applied BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP(0) NOT NULL DEFAULT ${UTC_NOW}
+      );
+
+      CREATE INDEX idx_status_history_session ON verification_status_history(session_id);
+      CREATE INDEX idx_status_history_session_status_applied
+        ON verification_status_history(session_id, to_status, applied);
+
+      CREATE TABLE verification_errors (
+        id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        event_id TEXT,
+        source TEXT NOT NULL,
+        error_code TEXT NOT NULL,
+        error_reason TEXT,
+        occurred_at TIMESTAMP(0) NOT NULL DEFAULT ${UTC_NOW}
+      );
+
+      CREATE INDEX idx_verification_errors_session ON verification_errors(session_id);
+      CREATE INDEX idx_verification_errors_code ON verification_errors(error_code);
+
+      -- Hash-chained like the SQLite audit log (see audit-chain.js)
+      CREATE TABLE audit_log (
+        id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+        event_type TEXT NOT NULL,
+        session_id TEXT,
+        timestamp TIMESTAMP(0) NOT NULL DEFAULT ${UTC_NOW},
+        metadata TEXT,
+        ip_address TEXT,
+        result TEXT,
+        prev_hash TEXT,
+        content_hash TEXT,
+        entry_hash TEXT,
+        hash_alg TEXT,
+        redacted_at TIMESTAMP(0),
+        redaction_reason TEXT,
+        redacted_hash TEXT
+      );
+
+      CREATE INDEX idx_audit_timestamp ON audit_log(timestamp);
+      CREATE INDEX idx_audit_session ON audit_log(session_id);
+      CREATE INDEX idx_audit_event_type ON audit_log(event_type);
+
+      CREATE TABLE processed_webhook_events (
+        event_id TEXT PRIMARY KEY,
+        event_type TEXT NOT NULL,
+        session_id TEXT,
+        stripe_created BIGINT NOT NULL,
+        received_at TIMESTAMP(0) NOT NULL DEFAULT ${UTC_NOW},
+        processed_at TIMESTAMP(0),
+        outcome TEXT NOT NULL DEFAULT 'received',
+        error TEXT,
+        payload_hash TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        replay_count INTEGER NOT NULL DEFAULT 0,
+        tenant_id TEXT,
+        stripe_account TEXT
+      );
+
+      CREATE INDEX idx_webhook_events_session ON processed_webhook_events(session_id);
+    `,
+  },
+];
+
+// audit_log.timestamp format (UTC)
+const auditTimestamp = () => new Date().toISOString().replace("T", " ").slice(0, 19);
+
+// Timestamps as stored (like SQLite's TEXT dates), BIGINT (IDs, counts) as numbers
+const TYPE_PARSERS = {
+  getTypeParser(oid, format) {
+    if (oid === types.builtins.TIMESTAMP) {
+      return (value) => value;
+    }
+    if (oid === types.builtins.INT8) {
+      return Number;
+    }
+    return types.getTypeParser(oid, format);
+  },
+};
+
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function migrate(pool) {
+  await withTransaction(pool, async (client) => {
+    await client.query("SELECT pg_advisory_xact_lock($1)", [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMP(0) NOT NULL DEFAULT ${UTC_NOW}
+      )
+    `);
+
+    const applied = new Set((await client.query("SELECT version FROM schema_migrations")).rows.map((row) => row.version));
+
+    for (const migration of POSTGRES_MIGRATIONS.filter((m) => !applied.has(m.version))) {
+      await client.query(migration.sql);
+      await client.query("INSERT INTO schema_migrations (version, name) VALUES ($1, $2)", [migration.version, migration.name]);
+      log.info(`Applied PostgreSQL migration ${String(migration.version).padStart(3, "0")} ${migration.name}`);
+    }
+  });
+}
+
+/**
+ * Open the PostgreSQL storage (schema brought up to date)
+ * @param {object} options - { connectionString (default: DATABASE_URL), poolSize (default: DATABASE_POOL_SIZE or 10) }
+ * @returns {Promise<object>} Storage (see storage.js)
+ */
+export async function createPostgresStorage({ connectionString = process.env.DATABASE_URL, poolSize } = {}) {
+  if (!connectionString) {
+    throw new StorageError("DATABASE_URL is required for the postgres storage backend");
+  }
+
+  const pool = new pg.Pool({
+    connectionString,
+    max: poolSize || Number(process.env.DATABASE_POOL_SIZE) || 10,
+    types: TYPE_PARSERS,
+  });
+
+  // An idle connection dropped by the server must not crash the process
+  pool.on("error", (err) => log.error(`PostgreSQL connection error: ${err.message}`));
+
+  try {
+    await migrate(pool);
+  } catch (err) {
+    await pool.end();
+    throw err;
+  }
+
+  const query = async (text, params) => (await pool.query(text, params)).rows;
+  const queryOne = async (text, params) => (await pool.query(text, params)).rows[0];
+
+  // ==================== SESSIONS ====================
+
+  async function createVerificationRecord(sessionId, rawUserReference, verificationType, context = {}) {
+    const { tenantId = null, policyName = null, stripeAccount = null, actor = null, ipAddress = null } = context;
+    const userReference = pseudonymizeUserReference(rawUserReference);
+
+    const { id } = await queryOne(
+      `
+        INSERT INTO verification_sessions
+          (session_id, user_reference, verification_type, status, tenant_id, verification_policy, stripe_account)
+        VALUES ($1, $2, $3, 'created', $4, $5, $6)
+        RETURNING id
+      `,
+      [sessionId, userReference, verificationType, tenantId, policyName, stripeAccount]
+    );
+
+    await logAuditEvent("session_created", sessionId, {
+      user_reference: userReference,
+      verification_type: verificationType,
+      tenant_id: tenantId,
+      verification_policy: policyName,
+      stripe_account: stripeAccount,
+      actor,
+    }, ipAddress);
+
+    return { id, session_id: sessionId, user_reference: userReference, status: "created" };
+  }
+
+  async function updateVerificationStatus(sessionId, status, transition) {
+    const { source, eventId = null, eventCreated = null, errorCode = null, errorReason = null } = transition;
+
+    if (!isValidStatus(status)) {
+      throw new Error(`Unknown verification status: ${status}`);
+    }
+
+    const result = await withTransaction(pool, async (client) => {
+      const current = (
+        await client.query("SELECT status FROM verification_sessions WHERE session_id = $1 FOR UPDATE", [sessionId])
+      ).rows[0];
+      if (!current) {
+        return { found: false, applied: false, legal: false, from: null, to: status };
+      }
+
+      const legal = isLegalTransition(current.status, status);
+      const applied = legal || getStateMachineMode() === "flag";
+      const setLastError = "UPDATE verification_sessions SET error_code = $1, error_reason = $2 WHERE session_id = $3";
+
+      if (applied) {
+        await client.query(
+          `
+            UPDATE verification_sessions
+            SET status = $1,
+                updated_at = ${UTC_NOW},
+                verified_at = CASE WHEN $1 = 'verified' THEN ${UTC_NOW} ELSE verified_at END,
+                last_event_id = COALESCE($2, last_event_id),
+                last_event_created = COALESCE($3::bigint, last_event_created)
+            WHERE session_id = $4
+          `,
+          [status, eventId, eventCreated, sessionId]
+        );
+
+        // A failed attempt: keep its reason per attempt and as the session's latest error
+        if (status === "requires_input" && errorCode) {
+          await client.query(
+            `
+              INSERT INTO verification_errors (session_id, event_id, source, error_code, error_reason)
+              VALUES ($1, $2, $3, $4, $5)
+            `,
+            [sessionId, eventId, source, errorCode, errorReason]
+          );
+          await client.query(setLastError, [errorCode, errorReason, sessionId]);
+        } else if (status === "verified") {
+          await client.query(setLastError, [null, null, sessionId]);
+        }
+      }
+
+      const history = await client.query(
+        `
+          INSERT INTO verification_status_history
+            (session_id, from_status, to_status, source, event_id, error_code, legal, applied)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING id
+        `,
+        [sessionId, current.status, status, source, eventId, errorCode, legal, applied]
+      );
+
+      return { found: true, applied, legal, from: current.status, to: status, historyId: history.rows[0].id };
+    });
+
+    if (result.found) {
+      await logAuditEvent(result.applied ? "status_updated" : "status_transition_rejected", sessionId, {
+        previous_status: result.from,
+        new_status: status,
+        source,
+        event_id: eventId,
+        legal: result.legal,
+      }, null, result.applied ? AUDIT_RESULTS.SUCCESS : AUDIT_RESULTS.REJECTED);
+    }
+
+    if (result.applied) {
+      const record = await getVerificationBySessionId(sessionId);
+
+      try {
+        enqueueStatusChangeEvent(record, result.from);
+      } catch (err) {
+        // Committed already: the transition stands without its outbound webhook
+        log.error(`Outbound webhook for ${sessionId} could not be queued: ${err.message}`);
+      }
+      notifyStatusTransition(record, result, source);
+    }
+
+    return result;
+  }
+
+  // Tell in-process subscribers (outbound webhooks, live streams) about a committed change
+  function notifyStatusTransition(record, result, source) {
+    const sessionId = record.session_id;
+
+    try {
+      statusEvents.emit("transition", {
+        history_id: result.historyId,
+        session_id: sessionId,
+        user_reference: record.user_reference,
+        status: result.to,
+        previous_status: result.from,
+        source,
+        created_at: record.created_at,
+        updated_at: record.updated_at,
+        verified_at: record.verified_at,
+        occurred_at: new Date().toISOString(),
+      });
+    } catch (err) {
+      // The status change is already committed - a listener bug must not undo the caller's work
+      log.error(`Status transition listener failed for ${sessionId}: ${err.message}`);
+    }
+  }
+
+  function getVerificationBySessionId(sessionId) {
+    return queryOne(
+      `
+        SELECT session_id, user_reference, status, verification_type, created_at, updated_at, verified_at,
+               last_event_created, error_code, error_reason, last_synced_at, tenant_id, stripe_account
+        FROM verification_sessions
+        WHERE session_id = $1
+      `,
+      [sessionId]
+    );
+  }
+
+  async function markVerificationSynced(sessionId) {
+    await pool.query(`UPDATE verification_sessions SET last_synced_at = ${UTC_NOW} WHERE session_id = $1`, [sessionId]);
+  }
+
+  function getVerificationsByUser(userReference, { limit = -1, offset = 0, tenantId = null, stripeAccount = null } = {}) {
+    return query(
+      `
+        SELECT session_id, status, verification_type, stripe_account, created_at, updated_at, verified_at
+        FROM verification_sessions
+        WHERE user_reference = ANY($1::text[])
+          AND ($2::text IS NULL OR tenant_id = $2)
+          AND ($3::text IS NULL OR stripe_account = $3)
+        ORDER BY created_at DESC, id DESC
+        LIMIT $4 OFFSET $5
+      `,
+      [userReferenceCandidates(userReference), tenantId, stripeAccount, limit < 0 ? null : limit, offset]
+    );
+  }
+
+  async function countVerificationsByUser(userReference, { tenantId = null, stripeAccount = null } = {}) {
+    const row = await queryOne(
+      `
+        SELECT COUNT(*) AS count FROM verification_sessions
+        WHERE user_reference = ANY($1::text[])
+          AND ($2::text IS NULL OR tenant_id = $2)
+          AND ($3::text IS NULL OR stripe_account = $3)
+      `,
+      [userReferenceCandidates(userReference), tenantId, stripeAccount]
+    );
+    return row.count;
+  }
+
+  function getStatusHistory(sessionId, afterId = 0) {
+    return query(
+      `
+        SELECT id, from_status, to_status, source, event_id, error_code, legal, applied, created_at
+        FROM verification_status_history
+        WHERE session_id = $1 AND id > $2
+        ORDER BY id ASC
+      `,
+      [sessionId, afterId]
+    );
+  }
+
+  function getVerificationErrors(sessionId) {
+    return query(
+      `
+        SELECT error_code, error_reason, source, event_id, occurred_at
+        FROM verification_errors
+        WHERE session_id = $1
+        ORDER BY id ASC
+      `,
+      [sessionId]
+    );
+  }
+
+  function listConnectedAccounts(createdSince) {
+    return query(
+      `
+        SELECT DISTINCT tenant_id, stripe_account FROM verification_sessions
+        WHERE stripe_account IS NOT NULL AND created_at >= to_timestamp($1) AT TIME ZONE 'UTC'
+        ORDER BY tenant_id NULLS FIRST, stripe_account
+      `,
+      [createdSince]
+    );
+  }
+
+  async function listSessionIdsByUser(userReference) {
+    const rows = await query("SELECT session_id FROM verification_sessions WHERE user_reference = ANY($1::text[])", [
+      userReferenceCandidates(userReference),
+    ]);
+    return rows.map((row) => row.session_id);
+  }
+
+  // Sessions and everything stored about them (call inside withAuditLock)
+  async function purgeSessions(client, sessionIds, reason) {
+    const eventIds = (
+      await client.query("SELECT event_id FROM processed_webhook_events WHERE session_id = ANY($1::text[])", [sessionIds])
+    ).rows.map((row) => row.event_id);
+
+    const purge = async (table, column, values) =>
+      (await client.query(`DELETE FROM ${table} WHERE ${column} = ANY($1::text[])`, [values])).rowCount;
+
+    const deleted = {
+      sessions: await purge("verification_sessions", "session_id", sessionIds),
+      status_history: await purge("verification_status_history", "session_id", sessionIds),
+      verification_errors: await purge("verification_errors", "session_id", sessionIds),
+      audit_log_redacted: await redactAuditEntries(client, "session_id = ANY($1::text[])", [sessionIds], reason),
+      webhook_events: await purge("processed_webhook_events", "event_id", eventIds),
+    };
+
+    return { deleted, event_ids: eventIds };
+  }
+
+  function purgeSessionData(sessionIds, reason) {
+    return withAuditLock((client) => purgeSessions(client, sessionIds, reason));
+  }
+
+  async function rotateStoredPseudonyms({ dryRun = false } = {}) {
+    const configured = new Set(getPseudonymizationKeys().map((key) => key.version));
+    const totals = { values: 0, rotated: 0, rows: 0, unknown_version: 0 };
+
+    await withTransaction(pool, async (client) => {
+      // New sessions wait, so none is written under a key version being rotated away from
+      await client.query("LOCK TABLE verification_sessions IN SHARE ROW EXCLUSIVE MODE");
+
+      const values = (
+        await client.query("SELECT DISTINCT user_reference AS value FROM verification_sessions")
+      ).rows.map((row) => row.value);
+
+      for (const value of values) {
+        totals.values++;
+
+        const version = getPseudonymVersion(value);
+        if (version !== null && !configured.has(version)) {
+          totals.unknown_version++;
+          continue;
+        }
+
+        const rotated = pseudonymizeUserReference(value);
+        if (rotated !== value) {
+          totals.rotated++;
+          totals.rows += dryRun
+            ? (await client.query("SELECT COUNT(*) AS count FROM verification_sessions WHERE user_reference = $1", [value]))
+                .rows[0].count
+            : (await client.query("UPDATE verification_sessions SET user_reference = $1 WHERE user_reference = $2", [rotated, value]))
+                .rowCount;
+        }
+      }
+    });
+
+    return { verification_sessions: totals };
+  }
+
+  // ==================== AUDIT ====================
+
+  async function logAuditEvent(eventType, sessionId, metadata = {}, ipAddress = null, result = AUDIT_RESULTS.SUCCESS) {
+    const entry = {
+      event_type: eventType,
+      session_id: sessionId,
+      timestamp: auditTimestamp(),
+      metadata: JSON.stringify(
+        metadata.user_reference ? { ...metadata, user_reference: pseudonymizeUserReference(metadata.user_reference) } : metadata
+      ),
+      ip_address: pseudonymizeIp(ipAddress),
+      result,
+    };
+
+    await withAuditLock((client) => appendAuditEntry(client, entry));
+  }
+
+  // Run fn in a transaction that blocks other audit appenders (not readers) until
+  // commit: one chain, however many instances
+  function withAuditLock(fn) {
+    return withTransaction(pool, async (client) => {
+      await client.query("LOCK TABLE audit_log IN SHARE ROW EXCLUSIVE MODE");
+      return fn(client);
+    });
+  }
+
+  async function appendAuditEntry(client, entry) {
+    const algorithm = getAuditHashAlgorithm();
+    const last = (await client.query("SELECT entry_hash FROM audit_log ORDER BY id DESC LIMIT 1")).rows[0];
+    const prevHash = last?.entry_hash ?? GENESIS_HASH;
+    const contentHash = computeContentHash(entry, algorithm);
+
+    await client.query(
+      `
+        INSERT INTO audit_log
+          (event_type, session_id, timestamp, metadata, ip_address, result, prev_hash, content_hash, entry_hash, hash_alg)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      `,
+      [
+        entry.event_type,
+        entry.session_id,
+        entry.timestamp,
+        entry.metadata,
+        entry.ip_address,
+        entry.result,
+        prevHash,
+        contentHash,
+        computeEntryHash(prevHash, contentHash, algorithm),
+        algorithm,
+      ]
+    );
+  }
+
+  // Redact audit entries like database.js redactAuditEntries (call inside withAuditLock);
+  // clear(row) returns the cleared columns
+  async function redactAuditEntries(client, where, params, reason, clear = () => ({ session_id: null, metadata: null, ip_address: null })) {
+    const rows = (
+      await client.query(
+        `SELECT * FROM audit_log
+         WHERE event_type != $${params.length + 1} AND ${AUDIT_HAS_CONTENT} AND (${where})
+         ORDER BY id ASC`,
+        [...params, AUDIT_REDACTION_EVENT]
+      )
+    ).rows;
+
+    const marks = [];
+    for (const before of rows) {
+      const after = { ...before, ...clear(before) };
+      const mark = toRedactionMark(before, after);
+
+      await client.query(
+        `
+          UPDATE audit_log
+          SET session_id = $1, metadata = $2, ip_address = $3, redacted_at = ${UTC_NOW}, redaction_reason = $4,
+              redacted_hash = $5
+          WHERE id = $6
+        `,
+        [after.session_id, after.metadata, after.ip_address, reason, mark.redacted_hash, before.id]
+      );
+      marks.push(mark);
+    }
+
+    for (let i = 0; i < marks.length; i += AUDIT_REDACTION_BATCH) {
+      await appendAuditEntry(client, {
+        event_type: AUDIT_REDACTION_EVENT,
+        session_id: null,
+        timestamp: auditTimestamp(),
+        metadata: JSON.stringify({ reason, entries: marks.slice(i, i + AUDIT_REDACTION_BATCH) }),
+        ip_address: null,
+        result: AUDIT_RESULTS.SUCCESS,
+      });
+    }
+
+    return rows.length;
+  }
+
+  function getAuditTrail(sessionId) {
+    return query(
+      `
+        SELECT event_type, timestamp, metadata, result
+        FROM audit_log
+        WHERE session_id = $1
+        ORDER BY timestamp ASC, id ASC
+      `,
+      [sessionId]
+    );
+  }
+
+  function queryAuditLog(filters = {}, { limit = 100, afterId = null, order = "desc" } = {}) {
+    const { event_types = null, session_id = null, actors = null, result = null, since = null, until = null } = filters;
+    const ascending = order === "asc";
+
+    return query(
+      `
+        SELECT id, event_type, session_id, timestamp, metadata, ip_address, result,
+               redacted_at, redaction_reason, entry_hash
+        FROM audit_log
+        WHERE ($1::text[] IS NULL OR event_type = ANY($1))
+          AND ($2::text IS NULL OR session_id = $2)
+          AND ($3::text[] IS NULL OR metadata::jsonb ->> 'actor' = ANY($3))
+          AND ($4::text IS NULL OR result = $4)
+          AND ($5::timestamp IS NULL OR timestamp >= $5)
+          AND ($6::timestamp IS NULL OR timestamp < $6)
+          AND ($7::bigint IS NULL OR id ${ascending ? ">" : "<"} $7)
+        ORDER BY id ${ascending ? "ASC" : "DESC"}
+        LIMIT $8
+      `,
+      [
+        event_types?.length ? event_types : null,
+        session_id,
+        actors?.length ? actors : null,
+        result,
+        since,
+        until,
+        afterId,
+        limit,
+      ]
+    );
+  }
+
+  // Latest marker record of every redacted row, by row ID (see database.js getRedactionMarks)
+  async function getRedactionMarks() {
+    const marks = new Map();
+    let lastId = 0;
+
+    for (;;) {
+      const batch = await query(
+        "SELECT id, metadata FROM audit_log WHERE event_type = $1 AND id > $2 ORDER BY id ASC LIMIT $3",
+        [AUDIT_REDACTION_EVENT, lastId, AUDIT_BATCH_SIZE]
+      );
+
+      for (const { id, metadata } of batch) {
+        try {
+          JSON.parse(metadata).entries.forEach((mark) => marks.set(mark.id, mark));
+        } catch {
+          // Unreadable: its content hash does not match either
+        }
+        lastId = id;
+      }
+
+      if (batch.length < AUDIT_BATCH_SIZE) {
+        return marks;
+      }
+    }
+  }
+
+  async function verifyAuditChain() {
+    const marks = await getRedactionMarks();
+    let expectedPrevHash = GENESIS_HASH;
+    let entries = 0;
+    let redacted = 0;
+    let lastId = 0;
+
+    for (;;) {
+      const batch = await query("SELECT * FROM audit_log WHERE id > $1 ORDER BY id ASC LIMIT $2", [lastId, AUDIT_BATCH_SIZE]);
+
+      for (const entry of batch) {
+        const reason = checkAuditEntry(entry, expectedPrevHash, marks.get(entry.id));
+
+        if (reason) {
+          return {
+            valid: false,
+            entries,
+            redacted,
+            head_hash: expectedPrevHash,
+            broken_at: { id: entry.id, event_type: entry.event_type, timestamp: entry.timestamp, reason },
+          };
+        }
+
+        entries++;
+        if (entry.redacted_at) redacted++;
+        expectedPrevHash = entry.entry_hash;
+        lastId = entry.id;
+      }
+
+      if (batch.length < AUDIT_BATCH_SIZE) {
+        return { valid: true, entries, redacted, head_hash: expectedPrevHash, broken_at: null };
+      }
+    }
+  }
+
+  function getUserAuditEvents(userReference) {
+    return query(
+      `
+        SELECT event_type, session_id, timestamp, metadata, result
+        FROM audit_log
+        WHERE metadata::jsonb ->> 'user_reference' = ANY($1::text[])
+        ORDER BY timestamp ASC, id ASC
+      `,
+      [userReferenceCandidates(userReference)]
+    );
+  }
+
+  function redactUserAuditEntries(userReference, reason) {
+    return withAuditLock((client) =>
+      redactAuditEntries(
+        client,
+        "metadata::jsonb ->> 'user_reference' = ANY($1::text[]) OR metadata::jsonb ->> 'actor' = ANY($1::text[])",
+        [userReferenceCandidates(userReference)],
+        reason
+      )
+    );
+  }
+
+  // ==================== WEBHOOK EVENT LEDGER ====================
+
+  async function recordWebhookEvent(event, rawPayload, tenantId = null) {
+    const payload = Buffer.isBuffer(rawPayload) ? rawPayload.toString("utf8") : rawPayload;
+    const payloadHash = crypto.createHash("sha256").update(payload).digest("hex");
+
+    const result = await pool.query(
+      `
+        INSERT INTO processed_webhook_events
+          (event_id, event_type, session_id, stripe_created, payload_hash, payload, tenant_id, stripe_account)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (event_id) DO NOTHING
+      `,
+      [event.id, event.type, event.data?.object?.id || null, event.created, payloadHash, payload, tenantId, event.account || null]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  async function isEventProcessed(eventId) {
+    const row = await queryOne(
+      "SELECT COUNT(*) AS count FROM processed_webhook_events WHERE event_id = $1 AND outcome = ANY($2)",
+      [eventId, FINAL_EVENT_OUTCOMES]
+    );
+    return row.count > 0;
+  }
+
+  async function markWebhookEventOutcome(eventId, outcome, error = null) {
+    await pool.query(
+      `UPDATE processed_webhook_events SET outcome = $1, error = $2, processed_at = ${UTC_NOW} WHERE event_id = $3`,
+      [outcome, error, eventId]
+    );
+  }
+
+  function getWebhookEvent(eventId) {
+    return queryOne(
+      `
+        SELECT event_id, event_type, session_id, stripe_created, received_at, processed_at,
+               outcome, error, payload_hash, payload, replay_count, tenant_id, stripe_account
+        FROM processed_webhook_events
+        WHERE event_id = $1
+      `,
+      [eventId]
+    );
+  }
+
+  async function incrementWebhookReplayCount(eventId) {
+    await pool.query("UPDATE processed_webhook_events SET replay_count = replay_count + 1 WHERE event_id = $1", [eventId]);
+  }
+
+  function getLastProcessedWebhookEvent() {
+    return queryOne(`
+      SELECT MAX(processed_at) AS last_processed_at,
+             ROUND(EXTRACT(EPOCH FROM ${UTC_NOW} - MAX(processed_at)))::integer AS last_processed_seconds
+      FROM processed_webhook_events
+      WHERE outcome = 'processed'
+    `);
+  }
+
+  // ==================== STATISTICS ====================
+
+  function countSessionsByStatus() {
+    return query("SELECT status, COUNT(*) AS count FROM verification_sessions GROUP BY status");
+  }
+
+  async function getStatistics({ tenantId = null, stripeAccount = null } = {}) {
+    const sessionFilter = "($1::text IS NULL OR tenant_id = $1) AND ($2::text IS NULL OR stripe_account = $2)";
+    const filterParams = [tenantId, stripeAccount];
+
+    const byStatus = Object.fromEntries(
+      (
+        await query(`SELECT status, COUNT(*) AS count FROM verification_sessions WHERE ${sessionFilter} GROUP BY status`, filterParams)
+      ).map((row) => [row.status, row.count])
+    );
+    const count = (...statuses) => statuses.reduce((sum, status) => sum + (byStatus[status] || 0), 0);
+
+    // A filtered view counts the audit events of its own sessions
+    const auditEvents =
+      tenantId || stripeAccount
+        ? await queryOne(
+            `
+              SELECT COUNT(*) AS count FROM audit_log
+              WHERE session_id IN (SELECT session_id FROM verification_sessions WHERE ${sessionFilter})
+            `,
+            filterParams
+          )
+        : await queryOne("SELECT COUNT(*) AS count FROM audit_log");
+
+    const failureReasons = await query(
+      `
+        SELECT e.error_code, COUNT(*) AS count
+        FROM verification_errors e
+        JOIN verification_sessions s ON s.session_id = e.session_id
+        WHERE ($1::text IS NULL OR s.tenant_id = $1) AND ($2::text IS NULL OR s.stripe_account = $2)
+        GROUP BY e.error_code
+        ORDER BY count DESC
+      `,
+      filterParams
+    );
+
+    return {
+      total_sessions: Object.values(byStatus).reduce((sum, n) => sum + n, 0),
+      verified: count("verified"),
+      pending: count("created", "processing"),
+      failed: count("requires_input", "canceled"),
+      requires_input: count("requires_input"),
+      canceled: count("canceled"),
+      audit_events: auditEvents.count,
+      failure_reasons: Object.fromEntries(failureReasons.map((row) => [row.error_code, row.count])),
+    };
+  }
+
+  async function getVerificationTimeseries({
+    interval,
+    from,
+    to,
+    verificationType = null,
+    tenantId = null,
+    stripeAccount = null,
+  }) {
+    const bucket = TIMESERIES_BUCKETS[interval];
+    const where = `
+      s.created_at >= $1::timestamp AND s.created_at < $2::timestamp
+      AND ($3::text IS NULL OR s.verification_type = $3)
+      AND ($4::text IS NULL OR s.tenant_id = $4)
+      AND ($5::text IS NULL OR s.stripe_account = $5)
+    `;
+    const params = [from, to, verificationType, tenantId, stripeAccount];
+
+    // "processing" counts every session that got that far, including those already verified
+    const funnel = await query(
+      `
+        SELECT ${bucket} AS bucket,
+               COUNT(*) AS created,
+               COUNT(*) FILTER (
+                 WHERE s.verified_at IS NOT NULL OR s.status = 'processing' OR EXISTS (
+                   SELECT 1 FROM verification_status_history h
+                   WHERE h.session_id = s.session_id AND h.to_status = 'processing' AND h.applied
+                 )
+               ) AS processing,
+               COUNT(*) FILTER (WHERE s.verified_at IS NOT NULL) AS verified,
+               COUNT(*) FILTER (WHERE s.status = 'requires_input') AS requires_input,
+               COUNT(*) FILTER (WHERE s.status = 'canceled') AS canceled,
+               COUNT(*) FILTER (WHERE s.status = 'redacted') AS redacted
+        FROM verification_sessions s
+        WHERE ${where}
+        GROUP BY 1
+      `,
+      params
+    );
+
+    const median = (bucketExpression) =>
+      query(
+        `
+          SELECT ${bucketExpression} AS bucket,
+                 percentile_cont(0.5) WITHIN GROUP (
+                   ORDER BY EXTRACT(EPOCH FROM s.verified_at - s.created_at)::float8
+                 ) AS median_seconds
+          FROM verification_sessions s
+          WHERE s.verified_at IS NOT NULL AND ${where}
+          GROUP BY 1
+        `,
+        params
+      );
+
+    const failures = await query(
+      `
+        SELECT ${bucket} AS bucket, e.error_code, COUNT(*) AS count
+        FROM verification_errors e
+        JOIN verification_sessions s ON s.session_id = e.session_id
+        WHERE ${where}
+        GROUP BY 1, e.error_code
+        ORDER BY count DESC
+      `,
+      params
+    );
+
+    const totalMedian = await median("'total'");
+    return { funnel, medians: await median(bucket), failures, total_median: totalMedian[0]?.median_seconds };
+  }
+
+  // ==================== UPKEEP ====================
+
+  async function executeRetentionRule(client, { table, action, after_days, status = null, column = null }) {
+    const target = RETENTION_TABLES[table];
+    if (!target) {
+      throw new StorageError(`Not a storage table: ${table}`);
+    }
+
+    const where = `
+      ${target.age} <= ${UTC_NOW} - make_interval(days => $1)
+      AND ($2::text[] IS NULL OR ${target.status} = ANY($2::text[]))
+      ${target.guard ? `AND ${target.guard}` : ""}
+    `;
+    const params = [after_days, status === null ? null : [].concat(status)];
+
+    if (action === "anonymize") {
+      // Only audit_log.ip_address can be anonymized; older entries also kept the client IP in metadata
+      const affected = await redactAuditEntries(
+        client,
+        `${where} AND (${column} IS NOT NULL OR metadata::jsonb ->> 'ip' IS NOT NULL)`,
+        params,
+        `retention: ${column}`,
+        (row) => {
+          const metadata = row.metadata === null ? null : JSON.parse(row.metadata);
+          delete metadata?.ip;
+          return { [column]: null, metadata: metadata === null ? null : JSON.stringify(metadata) };
+        }
+      );
+
+      return { affected };
+    }
+
+    const keys = (await client.query(`SELECT ${target.key} AS key FROM ${table} WHERE ${where}`, params)).rows.map(
+      (row) => row.key
+    );
+
+    switch (table) {
+      case "verification_sessions": {
+        const { deleted, event_ids } = await purgeSessions(client, keys, "retention");
+        return { affected: keys.length, deleted, session_ids: keys, event_ids };
+      }
+
+      case "audit_log":
+        // Redacted, not deleted - the hash chain must stay verifiable
+        return {
+          affected: keys.length,
+          deleted: { audit_log_redacted: await redactAuditEntries(client, "id = ANY($1::bigint[])", [keys], "retention") },
+        };
+
+      default: {
+        const { rowCount } = await client.query(`DELETE FROM ${table} WHERE ${target.key} = ANY($1::text[])`, [keys]);
+        return { affected: keys.length, deleted: { [table]: rowCount } };
+      }
+    }
+  }
+
+  async function applyRetentionRule(rule, { dryRun = false } = {}) {
+    let result;
+
+    try {
+      await withAuditLock(async (client) => {
+        result = await executeRetentionRule(client, rule);
+        if (dryRun) {
+          throw RETENTION_ROLLBACK;
+        }
+      });
+    } catch (err) {
+      if (err !== RETENTION_ROLLBACK) {
+        throw err;
+      }
+    }
+
+    return result;
+  }
+
+  async function ping() {
+    return (await queryOne("SELECT 1 AS ok")).ok === 1;
+  }
+
+  return {
+    backend: "postgres",
+    createVerificationRecord,
+    updateVerificationStatus,
+    getVerificationBySessionId,
+    markVerificationSynced,
+    getVerificationsByUser,
+    countVerificationsByUser,
+    getStatusHistory,
+    getVerificationErrors,
+    listConnectedAccounts,
+    listSessionIdsByUser,
+    purgeSessionData,
+    rotateStoredPseudonyms,
+    logAuditEvent,
+    getAuditTrail,
+    queryAuditLog,
+    verifyAuditChain,
+    getUserAuditEvents,
+    redactUserAuditEntries,
+    recordWebhookEvent,
+    isEventProcessed,
+    markWebhookEventOutcome,
+    getWebhookEvent,
+    incrementWebhookReplayCount,
+    getLastProcessedWebhookEvent,
+    getStatistics,
+    countSessionsByStatus,
+    getVerificationTimeseries,
+    applyRetentionRule,
+    ping,
+    close: () => pool.end(),
+  };
+}
@@ -0,0 +1,87 @@
+import {
+  createVerificationRecord,
+  updateVerificationStatus,
+  getVerificationBySessionId,
+  markVerificationSynced,
+  getVerificationsByUser,
+  countVerificationsByUser,
+  getStatusHistory,
+  getVerificationErrors,
+  listConnectedAccounts,
+  listSessionIdsByUser,
+  purgeSessionData,
+  rotateStoredPseudonyms,
+  logAuditEvent,
+  getAuditTrail,
+  queryAuditLog,
+  verifyAuditChain,
+  getUserAuditEvents,
+  redactUserAuditEntries,
+  recordWebhookEvent,
+  isEventProcessed,
+  markWebhookEventOutcome,
+  getWebhookEvent,
+  incrementWebhookReplayCount,
+  getLastProcessedWebhookEvent,
+  getStatistics,
+  countSessionsByStatus,
+  getVerificationTimeseries,
+  applyRetentionRule,
+  pingDatabase,
+} from "./database.js";
+
+// ==================== SQLITE STORAGE ====================
+// The default storage backend (see storage.js): the database.js functions
+// behind the async interface. Uses the process-wide SQLite handle, so the
+// database (DATABASE_PATH) and its migrations are those of the server.
+
+const FUNCTIONS = {
+  createVerificationRecord,
+  updateVerificationStatus,
+  getVerificationBySessionId,
+  markVerificationSynced,
+  getVerificationsByUser,
+  countVerificationsByUser,
+  getStatusHistory,
+  getVerificationErrors,
+  listConnectedAccounts,
+  listSessionIdsByUser,
+  purgeSessionData,
+  logAuditEvent,
+  getAuditTrail,
+  queryAuditLog,
+  verifyAuditChain,
+  getUserAuditEvents,
+  redactUserAuditEntries,
+  recordWebhookEvent,
+  isEventProcessed,
+  markWebhookEventOutcome,
+  getWebhookEvent,
+  incrementWebhookReplayCount,
+  getLastProcessedWebhookEvent,
+  getStatistics,
+  countSessionsByStatus,
+  getVerificationTimeseries,
+  applyRetentionRule,
+  // data_exports also holds pseudonyms, but is not storage: rotated by rotate-pseudonyms.js
+  rotateStoredPseudonyms: (options) => rotateStoredPseudonyms({ ...options, tables: ["verification_sessions"] }),
+  ping: pingDatabase,
+};
+
+/**
+ * SQLite storage
+ * @returns {object} Storage (see storage.js)
+ */
+export function createSqliteStorage() {
+  const storage = { backend: "sqlite" };
+
+  for (const [method, fn] of Object.entries(FUNCTIONS)) {
+    // Same results; errors become rejections
+    storage[method] = async (...args) => fn(...args);
+  }
+
+  // The handle is shared with the rest of the process - closing it is the server's job
+  storage.close = async () => {};
+
+  return storage;
+}
@@ -0,0 +1,134 @@
+// ==================== STORAGE ====================
+// Backend-neutral access to sessions, the audit log, the webhook event ledger
+// and statistics. Every method is async and behaves the same on each backend
+// (check-storage.js runs the shared conformance checks):
+//
+//   sessions  createVerificationRecord, updateVerificationStatus, getVerificationBySessionId,
+//             markVerificationSynced, getVerificationsByUser, countVerificationsByUser,
+//             getStatusHistory, getVerificationErrors, listConnectedAccounts,
+//             listSessionIdsByUser, purgeSessionData, rotateStoredPseudonyms
+//   audit     logAuditEvent, getAuditTrail, queryAuditLog, verifyAuditChain,
+//             getUserAuditEvents, redactUserAuditEntries
+//   events    recordWebhookEvent, isEventProcessed, markWebhookEventOutcome, getWebhookEvent,
+//             incrementWebhookReplayCount, getLastProcessedWebhookEvent
+//   stats     getStatistics, countSessionsByStatus, getVerificationTimeseries
+//   upkeep    applyRetentionRule (STORAGE_TABLES only), ping
+//
+// Arguments and results are those of the database.js functions of the same
+// name. STORAGE_BACKEND selects the backend:
+//
+//   sqlite    (default) database.js - the DATABASE_PATH file, see storage-sqlite.js
+//   postgres  DATABASE_URL, see storage-postgres.js
+//
+// The rest of the schema (queues, tenants, erasure jobs, exports, ...) stays in
+// the local SQLite database with either backend.
+
+export const STORAGE_BACKENDS = ["sqlite", "postgres"];
+
+// Tables behind this interface (retention rules on them go through applyRetentionRule)
+export const STORAGE_TABLES = ["verification_sessions", "audit_log", "processed_webhook_events"];
+
+export const STORAGE_METHODS = [
+  "createVerificationRecord",
+  "updateVerificationStatus",
+  "getVerificationBySessionId",
+  "markVerificationSynced",
+  "getVerificationsByUser",
+  "countVerificationsByUser",
+  "getStatusHistory",
+  "getVerificationErrors",
+  "listConnectedAccounts",
+  "listSessionIdsByUser",
+  "purgeSessionData",
+  "rotateStoredPseudonyms",
+  "logAuditEvent",
+  "getAuditTrail",
+  "queryAuditLog",
+  "verifyAuditChain",
+  "getUserAuditEvents",
+  "redactUserAuditEntries",
+  "recordWebhookEvent",
+  "isEventProcessed",
+  "markWebhookEventOutcome",
+  "getWebhookEvent",
+  "incrementWebhookReplayCount",
+  "getLastProcessedWebhookEvent",
+  "getStatistics",
+  "countSessionsByStatus",
+  "getVerificationTimeseries",
+  "applyRetentionRule",
+  "ping",
+];
+
+export class StorageError extends Error {}
+
+let storagePromise = null;
+
+/**
+ * Configured storage backend (STORAGE_BACKEND, read lazily so .env is honoured)
+ * @returns {string} sqlite | postgres
+ */
+export function getStorageBackend() {
+  const backend = process.env.STORAGE_BACKEND || "sqlite";
+
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new StorageError(`STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(", ")}`);
+  }
+  return backend;
+}
+
+/**
+ * Open a storage backend (schema brought up to date)
+ * Adapters are loaded on demand: the SQLite one opens its database when imported,
+ * the PostgreSQL one needs the pg package only when selected.
+ * @param {string} backend - sqlite | postgres (default: STORAGE_BACKEND)
+ * @param {object} options - Backend options (postgres: { connectionString, poolSize })
+ * @returns {Promise<object>} Storage with the methods in STORAGE_METHODS, plus backend and close()
+ */
+export async function createStorage(backend = getStorageBackend(), options = {}) {
+  let storage;
+
+  if (backend === "sqlite") {
+    const { createSqliteStorage } = await import("./storage-sqlite.js");
+    storage = createSqliteStorage();
+  } else if (backend === "postgres") {
+    const { createPostgresStorage } = await import("./storage-postgres.js");
+    storage = await createPostgresStorage(options);
+  } else {
+    throw new StorageError(`Unknown storage backend: ${backend}`);
+  }
+
+  const missing = STORAGE_METHODS.filter((method) => typeof storage[method] !== "function");
+  if (missing.length > 0) {
+    throw new StorageError(`Storage backend ${backend} does not implement: ${missing.join(", ")}`);
+  }
+  return storage;
+}
+
+/**
+ * Shared storage of this process (the configured backend, opened on first use)
+ * @returns {Promise<object>} Storage (see createStorage)
+ */
+export function getStorage() {
+  if (!storagePromise) {
+    storagePromise = createStorage().catch((err) => {
+      storagePromise = null;
+      throw err;
+    });
+  }
+  return storagePromise;
+}
+
+/**
+ * Close the shared storage, if it was opened
+ */
+export async function closeStorage() {
+  const pending = storagePromise;
+  storagePromise = null;
+
+  if (pending) {
+    await (await pending).close();
+  }
+}
+
+export default getStorage;
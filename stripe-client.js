@@ -0,0 +1,103 @@
+import Stripe from "stripe";
+import { recordStripeResponse, recordStripeNetworkError } from "./metrics.js";
+import { getTenantConfig } from "./tenants.js";
+
+// ==================== STRIPE CLIENT ====================
+// Shared Stripe API clients for the server and CLI tools: the default account
+// (STRIPE_SECRET_KEY) and one per tenant with its own account (see tenants.js).
+// Created on first use so STRIPE_SECRET_KEY from .env (loaded after imports)
+// is honoured, and again when a tenant's key changes. Every API response, and
+// every attempt that got none (timeout, DNS, connection refused), is recorded
+// in the Stripe latency/error metrics.
+//
+// STRIPE_API_URL points the clients at another API (the offline emulator, see
+// stripe-emulator.js).
+//
+// Stripe Connect: sessions of a connected account are created and managed with
+// the platform's client plus a Stripe-Account header (getRequestOptions).
+
+export const STRIPE_API_VERSION = "2023-10-16";
+
+const CONNECTED_ACCOUNT_PATTERN = /^acct_[0-9A-Za-z]+$/;
+
+// Tenant ID ("" for the default account) -> { secretKey, client }
+const clients = new Map();
+
+// Host, port and protocol of STRIPE_API_URL as Stripe client options
+function getApiEndpoint() {
+  if (!process.env.STRIPE_API_URL) {
+    return {};
+  }
+
+  const url = new URL(process.env.STRIPE_API_URL);
+  const protocol = url.protocol.replace(":", "");
+  return { host: url.hostname, port: Number(url.port) || (protocol === "https" ? 443 : 80), protocol };
+}
+
+// Node HTTP client that records attempts failing without a response - the
+// client's "response" event only covers the ones that got one
+function createHttpClient() {
+  const httpClient = Stripe.createNodeHttpClient();
+  const makeRequest = httpClient.makeRequest.bind(httpClient);
+
+  httpClient.makeRequest = (host, port, path, method, ...rest) => {
+    const startedAt = Date.now();
+
+    return makeRequest(host, port, path, method, ...rest).catch((err) => {
+      recordStripeNetworkError({ method, path, elapsed: Date.now() - startedAt });
+      throw err;
+    });
+  };
+  return httpClient;
+}
+
+function createClient(secretKey) {
+  const client = new Stripe(secretKey, {
+    apiVersion: STRIPE_API_VERSION,
+    httpClient: createHttpClient(),
+    ...getApiEndpoint(),
+  });
+  client.on("response", recordStripeResponse);
+  return client;
+}
+
+/**
+ * Get the Stripe client of an account
+ * @param {string|null} tenantId - Tenant whose account to use (null, or a tenant without its
+ *   own key: the default account)
+ * @returns {Stripe} Stripe client
+ */
+export function getStripe(tenantId = null) {
+  const tenantKey = tenantId ? getTenantConfig(tenantId)?.stripeSecretKey : null;
+  const cacheKey = tenantKey ? tenantId : "";
+  const secretKey = tenantKey || process.env.STRIPE_SECRET_KEY;
+
+  const cached = clients.get(cacheKey);
+  if (cached?.secretKey === secretKey) {
+    return cached.client;
+  }
+
+  const client = createClient(secretKey);
+  clients.set(cacheKey, { secretKey, client });
+  return client;
+}
+
+/**
+ * Whether a value is a Stripe account ID
+ * @param {*} value - e.g. acct_1Nv0FGQ9RKHgCVdK
+ * @returns {boolean} True for acct_ IDs
+ */
+export function isConnectedAccountId(value) {
+  return typeof value === "string" && CONNECTED_ACCOUNT_PATTERN.test(value);
+}
+
+/**
+ * Request options for calls about a session (Stripe-Account header for connected accounts)
+ * @param {string|null} stripeAccount - Connected account ID (null: the platform account)
+ * @returns {object|undefined} Stripe request options, or undefined for the platform account
+ */
+export function getRequestOptions(stripeAccount) {
+  return stripeAccount ? { stripeAccount } : undefined;
+}
+
+export default getStripe;
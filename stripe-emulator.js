@@ -0,0 +1,470 @@
+import crypto from "crypto";
+import express from "express";
+import { signOutboundPayload } from "./webhook-signature.js";
+import { log } from "./logger.js";
+
+// ==================== STRIPE IDENTITY EMULATOR ====================
+// An offline stand-in for the part of the Stripe API this backend uses, for
+// local development and tests (run with `npm run stripe-emulator`, see
+// emulate-stripe.js). Point the server at it with STRIPE_API_URL:
+//
+//   POST /v1/identity/verification_sessions               create (status requires_input)
+//   GET  /v1/identity/verification_sessions[/:id]         list (created[gte|gt|lte|lt], limit,
+//                                                         starting_after) / retrieve
+//   POST /v1/identity/verification_sessions/:id/cancel    requires_input -> canceled
+//   POST /v1/identity/verification_sessions/:id/redact    redaction processing, then redacted
+//
+// Sessions are kept per account (Stripe-Account header) and in memory only.
+// A session's url is the hosted verification page (GET /verify/:id) with
+// buttons instead of a camera:
+//
+//   Pass            processing -> verified
+//   Fail            processing -> requires_input with the chosen last_error
+//   Requires input  requires_input with the chosen last_error (nothing submitted)
+//
+// Every change is sent as a Stripe event to the webhook URL, one at a time in
+// order, signed like Stripe does (Stripe-Signature) with the webhook secret -
+// the Connect secret (when set) for events of connected accounts. Failed
+// deliveries are retried a few times; /_emulator/events lists them and
+// /_emulator/events/:id/resend sends one again. Tests can complete sessions
+// without the page: POST /_emulator/verification_sessions/:id/complete
+// { outcome: verified | failed | requires_input, error_code }.
+
+export const EMULATOR_OUTCOMES = ["verified", "failed", "requires_input"];
+
+// last_error reasons as Stripe words them (codes not listed get a generic reason)
+export const EMULATOR_ERRORS = {
+  document_unverified_other: "The document was invalid.",
+  document_expired: "The document is expired.",
+  document_type_not_supported: "The document type is not supported.",
+  selfie_face_mismatch: "The provided photos do not match.",
+  selfie_document_missing_photo: "The document did not contain a photo of a face.",
+  id_number_mismatch: "The information provided could not be verified.",
+  consent_declined: "The user declined to be verified by Stripe.",
+  abandoned: "The user did not finish the verification.",
+  device_not_supported: "The user's device is not supported.",
+};
+
+const SESSIONS_PATH = "/v1/identity/verification_sessions";
+const DELIVERY_ATTEMPTS = 3;
+const MAX_EVENTS = 500;
+
+const newId = (prefix) => `${prefix}_emu${crypto.randomBytes(12).toString("hex")}`;
+const now = () => Math.floor(Date.now() / 1000);
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// Form-encoded booleans arrive as strings
+function coerceBooleans(value) {
+  if (value === "true" || value === "false") {
+    return value === "true";
+  }
+  if (Array.isArray(value)) {
+    return value.map(coerceBooleans);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, coerceBooleans(inner)]));
+  }
+  return value;
+}
+
+function sendStripeError(res, status, message, { type = "invalid_request_error", code, param } = {}) {
+  res.status(status).json({ error: { type, message, ...(code && { code }), ...(param && { param }) } });
+}
+
+/**
+ * Create the emulator
+ * @param {object} options
+ * @param {string} options.publicUrl - Base URL of the emulator as seen by browsers (hosted page links)
+ * @param {string} options.webhookUrl - Where events are delivered (the server's /webhook)
+ * @param {string|null} options.webhookSecret - Signs platform events (unsigned when not set)
+ * @param {string|null} options.connectWebhookSecret - Signs events of connected accounts (default: webhookSecret)
+ * @param {number} options.retryDelayMs - Delay before the first delivery retry (doubled per retry)
+ * @returns {object} { app, sessions, events } - Express app and the in-memory state
+ */
+export function createStripeEmulator({
+  publicUrl,
+  webhookUrl,
+  webhookSecret = null,
+  connectWebhookSecret = null,
+  retryDelayMs = 1000,
+}) {
+  // Session ID -> { session, account, apiVersion } (account: null for the platform)
+  const sessions = new Map();
+  // Newest last: { event, secret, delivery: { status, attempts, response_status, error } }
+  const events = [];
+  let deliveries = Promise.resolve();
+
+  // ==================== EVENTS ====================
+
+  async function deliver(entry) {
+    const body = JSON.stringify(entry.event, null, 2);
+    const headers = { "Content-Type": "application/json", "User-Agent": "Stripe/1.0 (+https://stripe.com/docs/webhooks)" };
+    if (entry.secret) {
+      // Stripe's scheme: t=<unix seconds>,v1=hex(HMAC-SHA256(secret, `${t}.${body}`))
+      headers["Stripe-Signature"] = signOutboundPayload(entry.secret, body);
+    }
+
+    entry.delivery = { status: "pending", attempts: 0, response_status: null, error: null };
+
+    for (let attempt = 1; attempt <= DELIVERY_ATTEMPTS; attempt++) {
+      entry.delivery.attempts = attempt;
+      try {
+        const response = await fetch(webhookUrl, { method: "POST", headers, body });
+        entry.delivery.response_status = response.status;
+        entry.delivery.error = null;
+
+        if (response.ok) {
+          entry.delivery.status = "delivered";
+          log.debug(`Delivered ${entry.event.type} (${entry.event.id}) to ${webhookUrl}`);
+          return;
+        }
+        entry.delivery.error = `HTTP ${response.status}`;
+      } catch (err) {
+        entry.delivery.error = err.cause?.message || err.message;
+      }
+
+      if (attempt < DELIVERY_ATTEMPTS) {
+        await sleep(retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+
+    entry.delivery.status = "failed";
+    log.warn(`Could not deliver ${entry.event.type} (${entry.event.id}) to ${webhookUrl}: ${entry.delivery.error}`);
+  }
+
+  // Deliveries go out one at a time so the server receives them in order
+  function queueDelivery(entry) {
+    deliveries = deliveries.then(() => deliver(entry));
+    return deliveries;
+  }
+
+  function emitEvent(type, record) {
+    const event = {
+      id: newId("evt"),
+      object: "event",
+      api_version: record.apiVersion,
+      created: now(),
+      data: { object: structuredClone(record.session) },
+      livemode: false,
+      pending_webhooks: 1,
+      request: { id: null, idempotency_key: null },
+      type,
+      ...(record.account && { account: record.account }),
+    };
+    const entry = { event, secret: record.account ? connectWebhookSecret || webhookSecret : webhookSecret, delivery: null };
+
+    events.push(entry);
+    if (events.length > MAX_EVENTS) {
+      events.shift();
+    }
+    queueDelivery(entry);
+    return event;
+  }
+
+  // ==================== SESSIONS ====================
+
+  function findSession(req, res) {
+    const record = sessions.get(req.params.id);
+
+    // Like Stripe: a session only exists for the account it was created on
+    if (!record || record.account !== (req.get("Stripe-Account") || null)) {
+      sendStripeError(res, 404, `No such verificationsession: '${req.params.id}'`, { code: "resource_missing", param: "id" });
+      return null;
+    }
+    return record;
+  }
+
+  function createSession(params, account, apiVersion) {
+    if (!["document", "id_number"].includes(params.type)) {
+      throw Object.assign(new Error("Invalid type: must be one of document or id_number"), { param: "type" });
+    }
+
+    const id = newId("vs");
+    const session = {
+      id,
+      object: "identity.verification_session",
+      client_reference_id: params.client_reference_id || null,
+      client_secret: `${id}_secret_${crypto.randomBytes(12).toString("hex")}`,
+      created: now(),
+      last_error: null,
+      last_verification_report: null,
+      livemode: false,
+      metadata: params.metadata || {},
+      options: coerceBooleans(params.options || {}),
+      redaction: null,
+      return_url: params.return_url || null,
+      status: "requires_input",
+      type: params.type,
+      url: `${publicUrl}/verify/${id}`,
+      verified_outputs: null,
+    };
+    // Events are rendered in the API version the session was created with
+    const record = { session, account, apiVersion };
+
+    sessions.set(id, record);
+    emitEvent("identity.verification_session.created", record);
+    log.info(`Emulated verification session created: ${id}${account ? ` on ${account}` : ""}`);
+    return record;
+  }
+
+  /**
+   * Complete a session as the user would on the hosted page
+   * @param {object} record - Session record
+   * @param {string} outcome - verified | failed | requires_input
+   * @param {string} errorCode - last_error code for failed / requires_input
+   */
+  function completeSession(record, outcome, errorCode = "document_unverified_other") {
+    const { session } = record;
+
+    if (!EMULATOR_OUTCOMES.includes(outcome)) {
+      throw new Error(`outcome must be one of: ${EMULATOR_OUTCOMES.join(", ")}`);
+    }
+    if (outcome !== "verified" && !/^[a-z_]+$/.test(errorCode)) {
+      throw new Error("error_code must be a Stripe last_error code (e.g. document_expired)");
+    }
+    if (session.status !== "requires_input") {
+      throw new Error(`This VerificationSession is ${session.status} and cannot be submitted.`);
+    }
+
+    // Something was submitted: Stripe checks it first
+    if (outcome !== "requires_input") {
+      session.status = "processing";
+      session.last_error = null;
+      emitEvent("identity.verification_session.processing", record);
+    }
+
+    if (outcome === "verified") {
+      session.status = "verified";
+      session.url = null;
+      session.last_verification_report = newId("vr");
+      emitEvent("identity.verification_session.verified", record);
+    } else {
+      session.status = "requires_input";
+      session.last_error = { code: errorCode, reason: EMULATOR_ERRORS[errorCode] || "The verification could not be completed." };
+      if (outcome === "failed") {
+        session.last_verification_report = newId("vr");
+      }
+      emitEvent("identity.verification_session.requires_input", record);
+    }
+
+    log.info(`Emulated verification session ${session.id}: ${outcome}${outcome === "verified" ? "" : ` (${errorCode})`}`);
+  }
+
+  const app = express();
+  app.set("query parser", "extended");
+  app.use(express.urlencoded({ extended: true }));
+  app.use(express.json());
+
+  // ==================== API ====================
+
+  app.use("/v1", (req, res, next) => {
+    if (!/^Bearer \S+/.test(req.get("Authorization") || "")) {
+      return sendStripeError(res, 401, "You did not provide an API key.");
+    }
+    next();
+  });
+
+  app.post(SESSIONS_PATH, (req, res) => {
+    try {
+      res.json(createSession(req.body, req.get("Stripe-Account") || null, req.get("Stripe-Version") || null).session);
+    } catch (err) {
+      sendStripeError(res, 400, err.message, { param: err.param });
+    }
+  });
+
+  app.get(SESSIONS_PATH, (req, res) => {
+    const account = req.get("Stripe-Account") || null;
+    const created = req.query.created || {};
+    const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 100);
+
+    // Newest first, like Stripe
+    let matching = [...sessions.values()]
+      .filter((record) => record.account === account)
+      .map((record) => record.session)
+      .filter((session) =>
+        (created.gte === undefined || session.created >= Number(created.gte)) &&
+        (created.gt === undefined || session.created > Number(created.gt)) &&
+        (created.lte === undefined || session.created <= Number(created.lte)) &&
+        (created.lt === undefined || session.created < Number(created.lt))
+      )
+      .reverse();
+
+    if (req.query.starting_after) {
+      const index = matching.findIndex((session) => session.id === req.query.starting_after);
+      matching = index < 0 ? [] : matching.slice(index + 1);
+    }
+
+    res.json({
+      object: "list",
+      url: SESSIONS_PATH,
+      has_more: matching.length > limit,
+      data: matching.slice(0, limit),
+    });
+  });
+
+  app.get(`${SESSIONS_PATH}/:id`, (req, res) => {
+    const record = findSession(req, res);
+    if (record) {
+      res.json(record.session);
+    }
+  });
+
+  app.post(`${SESSIONS_PATH}/:id/cancel`, (req, res) => {
+    const record = findSession(req, res);
+    if (!record) return;
+
+    if (record.session.status !== "requires_input") {
+      return sendStripeError(res, 400, `You can only cancel a VerificationSession with status requires_input. This VerificationSession has status ${record.session.status}.`);
+    }
+
+    record.session.status = "canceled";
+    record.session.url = null;
+    emitEvent("identity.verification_session.canceled", record);
+    res.json(record.session);
+  });
+
+  app.post(`${SESSIONS_PATH}/:id/redact`, (req, res) => {
+    const record = findSession(req, res);
+    if (!record) return;
+
+    if (record.session.status === "processing") {
+      return sendStripeError(res, 400, "You cannot redact a VerificationSession while it is processing.");
+    }
+
+    if (!record.session.redaction) {
+      record.session.redaction = { status: "processing" };
+      record.session.url = null;
+
+      // Stripe finishes the redaction in the background
+      setImmediate(() => {
+        record.session.redaction = { status: "redacted" };
+        record.session.metadata = {};
+        emitEvent("identity.verification_session.redacted", record);
+      });
+    }
+    res.json(record.session);
+  });
+
+  app.use("/v1", (req, res) => {
+    sendStripeError(res, 404, `Unrecognized request URL (${req.method}: ${req.originalUrl}). This emulator only supports Identity verification sessions.`);
+  });
+
+  // ==================== HOSTED VERIFICATION PAGE ====================
+
+  app.get("/verify/:id", (req, res) => {
+    const record = sessions.get(req.params.id);
+    if (!record) {
+      return res.status(404).type("html").send(renderPage("Verification not found", "<p>This verification link is not valid.</p>"));
+    }
+
+    const { session } = record;
+    if (session.status !== "requires_input") {
+      return res.type("html").send(renderPage("Nothing to do", `<p>This verification session is <b>${escapeHtml(session.status)}</b>.</p>`));
+    }
+
+    const errorOptions = Object.keys(EMULATOR_ERRORS)
+      .map((code) => `<option value="${code}"${code === session.last_error?.code ? " selected" : ""}>${code}</option>`)
+      .join("");
+    const selfie = session.options?.document?.require_matching_selfie ? " + selfie" : "";
+
+    res.type("html").send(renderPage("Verify your identity", `
+      <p>Session <code>${escapeHtml(session.id)}</code> &middot; ${escapeHtml(session.type)}${selfie}${record.account ? ` &middot; ${escapeHtml(record.account)}` : ""}</p>
+      ${session.last_error ? `<p class="error">Last attempt: ${escapeHtml(session.last_error.code)} - ${escapeHtml(session.last_error.reason)}</p>` : ""}
+      <form method="post">
+        <button name="outcome" value="verified" class="pass">Pass</button>
+        <p>
+          <label>Error code <select name="error_code">${errorOptions}</select></label>
+        </p>
+        <button name="outcome" value="failed" class="fail">Fail</button>
+        <button name="outcome" value="requires_input">Requires input</button>
+      </form>
+    `));
+  });
+
+  app.post("/verify/:id", (req, res) => {
+    const record = sessions.get(req.params.id);
+    if (!record) {
+      return res.status(404).type("html").send(renderPage("Verification not found", "<p>This verification link is not valid.</p>"));
+    }
+
+    try {
+      completeSession(record, req.body.outcome, req.body.error_code);
+    } catch (err) {
+      return res.status(400).type("html").send(renderPage("Cannot submit", `<p>${escapeHtml(err.message)}</p>`));
+    }
+
+    // Like Stripe: back to the application, which checks the result
+    if (record.session.return_url) {
+      return res.redirect(303, record.session.return_url);
+    }
+    res.type("html").send(renderPage("Submitted", `<p>Session is now <b>${escapeHtml(record.session.status)}</b>.</p>`));
+  });
+
+  // ==================== CONTROL API (tests) ====================
+
+  app.post("/_emulator/verification_sessions/:id/complete", (req, res) => {
+    const record = sessions.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: `No such verification session: ${req.params.id}` });
+    }
+
+    try {
+      completeSession(record, req.body.outcome, req.body.error_code);
+      res.json(record.session);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  app.get("/_emulator/events", (req, res) => {
+    res.json({
+      data: [...events].reverse().map(({ event, delivery }) => ({
+        id: event.id,
+        type: event.type,
+        session_id: event.data.object.id,
+        account: event.account || null,
+        created: event.created,
+        delivery,
+      })),
+    });
+  });
+
+  app.post("/_emulator/events/:id/resend", async (req, res) => {
+    const entry = events.find(({ event }) => event.id === req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: `No such event: ${req.params.id}` });
+    }
+
+    await queueDelivery(entry);
+    res.json({ id: entry.event.id, delivery: entry.delivery });
+  });
+
+  return { app, sessions, events };
+}
+
+function renderPage(title, content) {
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)} - Stripe Identity emulator</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 32rem; margin: 3rem auto; padding: 0 1rem; color: #1a1f36; }
+    .banner { background: #fff4e5; border: 1px solid #f5c16c; padding: .5rem .75rem; border-radius: 6px; font-size: .85rem; }
+    button { font-size: 1rem; padding: .6rem 1.2rem; margin: .25rem .25rem .25rem 0; border-radius: 6px; border: 1px solid #c1c9d2; cursor: pointer; }
+    .pass { background: #0a7d35; color: #fff; border-color: #0a7d35; }
+    .fail { background: #c0123c; color: #fff; border-color: #c0123c; }
+    .error { color: #c0123c; }
+  </style>
+</head>
+<body>
+  <p class="banner">Stripe Identity emulator - no real verification happens here.</p>
+  <h1>${escapeHtml(title)}</h1>
+  ${content}
+</body>
+</html>`;
+}
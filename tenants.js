@@ -0,0 +1,250 @@
+import crypto from "crypto";
+import { createTenant, updateTenant, getTenant } from "./database.js";
+import { getStorage } from "./storage.js";
+import { VERIFICATION_TYPES } from "./verification-options.js";
+
+// ==================== TENANTS ====================
+// Brands with their own Stripe account. A tenant row holds the account's
+// secret key and webhook signing secret, the return URL and the verification
+// types the tenant may create. Callers belong to a tenant through their API
+// key (--tenant) or the JWT "tenant" claim; callers of tenants without a row
+// (and callers without a tenant) use the default account from the environment.
+//
+// Secrets are encrypted at rest with AES-256-GCM under TENANT_ENCRYPTION_KEY,
+// bound to the tenant and field (a ciphertext copied to another row or column
+// does not decrypt). Stored as "v1:<iv>:<tag>:<ciphertext>" (base64url).
+
+export const TENANT_STATUSES = ["active", "disabled"];
+
+const TENANT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const STRIPE_KEY_PATTERN = /^(sk|rk)_(live|test)_[0-9A-Za-z]+$/;
+const WEBHOOK_SECRET_PATTERN = /^whsec_[0-9A-Za-z+/=]+$/;
+const SECRET_FIELDS = ["stripe_secret_key", "webhook_secret"];
+
+export class TenantError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Read lazily so values from .env (loaded after imports) are honoured
+function getEncryptionKey() {
+  const secret = process.env.TENANT_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new TenantError("TENANT_ENCRYPTION_KEY is not configured", 503);
+  }
+  return crypto.createHash("sha256").update(secret).digest();
+}
+
+function encryptSecret(tenantId, field, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  cipher.setAAD(Buffer.from(`${tenantId}:${field}`));
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+  return ["v1", ...[iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString("base64url"))].join(":");
+}
+
+function decryptSecret(tenantId, field, stored) {
+  if (!stored) {
+    return null;
+  }
+
+  const [version, iv, tag, ciphertext] = stored.split(":");
+  if (version !== "v1") {
+    throw new Error(`Unsupported ${field} encryption for tenant ${tenantId}`);
+  }
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), Buffer.from(iv, "base64url"));
+  decipher.setAAD(Buffer.from(`${tenantId}:${field}`));
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64url")), decipher.final()]).toString("utf8");
+}
+
+function parseReturnUrl(value) {
+  let url = null;
+  try {
+    url = new URL(value);
+  } catch {
+    // Reported below
+  }
+
+  if (!url || !["http:", "https:"].includes(url.protocol)) {
+    throw new TenantError("return_url must be an http(s) URL");
+  }
+  return url.toString();
+}
+
+// Validate the fields present in a request body; returns the columns to store
+function validateTenantFields(tenantId, body) {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      throw new TenantError("name must be a non-empty string");
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.stripe_secret_key !== undefined && body.stripe_secret_key !== null && !STRIPE_KEY_PATTERN.test(body.stripe_secret_key)) {
+    throw new TenantError("stripe_secret_key must be a Stripe secret (sk_) or restricted (rk_) key");
+  }
+  if (body.webhook_secret !== undefined && body.webhook_secret !== null && !WEBHOOK_SECRET_PATTERN.test(body.webhook_secret)) {
+    throw new TenantError("webhook_secret must be a Stripe webhook signing secret (whsec_)");
+  }
+  for (const field of SECRET_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === null ? null : encryptSecret(tenantId, field, body[field]);
+    }
+  }
+
+  if (body.return_url !== undefined) {
+    fields.return_url = body.return_url === null ? null : parseReturnUrl(body.return_url);
+  }
+
+  const types = body.allowed_verification_types;
+  if (types !== undefined) {
+    if (
+      types !== null &&
+      !(Array.isArray(types) && types.length > 0 && types.every((type) => VERIFICATION_TYPES.includes(type)))
+    ) {
+      throw new TenantError(`allowed_verification_types must be null or a non-empty array of: ${VERIFICATION_TYPES.join(", ")}`);
+    }
+    fields.allowed_verification_types = types === null ? null : [...new Set(types)];
+  }
+
+  if (body.status !== undefined) {
+    if (!TENANT_STATUSES.includes(body.status)) {
+      throw new TenantError(`status must be one of: ${TENANT_STATUSES.join(", ")}`);
+    }
+    fields.status = body.status;
+  }
+
+  return fields;
+}
+
+/**
+ * Public view of a tenant: secrets are reduced to whether they are set (and the key's mode and last digits)
+ * @param {object} tenant - Tenant row
+ * @returns {object} Tenant
+ */
+export function toTenantView(tenant) {
+  let stripeKeyHint = null;
+  try {
+    const key = decryptSecret(tenant.tenant_id, "stripe_secret_key", tenant.stripe_secret_key);
+    stripeKeyHint = key && `${key.slice(0, key.indexOf("_", 3) + 1)}…${key.slice(-4)}`;
+  } catch {
+    // Encryption key missing or changed - still list the tenant
+  }
+
+  return {
+    tenant_id: tenant.tenant_id,
+    name: tenant.name,
+    status: tenant.status,
+    stripe_account_configured: Boolean(tenant.stripe_secret_key),
+    stripe_secret_key_hint: stripeKeyHint,
+    webhook_secret_configured: Boolean(tenant.webhook_secret),
+    webhook_path: `/webhook/${tenant.tenant_id}`,
+    return_url: tenant.return_url,
+    allowed_verification_types: tenant.allowed_verification_types,
+    created_at: tenant.created_at,
+    updated_at: tenant.updated_at,
+  };
+}
+
+/**
+ * Create a tenant from an admin request
+ * @param {object} body - { tenant_id, name, stripe_secret_key, webhook_secret, return_url, allowed_verification_types }
+ * @param {string} actor - Who creates the tenant (audit)
+ * @returns {Promise<object>} Tenant view
+ */
+export async function registerTenant(body, actor = null) {
+  const tenantId = body.tenant_id;
+
+  if (typeof tenantId !== "string" || !TENANT_ID_PATTERN.test(tenantId)) {
+    throw new TenantError("tenant_id must be 1-64 letters, digits, - or _");
+  }
+  if (body.name === undefined) {
+    throw new TenantError("name is required");
+  }
+  if (body.status !== undefined) {
+    throw new TenantError("status cannot be set on creation");
+  }
+  if (getTenant(tenantId)) {
+    throw new TenantError(`Tenant already exists: ${tenantId}`, 409);
+  }
+
+  const tenant = createTenant({ tenant_id: tenantId, ...validateTenantFields(tenantId, body) });
+
+  const storage = await getStorage();
+  await storage.logAuditEvent("tenant_created", null, { tenant_id: tenantId, actor });
+
+  return toTenantView(tenant);
+}
+
+/**
+ * Change a tenant from an admin request (only the fields given; null clears a field)
+ * @param {string} tenantId - Tenant identifier
+ * @param {object} body - Any of name, stripe_secret_key, webhook_secret, return_url, allowed_verification_types, status
+ * @param {string} actor - Who changes the tenant (audit)
+ * @returns {Promise<object|null>} Tenant view, or null if the tenant does not exist
+ */
+export async function changeTenant(tenantId, body, actor = null) {
+  if (!getTenant(tenantId)) {
+    return null;
+  }
+  if (body.tenant_id !== undefined && body.tenant_id !== tenantId) {
+    throw new TenantError("tenant_id cannot be changed");
+  }
+
+  const fields = validateTenantFields(tenantId, body);
+  const tenant = updateTenant(tenantId, fields);
+
+  if (tenant && Object.keys(fields).length > 0) {
+    // Which fields changed - never their values
+    const storage = await getStorage();
+    await storage.logAuditEvent("tenant_updated", null, { tenant_id: tenantId, fields: Object.keys(fields), actor });
+  }
+
+  return tenant && toTenantView(tenant);
+}
+
+/**
+ * Decrypted configuration of a tenant
+ * @param {string|null} tenantId - Tenant identifier
+ * @returns {object|null} { tenantId, name, status, stripeSecretKey, webhookSecret, returnUrl,
+ *   allowedVerificationTypes }, or null for callers without a tenant and tenants without a row
+ */
+export function getTenantConfig(tenantId) {
+  const tenant = tenantId ? getTenant(tenantId) : null;
+
+  if (!tenant) {
+    return null;
+  }
+
+  return {
+    tenantId: tenant.tenant_id,
+    name: tenant.name,
+    status: tenant.status,
+    stripeSecretKey: decryptSecret(tenant.tenant_id, "stripe_secret_key", tenant.stripe_secret_key),
+    webhookSecret: decryptSecret(tenant.tenant_id, "webhook_secret", tenant.webhook_secret),
+    returnUrl: tenant.return_url,
+    allowedVerificationTypes: tenant.allowed_verification_types,
+  };
+}
+
+/**
+ * Tenant configuration for creating a session (disabled tenants may not)
+ * @param {string|null} tenantId - Caller's tenant
+ * @returns {object|null} Tenant configuration (see getTenantConfig)
+ */
+export function resolveActiveTenant(tenantId) {
+  const tenant = getTenantConfig(tenantId);
+
+  if (tenant?.status === "disabled") {
+    throw new TenantError(`Tenant is disabled: ${tenantId}`, 403);
+  }
+  return tenant;
+}
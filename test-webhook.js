@@ -61,7 +61,8 @@ const requiredEvents = [
   "identity.verification_session.verified",
   "identity.verification_session.requires_input",
   "identity.verification_session.processing",
-  "identity.verification_session.canceled"
+  "identity.verification_session.canceled",
+  "identity.verification_session.redacted"
 ];
 console.log("   " + requiredEvents.join("\n   "));
 
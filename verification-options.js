@@ -0,0 +1,174 @@
+import { getVerificationPolicy, getTenantPolicyNames } from "./database.js";
+
+// ==================== VERIFICATION OPTIONS ====================
+// Turns a /create-session request (ad-hoc options or a named policy) into
+// Stripe VerificationSession parameters, enforcing the caller's tenant policies
+// and the verification types the tenant may create.
+
+export const VERIFICATION_TYPES = ["document", "document+selfie", "id_number"];
+
+const DOCUMENT_TYPES = ["driving_license", "passport", "id_card"];
+const DOCUMENT_OPTION_FLAGS = ["require_live_capture", "require_matching_selfie", "require_id_number"];
+
+export class VerificationOptionsError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Validate Stripe `options` for a verification type and return a normalized copy
+ * @param {string} verificationType - document | document+selfie | id_number
+ * @param {object} options - Stripe VerificationSession options
+ * @returns {object} Normalized options
+ */
+export function normalizeOptions(verificationType, options = {}) {
+  if (!VERIFICATION_TYPES.includes(verificationType)) {
+    throw new VerificationOptionsError(
+      `Invalid verification type: ${verificationType} (expected one of ${VERIFICATION_TYPES.join(", ")})`
+    );
+  }
+
+  if (typeof options !== "object" || options === null || Array.isArray(options)) {
+    throw new VerificationOptionsError("options must be an object");
+  }
+
+  const unknownKeys = Object.keys(options).filter((key) => key !== "document");
+  if (unknownKeys.length > 0) {
+    throw new VerificationOptionsError(`Unsupported options: ${unknownKeys.join(", ")}`);
+  }
+
+  if (verificationType === "id_number") {
+    if (options.document) {
+      throw new VerificationOptionsError("options.document is not allowed for id_number verification");
+    }
+    return {};
+  }
+
+  const input = options.document || {};
+  const document = {};
+
+  for (const key of Object.keys(input)) {
+    if (key !== "allowed_types" && !DOCUMENT_OPTION_FLAGS.includes(key)) {
+      throw new VerificationOptionsError(`Unsupported document option: ${key}`);
+    }
+  }
+
+  if (input.allowed_types !== undefined) {
+    if (
+      !Array.isArray(input.allowed_types) ||
+      input.allowed_types.length === 0 ||
+      input.allowed_types.some((type) => !DOCUMENT_TYPES.includes(type))
+    ) {
+      throw new VerificationOptionsError(
+        `options.document.allowed_types must be a non-empty subset of ${DOCUMENT_TYPES.join(", ")}`
+      );
+    }
+    document.allowed_types = [...new Set(input.allowed_types)];
+  }
+
+  for (const flag of DOCUMENT_OPTION_FLAGS) {
+    if (input[flag] !== undefined) {
+      if (typeof input[flag] !== "boolean") {
+        throw new VerificationOptionsError(`options.document.${flag} must be a boolean`);
+      }
+      document[flag] = input[flag];
+    }
+  }
+
+  // "document+selfie" always requires a selfie matched against the document
+  if (verificationType === "document+selfie") {
+    if (document.require_matching_selfie === false) {
+      throw new VerificationOptionsError("document+selfie verification requires require_matching_selfie");
+    }
+    document.require_matching_selfie = true;
+  } else if (document.require_matching_selfie) {
+    throw new VerificationOptionsError("Use type document+selfie to require a matching selfie");
+  }
+
+  return Object.keys(document).length > 0 ? { document } : {};
+}
+
+/**
+ * Map our verification type to the Stripe VerificationSession type
+ * @param {string} verificationType - document | document+selfie | id_number
+ * @returns {string} Stripe type (document | id_number)
+ */
+export function toStripeType(verificationType) {
+  return verificationType === "id_number" ? "id_number" : "document";
+}
+
+/**
+ * Resolve the verification parameters for a /create-session request
+ * @param {object} body - Request body ({ policy } or { type, requireSelfie, options })
+ * @param {object} auth - req.auth (for the caller's tenant)
+ * @param {array|null} allowedTypes - Verification types the caller's tenant may create (null: all)
+ * @returns {object} { verificationType, stripeType, options, policyName }
+ */
+export function resolveVerificationRequest(body, auth, allowedTypes = null) {
+  const request = resolveRequestedVerification(body, auth);
+
+  if (allowedTypes && !allowedTypes.includes(request.verificationType)) {
+    throw new VerificationOptionsError(`Verification type not allowed for tenant: ${request.verificationType}`, 403);
+  }
+  return request;
+}
+
+function resolveRequestedVerification(body, auth) {
+  const { policy: policyName, type, requireSelfie, options } = body;
+  const hasAdHocOptions = type !== undefined || requireSelfie !== undefined || options !== undefined;
+
+  // Callers with a tenant are limited to the policies granted to that tenant
+  const allowedPolicies = auth.tenantId ? getTenantPolicyNames(auth.tenantId) : null;
+
+  if (policyName !== undefined) {
+    if (hasAdHocOptions) {
+      throw new VerificationOptionsError("policy cannot be combined with type, requireSelfie or options");
+    }
+
+    const policy = getVerificationPolicy(policyName);
+    if (!policy) {
+      throw new VerificationOptionsError(`Unknown verification policy: ${policyName}`);
+    }
+
+    if (auth.tenantId && !allowedPolicies.includes(policyName)) {
+      throw new VerificationOptionsError(`Verification policy not allowed for tenant: ${policyName}`, 403);
+    }
+
+    return {
+      verificationType: policy.verification_type,
+      stripeType: toStripeType(policy.verification_type),
+      options: normalizeOptions(policy.verification_type, policy.options),
+      policyName,
+    };
+  }
+
+  if (allowedPolicies && allowedPolicies.length > 0) {
+    throw new VerificationOptionsError(
+      `Tenant must use one of its verification policies: ${allowedPolicies.join(", ")}`,
+      403
+    );
+  }
+
+  // A tenant without grants gets the default verification of a type: it may
+  // pick the type (within its allowed types), never the Stripe options
+  if (allowedPolicies && options !== undefined) {
+    throw new VerificationOptionsError("Tenant has no verification policies: options require a granted policy", 403);
+  }
+
+  let verificationType = type || "document";
+  if (requireSelfie === true) {
+    if (verificationType === "id_number") {
+      throw new VerificationOptionsError("requireSelfie is only supported for document verification");
+    }
+    verificationType = "document+selfie";
+  }
+
+  return {
+    verificationType,
+    stripeType: toStripeType(verificationType),
+    options: normalizeOptions(verificationType, options),
+    policyName: null,
+  };
+}
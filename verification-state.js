@@ -0,0 +1,57 @@
+// ==================== VERIFICATION STATE MACHINE ====================
+// Legal status transitions of a verification session. Stripe does not send
+// events in order, and /verification-status syncs from Stripe, so every status
+// change is validated here before it is written (see updateVerificationStatus).
+
+export const STATUSES = ["created", "processing", "requires_input", "verified", "canceled", "redacted"];
+
+// Where a transition came from (stored in verification_status_history.source)
+export const TRANSITION_SOURCES = {
+  WEBHOOK: "webhook",
+  SYNC: "sync",
+  MANUAL: "manual",
+  RECONCILIATION: "reconciliation",
+};
+
+// created is our local initial state; Stripe sessions start in requires_input.
+// requires_input -> requires_input is a new failed attempt (new last_error).
+const TRANSITIONS = {
+  created: ["processing", "requires_input", "verified", "canceled", "redacted"],
+  requires_input: ["requires_input", "processing", "verified", "canceled", "redacted"],
+  processing: ["requires_input", "verified", "canceled", "redacted"],
+  verified: ["redacted"],
+  canceled: ["redacted"],
+  redacted: [],
+};
+
+// No further user-driven progress is possible from these states
+export const TERMINAL_STATUSES = ["verified", "canceled", "redacted"];
+
+/**
+ * Check whether a status is known to the state machine
+ * @param {string} status - Status to check
+ * @returns {boolean} True if valid
+ */
+export function isValidStatus(status) {
+  return STATUSES.includes(status);
+}
+
+/**
+ * Check whether moving from one status to another is allowed
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean} True if the transition is legal
+ */
+export function isLegalTransition(from, to) {
+  return Boolean(TRANSITIONS[from]?.includes(to));
+}
+
+/**
+ * How illegal transitions are handled (STATE_MACHINE_MODE):
+ * - strict (default): rejected - status unchanged, attempt recorded in history
+ * - flag: applied anyway, flagged as illegal in history
+ * @returns {string} strict | flag
+ */
+export function getStateMachineMode() {
+  return process.env.STATE_MACHINE_MODE === "flag" ? "flag" : "strict";
+}
@@ -0,0 +1,34 @@
+// Verify the audit log hash chain
+//
+// Usage:
+//   node verify-audit-log.js
+//
+// Walks every audit entry from the first one and reports the first entry whose
+// hash link does not verify. Exits with 1 when the chain is broken.
+import dotenv from "dotenv";
+import { getStorage, closeStorage } from "./storage.js";
+
+dotenv.config();
+
+try {
+  const storage = await getStorage();
+  const result = await storage.verifyAuditChain();
+  await closeStorage();
+
+  console.log("\n🔗 AUDIT LOG CHAIN");
+  console.log("=".repeat(80));
+  console.log(`Status:    ${result.valid ? "✅ intact" : "❌ broken"}`);
+  console.log(`Entries:   ${result.entries} verified (${result.redacted} redacted)`);
+  console.log(`Head hash: ${result.head_hash}`);
+
+  if (result.broken_at) {
+    const { id, event_type, timestamp, reason } = result.broken_at;
+    console.log(`Broken at: entry #${id} (${event_type}, ${timestamp}) - ${reason}`);
+  }
+  console.log("");
+
+  process.exit(result.valid ? 0 : 1);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
@@ -1,11 +1,8 @@
+// Print the SQLite database (the DATABASE_PATH file - not a postgres STORAGE_BACKEND)
 import Database from "better-sqlite3";
-import path from "path";
-import { fileURLToPath } from "url";
+import { getDatabasePath } from "./db-connection.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const db = new Database(path.join(__dirname, "verification.db"));
+const db = new Database(getDatabasePath());
 
 console.log("\n📊 VERIFICATION SESSIONS");
 console.log("=".repeat(80));
@@ -0,0 +1,175 @@
+import { isSessionErased } from "./database.js";
+import { getStorage } from "./storage.js";
+import { log } from "./logger.js";
+import { TRANSITION_SOURCES, TERMINAL_STATUSES, STATUSES } from "./verification-state.js";
+
+// ==================== WEBHOOK EVENT PROCESSING ====================
+// Shared by the /webhook route and the admin replay route so both go
+// through exactly the same idempotency, ordering and handler logic.
+
+/**
+ * Process a verified Stripe event that has already been recorded in the ledger
+ * @param {object} event - Stripe event
+ * @param {object} options
+ * @param {boolean} options.replay - Skip the idempotency check (admin replay)
+ * @param {string|null} options.tenantId - Tenant whose webhook endpoint received the event
+ *   (its events only apply to its own sessions)
+ * @returns {Promise<string>} Outcome (processed, unhandled, ignored_out_of_order,
+ *   ignored_wrong_tenant, ignored_wrong_account, rejected_transition, already_processed,
+ *   ignored_erased)
+ */
+export async function processWebhookEvent(event, { replay = false, tenantId = null } = {}) {
+  const storage = await getStorage();
+
+  // Idempotency check - don't process same event twice
+  if (!replay && (await storage.isEventProcessed(event.id))) {
+    log.debug(`Event ${event.id} already processed - skipping`);
+    return "already_processed";
+  }
+
+  // Queued just before its session was erased: the purge removed the ledger row,
+  // nothing may be written about the session again
+  if (isSessionErased(event.data?.object?.id)) {
+    log.info(`Event ${event.id} concerns an erased session - discarded`);
+    return "ignored_erased";
+  }
+
+  try {
+    const session = event.data.object;
+
+    // Ordering check - Stripe does not guarantee delivery order, so an older
+    // event (e.g. processing) must not overwrite a newer one (e.g. verified)
+    if (event.type.startsWith("identity.verification_session.")) {
+      const record = await storage.getVerificationBySessionId(session.id);
+
+      if (record && tenantId && record.tenant_id !== tenantId) {
+        log.warn(`Event ${event.id} from tenant ${tenantId} ignored for session ${session.id} of another tenant`);
+        await storage.markWebhookEventOutcome(event.id, "ignored_wrong_tenant");
+        return "ignored_wrong_tenant";
+      }
+
+      // Connect events carry the connected account they happened on (event.account);
+      // they only apply to sessions created on that account, platform events to platform sessions
+      if (record && (event.account || null) !== (record.stripe_account || null)) {
+        log.warn(`Event ${event.id} from account ${event.account || "platform"} ignored for session ${session.id} of another account`);
+        await storage.markWebhookEventOutcome(event.id, "ignored_wrong_account");
+        return "ignored_wrong_account";
+      }
+
+      if (record?.last_event_created && isOutOfOrder(event, record)) {
+        log.warn(`Out-of-order event ${event.id} (${event.type}) ignored for session ${session.id}`);
+        await storage.markWebhookEventOutcome(event.id, "ignored_out_of_order");
+        return "ignored_out_of_order";
+      }
+    }
+
+    let outcome = "processed";
+    let transition = null;
+
+    // Handle the event based on type
+    switch (event.type) {
+      case "identity.verification_session.verified":
+        transition = await handleVerificationVerified(session, event);
+        break;
+
+      case "identity.verification_session.requires_input":
+        transition = await handleVerificationRequiresInput(session, event);
+        break;
+
+      case "identity.verification_session.processing":
+        transition = await handleVerificationProcessing(session, event);
+        break;
+
+      case "identity.verification_session.canceled":
+        transition = await handleVerificationCanceled(session, event);
+        break;
+
+      case "identity.verification_session.redacted":
+        transition = await handleVerificationRedacted(session, event);
+        break;
+
+      default:
+        log.debug(`Unhandled event type: ${event.type}`);
+        outcome = "unhandled";
+    }
+
+    // The state machine refused the change (e.g. verified -> requires_input)
+    if (transition?.found && !transition.applied) {
+      log.warn(`Illegal transition ${transition.from} -> ${transition.to} rejected for session ${session.id} (event ${event.id})`);
+      outcome = "rejected_transition";
+    }
+
+    await storage.markWebhookEventOutcome(event.id, outcome);
+    return outcome;
+  } catch (err) {
+    await storage.markWebhookEventOutcome(event.id, "failed", err.message);
+    throw err;
+  }
+}
+
+/**
+ * Whether an event is older than the last one applied to its session
+ * event.created has one-second resolution, so events from the same second
+ * are ordered by the state machine instead: a non-terminal status never
+ * replaces a terminal one (processing after verified).
+ * @param {object} event - Stripe event
+ * @param {object} record - Verification record the event applies to
+ * @returns {boolean} True if the event must be ignored
+ */
+function isOutOfOrder(event, record) {
+  if (event.created !== record.last_event_created) {
+    return event.created < record.last_event_created;
+  }
+
+  const status = event.type.slice("identity.verification_session.".length);
+  return STATUSES.includes(status) &&
+    TERMINAL_STATUSES.includes(record.status) &&
+    !TERMINAL_STATUSES.includes(status);
+}
+
+// Transition options shared by all webhook handlers
+function fromEvent(session, event) {
+  return {
+    source: TRANSITION_SOURCES.WEBHOOK,
+    eventId: event.id,
+    eventCreated: event.created,
+    errorCode: session.last_error?.code || null,
+    errorReason: session.last_error?.reason || null,
+  };
+}
+
+// Apply the status of a webhook through the state machine
+async function applyStatus(session, event, status) {
+  const storage = await getStorage();
+  return storage.updateVerificationStatus(session.id, status, fromEvent(session, event));
+}
+
+// Webhook handler functions (return the state machine result)
+async function handleVerificationVerified(session, event) {
+  log.info(`Verification verified: ${session.id}`);
+
+  // Note: We do NOT retrieve or store PII from Stripe
+  // Document data, names, DOB stay in Stripe's vault
+  // We only store: session_id, status, timestamps
+  return applyStatus(session, event, "verified");
+}
+
+async function handleVerificationRequiresInput(session, event) {
+  log.warn(`Verification requires input: ${session.id}`);
+  return applyStatus(session, event, "requires_input");
+}
+
+async function handleVerificationProcessing(session, event) {
+  log.info(`Verification processing: ${session.id}`);
+  return applyStatus(session, event, "processing");
+}
+
+async function handleVerificationCanceled(session, event) {
+  log.warn(`Verification canceled: ${session.id}`);
+  return applyStatus(session, event, "canceled");
+}
+
+async function handleVerificationRedacted(session, event) {
+  log.info(`Verification redacted: ${session.id}`);
+  return applyStatus(session, event, "redacted");
+}
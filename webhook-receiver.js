@@ -0,0 +1,54 @@
+// Local stand-in for a service subscribed to our outbound webhooks
+//
+// Usage:
+//   SUBSCRIBER_SECRET=whsec_xxx node webhook-receiver.js [--port 5070] [--fail]
+//
+// Then subscribe it (admin API key required):
+//   POST /admin/webhook-subscriptions  { "url": "http://localhost:5070/hooks" }
+//
+// --fail answers every delivery with 500 to exercise retries and redelivery.
+import http from "http";
+import { verifyOutboundSignature } from "./webhook-signature.js";
+
+const args = process.argv.slice(2);
+const portIndex = args.indexOf("--port");
+const port = portIndex >= 0 ? Number(args[portIndex + 1]) : 5070;
+const fail = args.includes("--fail");
+const secret = process.env.SUBSCRIBER_SECRET;
+
+if (!secret) {
+  console.warn("⚠️  SUBSCRIBER_SECRET not set - signatures will NOT be verified");
+}
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    const signature = req.headers["x-webhook-signature"];
+    const valid = secret ? verifyOutboundSignature(secret, body, signature) : null;
+
+    console.log(`\n📨 ${req.method} ${req.url} (${req.headers["x-webhook-id"]})`);
+    console.log(`   Signature: ${valid === null ? "not checked" : valid ? "✅ valid" : "❌ INVALID"}`);
+
+    try {
+      const event = JSON.parse(body);
+      console.log(`   Type:      ${event.type}`);
+      console.log(`   Session:   ${event.data?.session_id}`);
+      console.log(`   Status:    ${event.data?.previous_status} -> ${event.data?.status}`);
+    } catch {
+      console.log(`   Body:      ${body}`);
+    }
+
+    if (fail || valid === false) {
+      res.writeHead(fail ? 500 : 400).end();
+      console.log(`   Responded: ${fail ? 500 : 400}`);
+      return;
+    }
+
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🎧 Webhook receiver listening on http://localhost:${port}${fail ? " (failing every delivery)" : ""}`);
+});
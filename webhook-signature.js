@@ -0,0 +1,41 @@
+import crypto from "crypto";
+
+// ==================== OUTBOUND WEBHOOK SIGNATURES ====================
+// Deliveries to our subscribers are signed like Stripe's webhooks:
+//   X-Webhook-Signature: t=<unix seconds>,v1=hex(HMAC-SHA256(secret, `${t}.${body}`))
+// Kept free of database imports so subscribers (and webhook-receiver.js) can reuse it.
+
+/**
+ * Sign a delivery body
+ * @param {string} secret - Subscription secret
+ * @param {string} body - JSON body exactly as sent
+ * @param {number} timestamp - Unix timestamp (seconds)
+ * @returns {string} X-Webhook-Signature header value
+ */
+export function signOutboundPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Verify a delivery signature (for subscribers, see webhook-receiver.js)
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Raw request body
+ * @param {string} header - X-Webhook-Signature header value
+ * @param {number} toleranceSeconds - Maximum age of the signature
+ * @returns {boolean} True if valid
+ */
+export function verifyOutboundSignature(secret, body, header, toleranceSeconds = 300) {
+  const parts = Object.fromEntries(
+    (header || "").split(",").map((part) => part.split("=").map((s) => s.trim()))
+  );
+  const timestamp = Number(parts.t);
+
+  if (!parts.v1 || !Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signOutboundPayload(secret, body, timestamp).split("v1=")[1]);
+  const actual = Buffer.from(parts.v1);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
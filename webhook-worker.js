@@ -0,0 +1,134 @@
+import {
+  claimDueWebhookJobs,
+  completeWebhookJob,
+  retryWebhookJobLater,
+  deadLetterWebhookJob,
+  resetStuckWebhookJobs,
+  AUDIT_RESULTS,
+} from "./database.js";
+import { getStorage } from "./storage.js";
+import { log, runWithLogContext } from "./logger.js";
+import { processWebhookEvent } from "./webhook-handlers.js";
+import { webhookEventsTotal } from "./metrics.js";
+
+// ==================== BACKGROUND WEBHOOK WORKER ====================
+// Processes events queued by the /webhook route (read from the ledger in
+// storage). Failures are retried with
+// exponential backoff; events that exhaust their retries are dead-lettered.
+// Each event is processed in the log context of the request that received it.
+
+const RETRY_MAX_SECONDS = 60 * 60;
+const BATCH_SIZE = 25;
+
+// Read lazily so values from .env (loaded after imports) are honoured
+const getPollIntervalMs = () => Number(process.env.WEBHOOK_QUEUE_POLL_MS) || 1000;
+const getMaxAttempts = () => Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const getRetryBaseSeconds = () => Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 5;
+
+let timer = null;
+let running = false;
+
+/**
+ * Backoff before the next attempt: base * 2^(attempts - 1), capped at one hour
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in seconds
+ */
+export function getRetryDelaySeconds(attempts) {
+  return Math.min(getRetryBaseSeconds() * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+}
+
+/**
+ * Process one claimed job: complete it, schedule a retry or dead-letter it
+ * @param {object} job - Claimed job
+ * @param {number} maxAttempts - Attempts before dead-lettering
+ */
+async function processJob(job, maxAttempts) {
+  const storage = await getStorage();
+
+  try {
+    const stored = await storage.getWebhookEvent(job.event_id);
+
+    if (!stored) {
+      // Purged meanwhile (erasure or retention): nothing left to process
+      log.warn(`Webhook event ${job.event_id} is no longer in the ledger - dropped from the queue`);
+      completeWebhookJob(job.id);
+      return;
+    }
+    job.event_type = stored.event_type;
+
+    const outcome = await processWebhookEvent(JSON.parse(stored.payload), { tenantId: stored.tenant_id });
+    completeWebhookJob(job.id);
+    webhookEventsTotal.inc({ event_type: job.event_type, outcome });
+  } catch (err) {
+    if (job.attempts >= maxAttempts) {
+      log.error(`Webhook event ${job.event_id} dead-lettered after ${job.attempts} attempts: ${err.message}`);
+      deadLetterWebhookJob(job, err.message);
+      webhookEventsTotal.inc({ event_type: job.event_type, outcome: "dead_lettered" });
+      await storage.logAuditEvent("webhook_dead_lettered", null, {
+        event_id: job.event_id,
+        event_type: job.event_type,
+        attempts: job.attempts,
+        error: err.message,
+      }, null, AUDIT_RESULTS.FAILURE);
+    } else {
+      const delay = getRetryDelaySeconds(job.attempts);
+      log.warn(`Webhook event ${job.event_id} failed (attempt ${job.attempts}/${maxAttempts}), retrying in ${delay}s: ${err.message}`);
+      retryWebhookJobLater(job.id, err.message, delay);
+      webhookEventsTotal.inc({ event_type: job.event_type, outcome: "retry" });
+    }
+  }
+}
+
+/**
+ * Process every queued event that is currently due
+ * @returns {Promise<number>} Number of jobs attempted
+ */
+export async function drainWebhookQueue() {
+  // Never overlap two drains (a slow batch can outlive the poll interval)
+  if (running) {
+    return 0;
+  }
+  running = true;
+
+  try {
+    const maxAttempts = getMaxAttempts();
+    const jobs = claimDueWebhookJobs(BATCH_SIZE);
+
+    for (const job of jobs) {
+      await runWithLogContext({ request_id: job.request_id, event_id: job.event_id }, () => processJob(job, maxAttempts));
+    }
+
+    return jobs.length;
+  } catch (err) {
+    // Claiming itself failed (e.g. database locked) - try again on the next tick
+    log.error(`Webhook worker error: ${err.message}`);
+    return 0;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start polling the webhook queue
+ */
+export function startWebhookWorker() {
+  if (timer) {
+    return;
+  }
+
+  const recovered = resetStuckWebhookJobs();
+  if (recovered > 0) {
+    log.warn(`Recovered ${recovered} webhook job(s) interrupted by a previous shutdown`);
+  }
+
+  timer = setInterval(drainWebhookQueue, getPollIntervalMs());
+  log.debug(`Webhook worker started (poll ${getPollIntervalMs()}ms, max ${getMaxAttempts()} attempts)`);
+}
+
+/**
+ * Stop polling the webhook queue
+ */
+export function stopWebhookWorker() {
+  clearInterval(timer);
+  timer = null;
+}